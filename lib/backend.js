@@ -0,0 +1,295 @@
+/**
+ * backend.js — Render 백엔드 WebSocket 연결
+ *
+ * AUTH_BRIDGE 로 인증한 뒤 outbox 의 메시지를 순서대로 전송하고, 백엔드 ACK 가 없으면
+ * 일정 시간 후 재전송한다. 연결이 끊기면 지수 백오프로 재접속한다.
+ */
+
+const WebSocket = require('ws');
+const { timeNow } = require('./util');
+
+function createBackendLink(bridge) {
+  const { config, log, warn } = bridge;
+  const backend = config.backend;
+  const outbox = bridge.outbox;
+
+  let backendWs = null;
+  let backendAuthenticated = false;
+  let backendConnecting = false;
+  let reconnectTimer = null;
+  let reconnectDelayMs = 2000;
+  let backendAcksEnabled = backend.ackMode === 'on';
+  let outboxAckTimer = null;
+  const forwardStatus = { enabled: !!backend.url, lastOkAt: 0, lastErrorAt: 0 };
+  const runningRequests = new Set();
+
+  function scheduleReconnect() {
+    if (bridge.closed) return;
+    if (reconnectTimer) return;
+    if (!backend.url) return;
+    const delay = Math.min(reconnectDelayMs, 30000);
+    reconnectTimer = setTimeout(() => {
+      reconnectTimer = null;
+      reconnectDelayMs = Math.min(reconnectDelayMs * 1.5, 30000);
+      bridge.metrics.backendReconnects.inc();
+      connectToBackend();
+    }, delay);
+  }
+
+  function flushBackendQueue() {
+    if (!backendAuthenticated) return;
+    if (!backendWs || backendWs.readyState !== WebSocket.OPEN) return;
+    const ws = backendWs;
+    const awaitAck = backendAcksEnabled;
+    outbox.prune();
+    while (outbox.queue.length) {
+      const entry = outbox.queue.shift();
+      outbox.inflight.set(entry.seq, entry);
+      entry.attempts = (entry.attempts || 0) + 1;
+      entry.sentAt = timeNow();
+      try {
+        ws.send(JSON.stringify(entry.message), (err) => {
+          if (err) {
+            forwardStatus.lastErrorAt = timeNow();
+            outbox.requeue(entry);
+            return;
+          }
+          if (!awaitAck) {
+            outbox.acknowledge(entry);
+          }
+        });
+        forwardStatus.lastOkAt = timeNow();
+      } catch (err) {
+        forwardStatus.lastErrorAt = timeNow();
+        warn('backend send failed:', err?.message || err);
+        outbox.requeue(entry);
+        try { ws.close(); } catch (_) {}
+        break;
+      }
+    }
+    scheduleOutboxAckCheck();
+  }
+
+  function sendToBackend(message) {
+    if (!message || typeof message !== 'object') return;
+    bridge.emit('backend:send', message);
+    const entry = outbox.enqueue({ site: config.site, ...message });
+    if (backendWs && backendWs.readyState === WebSocket.OPEN && backendAuthenticated) {
+      flushBackendQueue();
+    } else {
+      connectToBackend();
+    }
+    return entry ? entry.message.msgId : null;
+  }
+
+  function connectToBackend() {
+    if (bridge.closed) return;
+    if (!backend.url) {
+      warn('RENDER_WSS_URL not configured; backend relay disabled');
+      return;
+    }
+    if (backendConnecting) return;
+    if (backendWs && backendWs.readyState === WebSocket.OPEN) {
+      if (!backendAuthenticated) {
+        try {
+          backendWs.send(JSON.stringify({ type: 'AUTH_BRIDGE', site: config.site, token: backend.token || undefined }));
+        } catch (err) {
+          warn('failed to send auth message:', err?.message || err);
+        }
+      }
+      return;
+    }
+
+    backendConnecting = true;
+    const ws = new WebSocket(backend.url);
+    backendWs = ws;
+    backendAuthenticated = false;
+
+    ws.on('open', () => {
+      backendConnecting = false;
+      reconnectDelayMs = 2000;
+      try {
+        ws.send(JSON.stringify({ type: 'AUTH_BRIDGE', site: config.site, token: backend.token || undefined }));
+      } catch (err) {
+        warn('failed to send auth:', err?.message || err);
+      }
+      forwardStatus.lastOkAt = timeNow();
+      flushBackendQueue();
+    });
+
+    ws.on('message', (data) => {
+      Promise.resolve(bridge.handleBackendMessage(ws, data)).catch((err) => {
+        warn('backend message handler failed:', err?.message || err);
+      });
+    });
+
+    ws.on('ping', () => {
+      try {
+        ws.pong();
+        forwardStatus.lastOkAt = timeNow();
+      } catch (err) {
+        warn('failed to reply backend ping:', err?.message || err);
+      }
+    });
+
+    ws.on('pong', () => {
+      forwardStatus.lastOkAt = timeNow();
+    });
+
+    ws.on('close', () => {
+      backendConnecting = false;
+      backendAuthenticated = false;
+      if (backendWs === ws) {
+        backendWs = null;
+      }
+      outbox.requeueInflight();
+      forwardStatus.lastErrorAt = timeNow();
+      bridge.emit('backend:state', { connected: false });
+      scheduleReconnect();
+      bridge.offline.scheduleCheck();
+    });
+
+    ws.on('error', (err) => {
+      warn('backend ws error:', err?.message || err);
+    });
+
+    ws.on('unexpected-response', (_req, res) => {
+      backendConnecting = false;
+      backendAuthenticated = false;
+      const status = res?.statusCode;
+      const statusMessage = res?.statusMessage;
+      warn('backend ws unexpected response:', status, statusMessage);
+      try { res?.resume?.(); } catch (_) {}
+      forwardStatus.lastErrorAt = timeNow();
+      scheduleReconnect();
+      bridge.offline.scheduleCheck();
+    });
+  }
+
+  function backendSupportsAcks(message) {
+    if (message?.acks === true) return true;
+    return Array.isArray(message?.features) && message.features.includes('ack');
+  }
+
+  function handleBackendAck(message) {
+    const ids = [];
+    if (message.msgId) ids.push(String(message.msgId));
+    if (Array.isArray(message.msgIds)) ids.push(...message.msgIds.map(String));
+    if (!ids.length) return;
+    if (!backendAcksEnabled && backend.ackMode === 'auto') {
+      backendAcksEnabled = true;
+    }
+    const wanted = new Set(ids);
+    const matched = [...outbox.inflight.values(), ...outbox.queue].filter((entry) => wanted.has(entry.message.msgId));
+    for (const entry of matched) {
+      outbox.acknowledge(entry);
+    }
+    outbox.state.lastAckAt = timeNow();
+    forwardStatus.lastOkAt = outbox.state.lastAckAt;
+  }
+
+  function scheduleOutboxAckCheck() {
+    if (outboxAckTimer || !backendAcksEnabled || !outbox.inflight.size) return;
+    outboxAckTimer = setTimeout(() => {
+      outboxAckTimer = null;
+      const now = timeNow();
+      const expired = [...outbox.inflight.values()].filter((entry) => now - (entry.sentAt || 0) >= backend.ackTimeoutMs);
+      if (expired.length) {
+        expired.forEach(outbox.requeue);
+        outbox.state.resent += expired.length;
+        warn('[outbox] ack timeout; resending', { count: expired.length });
+        flushBackendQueue();
+      }
+      scheduleOutboxAckCheck();
+    }, Math.max(1000, Math.floor(backend.ackTimeoutMs / 2)));
+  }
+
+  function trackRunningRequest(resultType, requestId) {
+    if (requestId === null || requestId === undefined || requestId === '') return () => {};
+    const key = `${resultType}:${requestId}`;
+    runningRequests.add(key);
+    return () => runningRequests.delete(key);
+  }
+
+  function suppressDuplicateRequest(resultType, requestId) {
+    if (requestId === null || requestId === undefined || requestId === '') return false;
+    const key = `${resultType}:${requestId}`;
+    if (runningRequests.has(key)) {
+      warn('duplicate request ignored (in progress)', { key });
+      return true;
+    }
+    const previous = outbox.findRecentResult(key);
+    if (!previous) return false;
+    const outstanding = outbox.isOutstanding(previous.seq);
+    if (!outstanding) {
+      const { msgId, ...message } = previous.message;
+      outbox.enqueue({ ...message, replayOf: msgId }, { dedupe: false });
+    }
+    log('duplicate request answered from recorded result', { key, msgId: previous.msgId, outstanding });
+    flushBackendQueue();
+    return true;
+  }
+
+  function handleAuthAck(message) {
+    if (message.role !== 'bridge') return;
+    backendAuthenticated = true;
+    backendAcksEnabled = backend.ackMode === 'on'
+      || (backend.ackMode === 'auto' && backendSupportsAcks(message));
+    reconnectDelayMs = 2000;
+    forwardStatus.lastOkAt = timeNow();
+    flushBackendQueue();
+    bridge.emit('backend:state', { connected: true });
+    bridge.offline.exit('backend_online');
+    bridge.lockdown.sendStatus();
+  }
+
+  function isOnline() {
+    return !!(backendWs && backendWs.readyState === WebSocket.OPEN && backendAuthenticated);
+  }
+
+  function drainBackend(timeoutMs) {
+    const deadline = timeNow() + Math.max(0, timeoutMs);
+    return new Promise((resolve) => {
+      const check = () => {
+        const pending = outbox.queue.length + outbox.inflight.size;
+        if (!pending || !isOnline() || timeNow() >= deadline) {
+          resolve(pending);
+          return;
+        }
+        flushBackendQueue();
+        setTimeout(check, 100);
+      };
+      check();
+    });
+  }
+
+  function closeBackend() {
+    for (const timer of [reconnectTimer, outboxAckTimer]) {
+      if (timer) clearTimeout(timer);
+    }
+    reconnectTimer = null;
+    outboxAckTimer = null;
+    if (backendWs) {
+      try { backendWs.close(); } catch (_) {}
+      backendWs = null;
+    }
+    backendAuthenticated = false;
+  }
+
+  return {
+    status: forwardStatus,
+    send: sendToBackend,
+    flush: flushBackendQueue,
+    connect: connectToBackend,
+    drain: drainBackend,
+    close: closeBackend,
+    isOnline,
+    acksEnabled: () => backendAcksEnabled,
+    handleAuthAck,
+    handleAck: handleBackendAck,
+    trackRunningRequest,
+    suppressDuplicateRequest
+  };
+}
+
+module.exports = { createBackendLink };
@@ -0,0 +1,626 @@
+/**
+ * backend_commands.js — 백엔드 → 브릿지 명령 처리
+ *
+ * 백엔드 WebSocket 으로 들어온 메시지를 type 별로 센서/락다운/로봇 서비스에 전달하고
+ * 결과를 *_RESULT / *_STATUS 메시지로 돌려준다. 실패는 error 를 붙인 같은 type 으로 답한다.
+ */
+
+const { httpError, timeNow } = require('./util');
+
+const DRAIN_REPLY_TYPES = {
+  FP_START_REQUEST: 'FP_SESSION_ERROR',
+  FP_ENROLL_REQUEST: 'FP_ENROLL_RESULT',
+  FP_DELETE_REQUEST: 'FP_DELETE_RESULT',
+  FP_CLEAR_REQUEST: 'FP_CLEAR_RESULT',
+  FP_COUNT_REQUEST: 'FP_COUNT_RESULT',
+  FP_LIST_REQUEST: 'FP_LIST_RESULT',
+  FP_RECONCILE_REQUEST: 'FP_RECONCILE_RESULT',
+  FP_EXPORT_REQUEST: 'FP_EXPORT_RESULT',
+  FP_IMPORT_REQUEST: 'FP_IMPORT_RESULT',
+  FP_ALLOWLIST_SYNC: 'FP_ALLOWLIST_STATUS',
+  LED_COMMAND: 'LED_STATUS',
+  BUZZER_COMMAND: 'BUZZER_STATUS',
+  ROBOT_EXECUTE: 'ROBOT_EVENT'
+};
+
+function duplicateSummary(check){
+  if (!check?.duplicate) return null;
+  return { sensorId: check.matchId, confidence: check.confidence, action: check.mode === 'warn' ? 'warned' : 'rejected' };
+}
+
+function createBackendCommandHandler(bridge) {
+  const { config, warn } = bridge;
+
+  function sensorQueueOptions(message, command, requestId) {
+    return {
+      requestId,
+      priority: message.priority ?? message.payload?.priority,
+      onQueued: requestId
+        ? (info) => bridge.backend.send({ type: 'FP_COMMAND_QUEUED', command, requestId, ...info })
+        : undefined
+    };
+  }
+
+  async function handleBackendMessage(ws, data) {
+    const text = typeof data === 'string' ? data : data?.toString?.();
+    if (!text) return;
+    let message;
+    try {
+      message = JSON.parse(text);
+    } catch (err) {
+      warn('invalid backend message:', err?.message || err);
+      return;
+    }
+    const type = message?.type;
+    if (!type) return;
+    const requestId = message.requestId ?? message.request_id ?? null;
+    if (requestId !== null && requestId !== '') {
+      return bridge.logger.runWithContext({ requestId }, () => dispatchBackendMessage(ws, message, type));
+    }
+    return dispatchBackendMessage(ws, message, type);
+  }
+
+  async function dispatchBackendMessage(ws, message, type) {
+    if (type === 'AUTH_ACK') {
+      bridge.backend.handleAuthAck(message);
+      return;
+    }
+
+    if (type === 'ACK') {
+      bridge.backend.handleAck(message);
+      return;
+    }
+
+    if (type === 'PING') {
+      try {
+        ws.send(JSON.stringify({ type: 'PONG', site: config.site, ts: timeNow() }));
+      } catch (err) {
+        warn('failed to reply pong:', err?.message || err);
+      }
+      return;
+    }
+
+    if (bridge.draining && DRAIN_REPLY_TYPES[type]) {
+      const requestId = message.requestId || message.request_id || null;
+      warn('command rejected during shutdown', { type, requestId });
+      bridge.backend.send({
+        type: DRAIN_REPLY_TYPES[type],
+        ok: false,
+        error: 'bridge_shutting_down',
+        code: 503,
+        retryable: true,
+        requestId
+      });
+      return;
+    }
+
+    if (type === 'FP_START_REQUEST') {
+      try {
+        const session = bridge.identify.startFromRequest(message);
+        bridge.backend.send({ type: 'FP_SESSION_STARTED', session: session ? {
+          id: session.id,
+          requestedAt: session.requestedAt,
+          deadline: session.deadline,
+          policy: { ...session.policy },
+          required: session.required,
+          roles: session.roles ? session.roles.map((entry) => entry.role) : null
+        } : null });
+      } catch (err) {
+        warn('fp start failed:', err?.message || err);
+        bridge.backend.send({
+          type: 'FP_SESSION_ERROR',
+          error: err?.message || 'start_failed',
+          code: err?.statusCode || err?.status || 500,
+          lockout: bridge.lockout.isActive() ? bridge.lockout.snapshot() : null
+        });
+      }
+      return;
+    }
+
+    if (type === 'FP_STOP_REQUEST') {
+      try {
+        const session = bridge.identify.stopFromRequest(message);
+        bridge.backend.send({ type: 'FP_SESSION_STOPPED', session: session ? {
+          id: session.id,
+          active: session.active,
+          reason: session.reason,
+          stoppedAt: session.stoppedAt || timeNow()
+        } : null });
+      } catch (err) {
+        warn('fp stop failed:', err?.message || err);
+        bridge.backend.send({ type: 'FP_SESSION_ERROR', error: err?.message || 'stop_failed' });
+      }
+      return;
+    }
+
+    if (type === 'LOCKDOWN_TRIGGER' || type === 'LOCKDOWN_RELEASE') {
+      try {
+        if (type === 'LOCKDOWN_TRIGGER') bridge.lockdown.triggerFromRequest(message);
+        else bridge.lockdown.releaseFromRequest(message);
+      } catch (err) {
+        warn('lockdown request failed:', err?.message || err);
+        bridge.backend.send({ type: 'LOCKDOWN_STATUS', ...bridge.lockdown.snapshot(), ok: false, error: err?.message || 'lockdown_failed', requestId: message.requestId || null });
+      }
+      return;
+    }
+
+    if (type === 'LOCKDOWN_SILENCE') {
+      try {
+        if (!bridge.lockdown.isActive()) throw httpError(409, 'lockdown_not_active');
+        bridge.lockdown.silenceFromRequest(message);
+      } catch (err) {
+        warn('lockdown silence failed:', err?.message || err);
+        bridge.backend.send({ type: 'LOCKDOWN_STATUS', ...bridge.lockdown.snapshot(), ok: false, error: err?.message || 'lockdown_silence_failed', requestId: message.requestId || null });
+      }
+      return;
+    }
+
+    if (type === 'FP_ALLOWLIST_SYNC') {
+      const requestId = message.requestId || null;
+      try {
+        const count = bridge.offline.replaceAllowList(message.entries ?? message.sensorIds ?? message.payload?.entries ?? []);
+        bridge.backend.send({ type: 'FP_ALLOWLIST_STATUS', ok: true, count, updatedAt: bridge.offline.state.allowListUpdatedAt, requestId });
+      } catch (err) {
+        warn('allow-list sync failed:', err?.message || err);
+        bridge.backend.send({
+          type: 'FP_ALLOWLIST_STATUS',
+          ok: false,
+          error: err?.message || 'allowlist_failed',
+          code: err?.statusCode || err?.status || 500,
+          requestId
+        });
+      }
+      return;
+    }
+
+    if (type === 'FP_SESSION_HISTORY') {
+      const requestId = message.requestId || null;
+      const filter = { ...(message.payload || {}), ...message };
+      try {
+        const result = bridge.history.query({
+          since: filter.since,
+          until: filter.until,
+          sensorId: filter.sensorId ?? filter.sensor_id,
+          sessionId: filter.sessionId ?? filter.session_id,
+          requestId: filter.sessionRequestId ?? filter.session_request_id,
+          limit: filter.limit
+        });
+        bridge.backend.send({ type: 'FP_SESSION_HISTORY_RESULT', ok: true, ...result, requestId });
+      } catch (err) {
+        warn('fp session history request failed:', err?.message || err);
+        bridge.backend.send({
+          type: 'FP_SESSION_HISTORY_RESULT',
+          ok: false,
+          error: err?.message || 'history_failed',
+          code: err?.statusCode || err?.status || 500,
+          requestId
+        });
+      }
+      return;
+    }
+
+    if (type === 'FP_LOCKOUT_CLEAR') {
+      const actor = message.actor ?? message.actorId ?? message.actor_id ?? null;
+      if (!bridge.lockout.clear(actor)) {
+        bridge.backend.send({ type: 'FP_LOCKOUT', ...bridge.lockout.snapshot(), cleared: false, requestId: message.requestId ?? null });
+      }
+      return;
+    }
+
+    if (type === 'LOCKDOWN_STATUS_REQUEST') {
+      bridge.lockdown.sendStatus();
+      return;
+    }
+
+    if (type === 'LED_COMMAND') {
+      try {
+        if (message.release || message.payload?.release) {
+          bridge.indicators.releaseLed('backend');
+          bridge.backend.send({ type: 'LED_STATUS', ok: true, released: true, led: { ...bridge.indicators.ledState } });
+          return;
+        }
+        const command = message.command || message.payload || message;
+        if (!bridge.indicators.resolveLed(command)) {
+          bridge.backend.send({ type: 'LED_STATUS', ok: false, error: 'bad_led_command', led: { ...bridge.indicators.ledState } });
+          return;
+        }
+        const ok = bridge.indicators.claimLed('backend', command, { queue: !!(message.queue ?? message.payload?.queue) });
+        const held = bridge.indicators.ledState.owner !== 'backend';
+        bridge.backend.send({ type: 'LED_STATUS', ok, held, led: { ...bridge.indicators.ledState } });
+      } catch (err) {
+        warn('led command failed:', err?.message || err);
+        bridge.backend.send({ type: 'LED_STATUS', ok: false, error: err?.message || 'led_failed', led: { ...bridge.indicators.ledState } });
+      }
+      return;
+    }
+
+    if (type === 'BUZZER_COMMAND') {
+      const requestId = message.requestId || null;
+      try {
+        const payload = message.payload || {};
+        if ((message.action || payload.action) === 'silence') {
+          const lockdown = bridge.lockdown.silenceFromRequest(message);
+          bridge.backend.send({ type: 'BUZZER_STATUS', ok: true, silenced: true, silencedClaims: lockdown.silencedClaims, buzzer: { ...bridge.indicators.buzzerState }, requestId });
+          return;
+        }
+        if (message.release || payload.release) {
+          bridge.indicators.releaseBuzzer('backend');
+          bridge.backend.send({ type: 'BUZZER_STATUS', ok: true, released: true, buzzer: { ...bridge.indicators.buzzerState }, requestId });
+          return;
+        }
+        const command = message.command || message.payload || message;
+        if (!bridge.indicators.resolveBuzzer(command)) {
+          bridge.backend.send({ type: 'BUZZER_STATUS', ok: false, error: 'bad_buzzer_command', buzzer: { ...bridge.indicators.buzzerState }, requestId });
+          return;
+        }
+        const ok = bridge.indicators.claimBuzzer('backend', command, {
+          reason: message.reason || payload.reason || 'backend',
+          silenceAfterMs: message.silenceAfterMs ?? payload.silenceAfterMs
+        });
+        const held = bridge.indicators.buzzerState.owner !== 'backend';
+        bridge.backend.send({ type: 'BUZZER_STATUS', ok, held, buzzer: { ...bridge.indicators.buzzerState }, requestId });
+      } catch (err) {
+        warn('buzzer command failed:', err?.message || err);
+        bridge.backend.send({ type: 'BUZZER_STATUS', ok: false, error: err?.message || 'buzzer_failed', buzzer: { ...bridge.indicators.buzzerState }, requestId });
+      }
+      return;
+    }
+
+    if (type === 'ROBOT_EXECUTE') {
+      const relayRequestId = message.requestId || message.request_id || null;
+      const jobRequestId = message.payload?.requestId ?? message.payload?.request_id ?? relayRequestId;
+      if (jobRequestId && bridge.robot.activeJobsByRequestId.has(String(jobRequestId))) {
+        warn('duplicate robot execute ignored (in progress)', { requestId: relayRequestId });
+        return;
+      }
+      if (bridge.backend.suppressDuplicateRequest('ROBOT_EVENT', relayRequestId)) return;
+      try {
+        const job = bridge.robot.startJob(message.payload || {});
+        const basePayload = { type: 'ROBOT_EVENT', requestId: relayRequestId, job: bridge.robot.sanitizeJob(job, { includePayload: true }) };
+        bridge.backend.send(basePayload);
+        bridge.robot.waitForJob(job, { timeoutMs: Number(message.timeoutMs || message.timeout_ms || 0) || 120000 })
+          .then((result) => {
+            bridge.backend.send({ type: 'ROBOT_EVENT', requestId: relayRequestId, job: result, final: true });
+          })
+          .catch((err) => {
+            const snapshot = err?.job || bridge.robot.sanitizeJob(job, { includePayload: true });
+            bridge.backend.send({ type: 'ROBOT_EVENT', requestId: relayRequestId, job: snapshot, error: err?.message || 'robot_failed', final: true });
+          });
+      } catch (err) {
+        warn('robot execute failed:', err?.message || err);
+        bridge.backend.send({ type: 'ROBOT_EVENT', requestId: relayRequestId, error: err?.message || 'robot_failed' });
+      }
+      return;
+    }
+
+    if (type === 'ROBOT_INTERACTION') {
+      const requestId = message.requestId || message.request_id || null;
+      const action = message.action || message.command || 'resume';
+      const token = message.token || null;
+      const stage = message.stage || null;
+      const job = requestId ? bridge.robot.activeJobsByRequestId.get(String(requestId)) : null;
+      if (!job || !job.process || job.process.killed) {
+        warn('robot interaction ignored: job not found', { requestId, action });
+        bridge.backend.send({
+          type: 'ROBOT_EVENT',
+          requestId,
+          error: 'interaction_job_missing',
+          action,
+          stage
+        });
+        return;
+      }
+
+      let resolvedToken = token;
+      if (!resolvedToken && stage && job.interactions instanceof Map) {
+        resolvedToken = job.interactions.get(stage) || null;
+      }
+      if (!resolvedToken && job.pendingTokens instanceof Map && job.pendingTokens.size === 1) {
+        const [[pendingToken]] = job.pendingTokens.entries();
+        resolvedToken = pendingToken;
+      }
+
+      if (!resolvedToken) {
+        warn('robot interaction token not found', { requestId, action, stage });
+        bridge.backend.send({
+          type: 'ROBOT_EVENT',
+          requestId,
+          error: 'interaction_token_missing',
+          action,
+          stage
+        });
+        return;
+      }
+
+      const commandPayload = {
+        command: action,
+        token: resolvedToken,
+        stage: stage || job.stage || 'await_user',
+        meta: message.meta || null
+      };
+
+      try {
+        job.process.stdin.write(`${JSON.stringify(commandPayload)}\n`);
+        bridge.robot.appendLog(job, { type: 'stdin', text: JSON.stringify(commandPayload), at: timeNow() });
+        bridge.robot.forwardEvent(job, {
+          status: 'progress',
+          stage: job.stage,
+          message: `interaction:${action}`,
+          progress: { event: 'interaction', action, stage: commandPayload.stage, token: resolvedToken },
+          meta: { interaction: commandPayload }
+        });
+      } catch (err) {
+        warn('failed to forward interaction', err?.message || err);
+        bridge.backend.send({
+          type: 'ROBOT_EVENT',
+          requestId,
+          error: 'interaction_write_failed',
+          message: err?.message || String(err),
+          action,
+          stage
+        });
+      }
+      return;
+    }
+
+    if (type === 'FP_STATUS_REQUEST') {
+      const serialStatus = bridge.sensor.snapshot();
+      const manualSession = bridge.identify.session();
+      bridge.backend.send({ type: 'FP_STATUS', serial: {
+        connected: serialStatus.connected,
+        path: serialStatus.path
+      },
+      manual: manualSession ? { id: manualSession.id, active: manualSession.active, deadline: manualSession.deadline } : null,
+      led: { ...bridge.indicators.ledState } });
+      return;
+    }
+
+    if (type === 'FP_ENROLL_REQUEST') {
+      const requestId = message.requestId || null;
+      const sensorId = message.sensorId ?? message.sensor_id ?? message.payload?.sensorId ?? message.payload?.sensor_id ?? message.id;
+      if (bridge.backend.suppressDuplicateRequest('FP_ENROLL_RESULT', requestId)) return;
+      const releaseRequest = bridge.backend.trackRunningRequest('FP_ENROLL_RESULT', requestId);
+      try {
+        const led = message.led ?? message.payload?.led ?? 'scanning';
+        const ledOff = message.ledOff ?? message.payload?.ledOff ?? 'idle';
+        const timeoutMs = message.timeoutMs ?? message.timeout_ms ?? message.payload?.timeoutMs ?? message.payload?.timeout_ms;
+        const allowDuplicate = message.allowDuplicate ?? message.allow_duplicate ?? message.payload?.allowDuplicate ?? message.payload?.allow_duplicate;
+        const result = await bridge.sensor.enroll({
+          sensorId,
+          timeoutMs,
+          allowDuplicate,
+          led,
+          ledOff,
+          onProgress: (progress) => bridge.backend.send({ type: 'FP_ENROLL_PROGRESS', ...progress, requestId }),
+          ...sensorQueueOptions(message, 'enroll', requestId)
+        });
+        bridge.backend.send({
+          type: 'FP_ENROLL_RESULT',
+          ok: true,
+          result,
+          payload: result,
+          sensorId: result?.id ?? (Number(sensorId) || null),
+          duplicate: duplicateSummary(result?.duplicateCheck),
+          requestId
+        });
+      } catch (err) {
+        warn('fp enroll request failed:', err?.message || err);
+        bridge.backend.send({
+          type: 'FP_ENROLL_RESULT',
+          ok: false,
+          error: err?.message || 'enroll_failed',
+          code: err?.statusCode || err?.status || 500,
+          payload: err?.payload || null,
+          sensorId: err?.payload?.id ?? (Number(sensorId) || null),
+          duplicate: duplicateSummary(err?.payload?.duplicateCheck),
+          requestId
+        });
+      } finally {
+        releaseRequest();
+      }
+      return;
+    }
+
+    if (type === 'FP_ENROLL_CANCEL') {
+      const requestId = message.requestId ?? message.payload?.requestId ?? null;
+      const cancelled = bridge.sensor.cancelEnroll(requestId);
+      bridge.backend.send({
+        type: 'FP_ENROLL_CANCELLED',
+        ok: !!cancelled?.cancelled,
+        state: cancelled?.state || 'not_found',
+        sensorId: cancelled?.meta?.sensorId ?? null,
+        requestId: cancelled?.requestId ?? requestId
+      });
+      return;
+    }
+
+    if (type === 'FP_DELETE_REQUEST') {
+      const requestId = message.requestId || null;
+      const sensorId = message.sensorId ?? message.sensor_id ?? message.id ?? message.payload?.sensorId ?? message.payload?.sensor_id;
+      const allowMissing = message.allowMissing ?? message.allow_missing ?? message.payload?.allowMissing ?? false;
+      if (bridge.backend.suppressDuplicateRequest('FP_DELETE_RESULT', requestId)) return;
+      const releaseRequest = bridge.backend.trackRunningRequest('FP_DELETE_RESULT', requestId);
+      try {
+        const result = await bridge.sensor.delete({
+          sensorId,
+          allowMissing,
+          timeoutMs: message.timeoutMs ?? message.timeout_ms,
+          ...sensorQueueOptions(message, 'delete', requestId)
+        });
+        bridge.backend.send({
+          type: 'FP_DELETE_RESULT',
+          ok: true,
+          result,
+          payload: result,
+          sensorId: Number(sensorId) || null,
+          requestId
+        });
+      } catch (err) {
+        warn('fp delete request failed:', err?.message || err);
+        bridge.backend.send({
+          type: 'FP_DELETE_RESULT',
+          ok: false,
+          error: err?.message || 'delete_failed',
+          code: err?.statusCode || err?.status || 500,
+          payload: err?.payload || null,
+          sensorId: Number(sensorId) || null,
+          requestId
+        });
+      } finally {
+        releaseRequest();
+      }
+      return;
+    }
+
+    if (type === 'FP_CLEAR_REQUEST') {
+      const requestId = message.requestId || null;
+      try {
+        const result = await bridge.sensor.clear({ timeoutMs: message.timeoutMs ?? message.timeout_ms, ...sensorQueueOptions(message, 'clear', requestId) });
+        bridge.backend.send({ type: 'FP_CLEAR_RESULT', ok: true, result, payload: result, requestId });
+      } catch (err) {
+        warn('fp clear request failed:', err?.message || err);
+        bridge.backend.send({
+          type: 'FP_CLEAR_RESULT',
+          ok: false,
+          error: err?.message || 'clear_failed',
+          code: err?.statusCode || err?.status || 500,
+          payload: err?.payload || null,
+          requestId
+        });
+      }
+      return;
+    }
+
+    if (type === 'FP_COUNT_REQUEST') {
+      const requestId = message.requestId || null;
+      try {
+        const result = await bridge.sensor.count({ timeoutMs: message.timeoutMs ?? message.timeout_ms, ...sensorQueueOptions(message, 'count', requestId) });
+        const count = result?.count ?? result?.result?.count ?? result?.result;
+        bridge.backend.send({ type: 'FP_COUNT_RESULT', ok: true, count, result, payload: result, requestId });
+      } catch (err) {
+        warn('fp count request failed:', err?.message || err);
+        bridge.backend.send({
+          type: 'FP_COUNT_RESULT',
+          ok: false,
+          error: err?.message || 'count_failed',
+          code: err?.statusCode || err?.status || 500,
+          payload: err?.payload || null,
+          requestId
+        });
+      }
+      return;
+    }
+
+    if (type === 'FP_LIST_REQUEST') {
+      const requestId = message.requestId || null;
+      try {
+        const result = await bridge.slots.list(sensorQueueOptions(message, 'index', requestId));
+        bridge.backend.send({ type: 'FP_LIST_RESULT', ok: true, ...result, requestId });
+      } catch (err) {
+        warn('fp list request failed:', err?.message || err);
+        bridge.backend.send({
+          type: 'FP_LIST_RESULT',
+          ok: false,
+          error: err?.message || 'list_failed',
+          code: err?.statusCode || err?.status || 500,
+          payload: err?.payload || null,
+          requestId
+        });
+      }
+      return;
+    }
+
+    if (type === 'FP_RECONCILE_REQUEST') {
+      const requestId = message.requestId || null;
+      try {
+        const mappings = message.mappings ?? message.payload?.mappings;
+        const report = await bridge.slots.reconcile(mappings, sensorQueueOptions(message, 'index', requestId));
+        bridge.backend.send({ type: 'FP_RECONCILE_RESULT', ...report, requestId });
+      } catch (err) {
+        warn('fp reconcile request failed:', err?.message || err);
+        bridge.backend.send({
+          type: 'FP_RECONCILE_RESULT',
+          ok: false,
+          error: err?.message || 'reconcile_failed',
+          code: err?.statusCode || err?.status || 500,
+          payload: err?.payload || null,
+          requestId
+        });
+      }
+      return;
+    }
+
+    if (type === 'FP_EXPORT_REQUEST' || type === 'FP_IMPORT_REQUEST') {
+      const requestId = message.requestId || null;
+      const exporting = type === 'FP_EXPORT_REQUEST';
+      const resultType = exporting ? 'FP_EXPORT_RESULT' : 'FP_IMPORT_RESULT';
+      const payload = message.payload || {};
+      const options = {
+        onProgress: (progress) => bridge.backend.send({ type: 'FP_TEMPLATE_PROGRESS', ...progress, requestId }),
+        ...sensorQueueOptions(message, exporting ? 'template_export' : 'template_import', requestId)
+      };
+      try {
+        const result = exporting
+          ? await bridge.templates.export({
+            slots: message.slots ?? payload.slots,
+            destination: message.destination ?? payload.destination ?? 'backend',
+            ...options
+          })
+          : await bridge.templates.import({
+            backupId: message.backupId ?? payload.backupId,
+            backup: message.backup ?? payload.backup,
+            slots: message.slots ?? payload.slots,
+            verify: (message.verify ?? payload.verify) !== false,
+            ...options
+          });
+        bridge.backend.send({ type: resultType, ...result, ok: result.ok !== false, requestId });
+      } catch (err) {
+        warn(`${exporting ? 'template export' : 'template import'} request failed:`, err?.message || err);
+        bridge.backend.send({
+          type: resultType,
+          ok: false,
+          error: err?.message || (exporting ? 'export_failed' : 'import_failed'),
+          code: err?.statusCode || err?.status || 500,
+          payload: err?.payload || null,
+          requestId
+        });
+      }
+      return;
+    }
+
+    if (type === 'FP_COMMAND_CANCEL') {
+      const requestId = message.requestId ?? message.payload?.requestId ?? null;
+      const cancelled = bridge.sensor.cancel(requestId);
+      bridge.backend.send({
+        type: 'FP_COMMAND_CANCELLED',
+        ok: !!cancelled?.cancelled,
+        state: cancelled?.state || 'not_found',
+        command: cancelled?.type || null,
+        requestId
+      });
+      return;
+    }
+
+    if (type === 'FP_HEALTH_REQUEST') {
+      const requestId = message.requestId || null;
+      try {
+        const status = bridge.buildHealthPayload();
+        bridge.backend.send({ type: 'FP_HEALTH', ok: true, status, payload: status, requestId });
+      } catch (err) {
+        warn('fp health request failed:', err?.message || err);
+        bridge.backend.send({
+          type: 'FP_HEALTH_ERROR',
+          ok: false,
+          error: err?.message || 'health_failed',
+          code: err?.statusCode || err?.status || 500,
+          requestId
+        });
+      }
+      return;
+    }
+  }
+
+  return handleBackendMessage;
+}
+
+module.exports = { createBackendCommandHandler };
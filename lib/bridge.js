@@ -0,0 +1,216 @@
+/**
+ * bridge.js — 지문 브릿지 조립
+ *
+ * createBridge(config) 는 센서·백엔드·락다운·로봇 등 각 서비스를 하나의 EventEmitter 에
+ * 묶어 돌려준다. 서비스끼리는 bridge.<서비스> 로 서로를 참조하므로 생성 순서는 상관없다.
+ *
+ * 이벤트: 'sensor:data', 'identify', 'identify:rejected', 'enroll:progress', 'backend:send', 'backend:ack', 'backend:state',
+ *         'session:complete', 'lockdown', 'lockout', 'robot', 'started', 'shutdown', 'stopped'
+ *
+ * shutdown() 은 새 명령을 거절한 뒤 로봇 작업·레일 명령·outbox 전송을 제한 시간 안에
+ * 정리하고 stop() 한다. SIGINT/SIGTERM 처리에 쓴다.
+ */
+
+const { EventEmitter } = require('events');
+const { DEFAULT_LED_OFF, loadConfig, mergeConfig } = require('./config');
+const { createLogger } = require('./logger');
+const { httpError, timeNow, withTimeout } = require('./util');
+const { createOutbox } = require('./outbox');
+const { createBackendLink } = require('./backend');
+const { createBackendCommandHandler } = require('./backend_commands');
+const { createOfflineService } = require('./offline');
+const { createSensorService } = require('./sensor');
+const { createIdentifyService } = require('./identify');
+const { createSessionHistory } = require('./session_history');
+const { createTemplateService } = require('./templates');
+const { createSlotService } = require('./slots');
+const { createIndicatorService } = require('./indicators');
+const { createLockdownService } = require('./lockdown');
+const { createLockoutService } = require('./lockout');
+const { createRailService } = require('./rail');
+const { createRobotService } = require('./robot');
+const { createDebugWs } = require('./debug_ws');
+const { createLocalApi } = require('./http_api');
+const { createMetrics } = require('./metrics');
+
+function createBridge(config = {}) {
+  const bridge = new EventEmitter();
+  bridge.config = mergeConfig(loadConfig({}), config);
+  bridge.closed = true;
+  bridge.draining = false;
+  bridge.shutdownState = null;
+  bridge.logger = createLogger({ ...bridge.config.log, fields: { site: bridge.config.site } });
+  bridge.log = bridge.logger.info;
+  bridge.warn = bridge.logger.warn;
+  let shutdownPromise = null;
+
+  bridge.metrics = createMetrics(bridge);
+  bridge.outbox = createOutbox(bridge);
+  bridge.backend = createBackendLink(bridge);
+  bridge.offline = createOfflineService(bridge);
+  bridge.sensor = createSensorService(bridge);
+  bridge.identify = createIdentifyService(bridge);
+  bridge.history = createSessionHistory(bridge);
+  bridge.templates = createTemplateService(bridge);
+  bridge.slots = createSlotService(bridge);
+  bridge.indicators = createIndicatorService(bridge);
+  bridge.lockdown = createLockdownService(bridge);
+  bridge.lockout = createLockoutService(bridge);
+  bridge.rail = createRailService(bridge);
+  bridge.robot = createRobotService(bridge);
+  bridge.debugWs = createDebugWs(bridge);
+  bridge.localApi = createLocalApi(bridge);
+  bridge.handleBackendMessage = createBackendCommandHandler(bridge);
+
+  bridge.buildHealthPayload = function buildHealthPayload(){
+    return {
+      ok: true,
+      time: timeNow(),
+      serial: bridge.sensor.snapshot(),
+      identify: bridge.identify.snapshot(),
+      led: { ...bridge.indicators.ledState },
+      forward: { ...bridge.backend.status },
+      outbox: bridge.outbox.snapshot(),
+      offline: bridge.offline.snapshot(),
+      command: bridge.sensor.snapshotCommand(),
+      slots: bridge.slots.snapshot(),
+      lockdown: bridge.lockdown.snapshot(),
+      lockout: bridge.lockout.snapshot(),
+      robot: bridge.robot.snapshot(),
+      shutdown: bridge.shutdownState ? { ...bridge.shutdownState } : null
+    };
+  };
+
+  bridge.start = async function start(){
+    const { config, log, warn } = bridge;
+    bridge.draining = false;
+    bridge.shutdownState = null;
+    shutdownPromise = null;
+    log('env:', {
+      PORT_HINT: config.serial.port,
+      BAUD: config.serial.baud,
+      MOCK_SENSOR_CONFIG: config.serial.port === 'mock' ? (config.serial.mockConfig || '[defaults]') : '',
+      AUTO_IDENTIFY: config.identify.auto,
+      IDENTIFY_BACKOFF_MS: config.identify.backoffMs,
+      BACKEND_WS_URL: config.backend.url ? '[set]' : '',
+      BACKEND_OUTBOX: bridge.outbox.state.persistent ? config.backend.outbox.file : 'memory',
+      FP_SITE: config.site,
+      DEBUG_WS: config.debugWs.enabled,
+      DEBUG_WS_PORT: config.debugWs.port,
+      OFFLINE_MODE: config.offline.disabled ? 'disabled' : `after ${config.offline.afterMs}ms`,
+      LOCAL_API: config.localApi.disabled ? 'disabled' : `${config.localApi.host}:${config.localApi.port}`,
+      ROBOT_SCRIPT: bridge.robot.state.script || '',
+      PYTHON_BIN: config.robot.python,
+      ROBOT_ENABLED: bridge.robot.state.enabled
+    });
+
+    bridge.closed = false;
+    bridge.outbox.load();
+    bridge.offline.load();
+    bridge.slots.load();
+    bridge.history.load();
+    bridge.lockdown.load();
+    bridge.offline.scheduleCheck();
+    bridge.debugWs.start();
+    bridge.localApi.start();
+    bridge.backend.connect();
+    bridge.identify.runLoop().catch(err => warn('identify loop exited:', err?.message || err));
+
+    try {
+      await bridge.sensor.open();
+    } catch (err) {
+      warn('initial open failed:', err.message || err);
+      bridge.sensor.reconnect();
+    }
+    bridge.emit('started');
+  };
+
+  bridge.stop = async function stop(){
+    bridge.closed = true;
+    bridge.offline.stop();
+    bridge.lockout.stop();
+    bridge.lockdown.stop();
+    bridge.identify.cancelTimers();
+    bridge.indicators.stop();
+    bridge.backend.close();
+    await bridge.localApi.close();
+    await bridge.debugWs.close();
+    await bridge.sensor.close();
+    bridge.emit('stopped');
+  };
+
+  async function drainAndStop({ signal, reason }){
+    const { config, log, warn } = bridge;
+    const startedAt = timeNow();
+    const timeoutMs = Math.max(1000, config.shutdown.timeoutMs);
+    const deadline = startedAt + timeoutMs;
+    const remaining = () => Math.max(0, deadline - timeNow());
+    const activeJob = bridge.robot.state.active;
+
+    bridge.draining = true;
+    bridge.shutdownState = { signal, reason, startedAt, timeoutMs };
+    log('shutting down', { signal, reason, timeoutMs });
+
+    const status = {
+      type: 'BRIDGE_SHUTDOWN',
+      status: 'shutting_down',
+      signal,
+      reason,
+      startedAt,
+      timeoutMs,
+      robot: activeJob && !activeJob.finishedAt ? { id: activeJob.id, requestId: activeJob.requestId ?? null } : null,
+      lockdown: bridge.lockdown.isActive()
+    };
+    if (config.backend.url) bridge.backend.send(status);
+    bridge.debugWs.broadcast(status);
+    bridge.emit('shutdown', status);
+
+    bridge.identify.stop('bridge_shutdown', { turnOffLed: false });
+    bridge.sensor.queue.clear(httpError(503, 'bridge_shutting_down'));
+    if (bridge.sensor.isOpen()) {
+      // 일시적인 소유자만 내려놓는다. 락다운·차단 표시는 중재기가 그대로 유지한다.
+      for (const owner of ['identify', 'enroll', 'local', 'backend']) {
+        bridge.indicators.releaseLed(owner, { fallback: DEFAULT_LED_OFF });
+      }
+      if (!bridge.indicators.ledState.owner) bridge.indicators.applyLedCommand(DEFAULT_LED_OFF);
+    }
+
+    if (activeJob && !activeJob.finishedAt) {
+      const graceMs = Math.min(config.shutdown.robotGraceMs, remaining());
+      const finished = await bridge.robot.waitForJob(activeJob, { timeoutMs: graceMs }).then(() => true, () => false);
+      if (!finished) {
+        warn('robot job still running at shutdown; cancelling', { jobId: activeJob.id, requestId: activeJob.requestId ?? null });
+        bridge.robot.cancelActive('bridge_shutdown');
+      }
+    }
+
+    const railDone = await withTimeout(bridge.rail.idle().then(() => true), remaining(), false);
+    if (!railDone) warn('[rail] command still running at shutdown');
+
+    const unsent = await bridge.backend.drain(remaining());
+    bridge.outbox.compact();
+    if (unsent && config.backend.url) {
+      if (bridge.outbox.state.persistent) {
+        log('[outbox] pending messages kept for next start', { count: unsent, file: bridge.outbox.state.file });
+      } else {
+        warn('[outbox] unsent messages dropped at shutdown', { count: unsent });
+      }
+    }
+
+    await bridge.stop();
+    const summary = { durationMs: timeNow() - startedAt, unsent };
+    log('shutdown complete', summary);
+    return summary;
+  }
+
+  bridge.shutdown = function shutdown({ signal = null, reason = 'shutdown' } = {}){
+    if (!shutdownPromise) {
+      shutdownPromise = drainAndStop({ signal, reason });
+    }
+    return shutdownPromise;
+  };
+
+  return bridge;
+}
+
+module.exports = { createBridge };
@@ -0,0 +1,150 @@
+/**
+ * command_queue.js — 센서 명령 우선순위 대기열
+ *
+ * 센서는 한 번에 한 명령만 처리하므로 등록/삭제/초기화/개수 조회와 Identify 스캔을
+ * 하나의 대기열로 직렬화한다. 우선순위가 높은 항목이 먼저 실행되고(같으면 들어온 순서),
+ * 대기 시간 제한·requestId 로 취소·대기 순번 알림(onQueued)을 지원한다. 실행 중인 항목은
+ * cancellable 일 때만 item.controller 를 abort 해 취소를 요청한다.
+ * idle 우선순위(Identify 루프)는 길이 제한과 순번 계산에서 빠진다. 외부 입력의 우선순위는
+ * high~low 로 제한되며 idle 은 내부 전용이다.
+ */
+
+const { httpError, timeNow } = require('./util');
+
+const PRIORITIES = { high: 10, normal: 20, low: 30, idle: 100 };
+
+function resolvePriority(value, fallback = 'normal'){
+  if (typeof value === 'number' && Number.isFinite(value)) {
+    return Math.min(Math.max(value, PRIORITIES.high), PRIORITIES.low);
+  }
+  const name = String(value || '').toLowerCase();
+  if (name !== 'idle' && PRIORITIES[name] !== undefined) return PRIORITIES[name];
+  return PRIORITIES[fallback] ?? PRIORITIES.normal;
+}
+
+function createCommandQueue({ maxLength = 8, waitTimeoutMs = 120000 } = {}) {
+  const waiting = [];
+  let running = null;
+  let counter = 0;
+
+  const isCommand = (item) => item.priority < PRIORITIES.idle;
+
+  function describe(item){
+    return {
+      id: item.id,
+      type: item.type,
+      requestId: item.requestId,
+      priority: item.priority,
+      enqueuedAt: item.enqueuedAt,
+      startedAt: item.startedAt || null
+    };
+  }
+
+  function reportPositions(){
+    const commands = waiting.filter(isCommand);
+    commands.forEach((item, index) => {
+      if (typeof item.onQueued !== 'function' || item.reportedPosition === index + 1) return;
+      item.reportedPosition = index + 1;
+      try {
+        item.onQueued({ position: index + 1, queueLength: commands.length, running: running ? running.type : null });
+      } catch (_) {}
+    });
+  }
+
+  function pump(){
+    if (running || !waiting.length) return;
+    const item = waiting.shift();
+    clearTimeout(item.timer);
+    running = item;
+    item.startedAt = timeNow();
+    Promise.resolve()
+      .then(() => item.run(item))
+      .then(item.resolve, item.reject)
+      .finally(() => {
+        running = null;
+        pump();
+        reportPositions();
+      });
+  }
+
+  function remove(item, err){
+    const index = waiting.indexOf(item);
+    if (index < 0) return false;
+    waiting.splice(index, 1);
+    clearTimeout(item.timer);
+    item.reject(err);
+    reportPositions();
+    return true;
+  }
+
+  function enqueue({ type, priority, requestId = null, meta = {}, waitTimeoutMs: itemWaitMs, cancellable = false, onQueued, run }){
+    const level = priority === 'idle' ? PRIORITIES.idle : resolvePriority(priority);
+    if (level < PRIORITIES.idle && maxLength > 0 && waiting.filter(isCommand).length >= maxLength) {
+      return Promise.reject(httpError(429, 'command_queue_full'));
+    }
+    return new Promise((resolve, reject) => {
+      counter += 1;
+      const item = {
+        id: counter,
+        type,
+        priority: level,
+        requestId: requestId === undefined || requestId === '' ? null : requestId,
+        meta,
+        enqueuedAt: timeNow(),
+        startedAt: 0,
+        reportedPosition: 0,
+        timer: null,
+        controller: cancellable ? new AbortController() : null,
+        onQueued,
+        run,
+        resolve,
+        reject
+      };
+      const waitMs = Number(itemWaitMs ?? waitTimeoutMs);
+      if (waitMs > 0) {
+        item.timer = setTimeout(() => remove(item, httpError(504, 'queue_timeout')), waitMs);
+      }
+      const index = waiting.findIndex((other) => other.priority > level);
+      waiting.splice(index < 0 ? waiting.length : index, 0, item);
+      pump();
+      reportPositions();
+    });
+  }
+
+  // match 는 requestId 또는 (item) => boolean. 실행 중이면 abort 하고, 대기 중이면 바로 뺀다.
+  function cancel(match, err = httpError(409, 'command_cancelled')){
+    const matches = typeof match === 'function'
+      ? match
+      : (item) => match !== null && match !== undefined && match !== '' && item.requestId !== null && String(item.requestId) === String(match);
+    if (running && isCommand(running) && matches(running)) {
+      const cancelled = !!running.controller && !running.controller.signal.aborted;
+      if (cancelled) running.controller.abort(err);
+      return { state: 'running', type: running.type, requestId: running.requestId, meta: running.meta, cancelled };
+    }
+    const item = waiting.find((entry) => isCommand(entry) && matches(entry));
+    if (item) {
+      remove(item, err);
+      return { state: 'queued', type: item.type, requestId: item.requestId, meta: item.meta, cancelled: true };
+    }
+    return null;
+  }
+
+  function clear(err){
+    for (const item of [...waiting]) remove(item, err);
+  }
+
+  return {
+    enqueue,
+    cancel,
+    clear,
+    busy: () => (!!running && isCommand(running)) || waiting.some(isCommand),
+    running: () => running,
+    snapshot: () => ({
+      running: running ? describe(running) : null,
+      waiting: waiting.filter(isCommand).map(describe),
+      maxLength
+    })
+  };
+}
+
+module.exports = { createCommandQueue, resolvePriority, PRIORITIES };
@@ -0,0 +1,232 @@
+/**
+ * config.js — 환경 변수 → 브릿지 설정 객체
+ *
+ * createBridge(config) 는 이 모듈이 만든 기본값 위에 전달된 설정을 덮어쓴다.
+ * fingerprint_bridge.js 실행 시에는 .env 를 읽은 process.env 를 그대로 넘긴다.
+ */
+
+const path = require('path');
+
+const ROOT_DIR = path.join(__dirname, '..');
+
+const DEFAULT_LED_ON = { mode: 'breathing', color: 'blue', speed: 18 };
+const DEFAULT_LED_OFF = { mode: 'off' };
+
+// 이름 있는 LED 패턴. 프레임 하나이거나 { steps: [{ ...프레임, durationMs }], repeat, then } 시퀀스다.
+// LED_PATTERNS(JSON 문자열 또는 파일 경로)로 이름별로 덮어쓰거나 새 패턴을 더할 수 있다.
+const DEFAULT_LED_PATTERNS = {
+  idle: DEFAULT_LED_OFF,
+  scanning: DEFAULT_LED_ON,
+  match: { steps: [{ mode: 'flashing', color: 'green', speed: 8, cycles: 3, durationMs: 1500 }], then: 'idle' },
+  no_match: { steps: [{ mode: 'flashing', color: 'red', speed: 4, cycles: 2, durationMs: 1000 }] },
+  enroll_step: { mode: 'flashing', color: 'purple', speed: 10 },
+  session_progress: { mode: 'breathing', color: 'purple', speed: 18 },
+  lockout: { mode: 'flashing', color: 'red', speed: 6 },
+  lockdown: { steps: [{ mode: 'on', color: 'red', durationMs: 500 }, { mode: 'off', durationMs: 500 }], repeat: true },
+  offline: { mode: 'breathing', color: 'purple', speed: 40 }
+};
+
+// 이름 있는 부저 패턴. 펌웨어는 켜기/끄기만 하므로 { state, durationMs } 단계를 브릿지가 재생한다.
+// 마지막 단계에 durationMs 가 없으면 그 상태를 유지한다. BUZZER_PATTERNS 로 덮어쓸 수 있다.
+const DEFAULT_BUZZER_PATTERNS = {
+  beep: { steps: [{ state: 'on', durationMs: 150 }, { state: 'off', durationMs: 150 }] },
+  no_match: { steps: [{ state: 'on', durationMs: 120 }, { state: 'off', durationMs: 120 }], repeat: 2 },
+  intermittent: { steps: [{ state: 'on', durationMs: 500 }, { state: 'off', durationMs: 500 }], repeat: true },
+  warning: { steps: [{ state: 'on', durationMs: 300 }, { state: 'off', durationMs: 1700 }], repeat: true },
+  siren: { steps: [{ state: 'on' }] },
+  lockdown: 'siren'
+};
+
+// 락다운 단계(낮은 것부터). 단계마다 부저 패턴(buzzer, false 면 무음), LED 패턴(led), 레일 전개(rail),
+// 로봇 작업 중단(abortRobot), identify 중지(disableIdentify), 다음 단계로 자동 상향하는 시간
+// (escalateAfterMs, 0 이면 끔)을 정한다. 관리자 지문 해제가 막히지 않도록 기본값은 identify 를 멈추지 않는다.
+// LOCKDOWN_LEVELS(JSON 배열 문자열 또는 파일 경로)로 통째로 바꿀 수 있다.
+const DEFAULT_LOCKDOWN_LEVELS = [
+  { name: 'alert', buzzer: 'warning', led: 'lockdown', rail: false, abortRobot: false, disableIdentify: false, escalateAfterMs: 120000 },
+  { name: 'restricted', buzzer: 'intermittent', led: 'lockdown', rail: false, abortRobot: true, disableIdentify: false, escalateAfterMs: 300000 },
+  { name: 'full', buzzer: 'lockdown', led: 'lockdown', rail: true, abortRobot: true, disableIdentify: false, escalateAfterMs: 0 }
+];
+
+function normalizeBackendWsUrl(raw) {
+  if (!raw) return '';
+  try {
+    const url = new URL(raw);
+    url.pathname = '/ws';
+    url.search = url.search || '';
+    return url.toString().replace(/\/$/, '');
+  } catch (err) {
+    if (/^wss?:\/\//i.test(raw)) {
+      const [base, query] = raw.split('?');
+      const trimmed = base.replace(/\/+$/, '');
+      const withPath = /\/ws$/i.test(trimmed) ? trimmed : `${trimmed}/ws`;
+      return query ? `${withPath}?${query}` : withPath;
+    }
+    return raw;
+  }
+}
+
+function loadConfig(env = process.env) {
+  const forwardToken = env.RENDER_FP_TOKEN || '';
+  const python = env.PYTHON_BIN || (process.platform === 'win32' ? 'python' : 'python3');
+  return {
+    site: env.FP_SITE || 'default',
+    log: {
+      level: (env.LOG_LEVEL || 'info').toLowerCase(),
+      format: (env.LOG_FORMAT || 'json').toLowerCase(),
+      console: (env.LOG_CONSOLE || '1') === '1',
+      file: env.LOG_FILE || '',
+      maxBytes: Number(env.LOG_MAX_BYTES || 10 * 1024 * 1024),
+      daily: (env.LOG_ROTATE_DAILY || '1') === '1',
+      maxFiles: Number(env.LOG_MAX_FILES || 14)
+    },
+    led: {
+      patterns: env.LED_PATTERNS || ''
+    },
+    buzzer: {
+      patterns: env.BUZZER_PATTERNS || '',
+      lockdownSilenceMs: Number(env.LOCKDOWN_BUZZER_SILENCE_MS || 0),
+      identifyFailPattern: env.IDENTIFY_FAIL_BUZZER || 'no_match'
+    },
+    serial: {
+      port: env.FINGERPRINT_PORT || 'auto',
+      baud: Number(env.FINGERPRINT_BAUD || 115200),
+      mockConfig: env.MOCK_SENSOR_CONFIG || '',
+      mockDbFile: env.MOCK_SENSOR_DB_FILE || ''
+    },
+    identify: {
+      auto: (env.AUTO_IDENTIFY || '0') === '1',
+      backoffMs: Number(env.IDENTIFY_BACKOFF_MS || 300),
+      minConfidence: Number(env.IDENTIFY_MIN_CONFIDENCE || 0),
+      requireConfirm: (env.IDENTIFY_REQUIRE_CONFIRM || '0') === '1',
+      confirmWindowMs: Number(env.IDENTIFY_CONFIRM_WINDOW_MS || 5000)
+    },
+    history: {
+      file: env.SESSION_HISTORY_FILE || path.join(ROOT_DIR, 'session_history.jsonl'),
+      maxSessions: Number(env.SESSION_HISTORY_MAX || 1000),
+      maxScans: Number(env.SESSION_HISTORY_MAX_SCANS || 200)
+    },
+    lockout: {
+      enabled: (env.IDENTIFY_LOCKOUT_ENABLED || '1') === '1',
+      maxConsecutive: Number(env.IDENTIFY_LOCKOUT_FAILURES || 5),
+      maxInWindow: Number(env.IDENTIFY_LOCKOUT_WINDOW_FAILURES || 8),
+      windowMs: Number(env.IDENTIFY_LOCKOUT_WINDOW_MS || 10 * 60 * 1000),
+      durationMs: Number(env.IDENTIFY_LOCKOUT_MS || 60000),
+      lockdownFailures: Number(env.IDENTIFY_LOCKDOWN_FAILURES || 0)
+    },
+    sensor: {
+      enrollTimeoutMs: Number(env.ENROLL_TIMEOUT_MS || 70000),
+      deleteTimeoutMs: Number(env.DELETE_TIMEOUT_MS || 18000),
+      clearTimeoutMs: Number(env.CLEAR_TIMEOUT_MS || 25000),
+      countTimeoutMs: Number(env.COUNT_TIMEOUT_MS || 8000),
+      queueMax: Number(env.SENSOR_QUEUE_MAX || 8),
+      queueWaitMs: Number(env.SENSOR_QUEUE_WAIT_MS || 120000),
+      // reject | warn | off — 요청의 allowDuplicate 가 없을 때 쓰는 중복 지문 검사 방식
+      duplicateCheck: (env.ENROLL_DUPLICATE_CHECK || 'reject').toLowerCase()
+    },
+    templates: {
+      dir: env.TEMPLATE_BACKUP_DIR || path.join(ROOT_DIR, 'template_backups'),
+      key: env.TEMPLATE_BACKUP_KEY || '',
+      chunkBytes: Number(env.TEMPLATE_CHUNK_BYTES || 128),
+      timeoutMs: Number(env.TEMPLATE_TIMEOUT_MS || 10000),
+      retries: Number(env.TEMPLATE_RETRIES || 2)
+    },
+    slots: {
+      file: env.SLOT_MAP_FILE || path.join(ROOT_DIR, 'slot_map.json'),
+      capacity: Number(env.SENSOR_CAPACITY || 200)
+    },
+    backend: {
+      url: normalizeBackendWsUrl(
+        env.RENDER_WSS_URL
+        || env.RENDER_WS_URL
+        || env.RENDER_FP_WS_URL
+        || env.RENDER_FP_URL
+        || ''
+      ),
+      token: forwardToken,
+      ackMode: (env.BACKEND_ACK_MODE || 'auto').toLowerCase(),
+      ackTimeoutMs: Number(env.BACKEND_ACK_TIMEOUT_MS || 15000),
+      resultDedupeMs: Number(env.BACKEND_RESULT_DEDUPE_MS || 10 * 60 * 1000),
+      outbox: {
+        disabled: (env.BACKEND_OUTBOX_DISABLED || '') === '1',
+        file: env.BACKEND_OUTBOX_FILE || path.join(ROOT_DIR, 'backend_outbox.jsonl'),
+        maxItems: Number(env.BACKEND_OUTBOX_MAX_ITEMS || 5000),
+        maxAgeMs: Number(env.BACKEND_OUTBOX_MAX_AGE_MS || 24 * 60 * 60 * 1000),
+        compactEvery: Number(env.BACKEND_OUTBOX_COMPACT_EVERY || 500)
+      }
+    },
+    offline: {
+      disabled: (env.OFFLINE_MODE_DISABLED || '') === '1',
+      afterMs: Number(env.OFFLINE_AFTER_MS || 60000),
+      allowListFile: env.OFFLINE_ALLOWLIST_FILE || path.join(ROOT_DIR, 'offline_allowlist.json'),
+      ledgerFile: env.OFFLINE_LEDGER_FILE || path.join(ROOT_DIR, 'offline_ledger.jsonl'),
+      syncBatch: Number(env.OFFLINE_SYNC_BATCH || 200)
+    },
+    debugWs: {
+      enabled: (env.DEBUG_WS || '') === '1',
+      port: Number(env.DEBUG_WS_PORT || 8787)
+    },
+    localApi: {
+      disabled: (env.LOCAL_API_DISABLED || '') === '1',
+      host: env.LOCAL_API_HOST || '127.0.0.1',
+      port: Number(env.LOCAL_API_PORT || 8788),
+      token: env.LOCAL_API_TOKEN || '',
+      bodyLimit: 1024 * 1024
+    },
+    robot: {
+      disabled: (env.ROBOT_DISABLED || '') === '1',
+      python,
+      script: env.ROBOT_SCRIPT || path.join(ROOT_DIR, '..', 'AAMS_ROBOT+RL+VIS', 'mission_controller_with_vision.py'),
+      forwardUrl: env.ROBOT_FORWARD_URL || env.RENDER_ROBOT_URL || '',
+      forwardToken: env.ROBOT_FORWARD_TOKEN || env.RENDER_ROBOT_TOKEN || forwardToken || '',
+      historyLimit: 10
+    },
+    rail: {
+      disabled: (env.RAIL_DISABLED || '') === '1',
+      python,
+      script: path.join(ROOT_DIR, 'rail_control.py'),
+      host: env.RAIL_BRIDGE_HOST
+        || env.ROBOT_BRIDGE_HOST
+        || env.ROBOT_HOST
+        || env.BRIDGE_HOST
+        || '127.0.0.1',
+      lockdownPosition: Number(env.RAIL_LOCKDOWN_POSITION || 800),
+      lockdownSpeed: Number(env.RAIL_LOCKDOWN_SPEED || 200),
+      commandTimeoutMs: Number(env.RAIL_COMMAND_TIMEOUT_MS || 45000)
+    },
+    lockdown: {
+      stateFile: env.LOCKDOWN_STATE_FILE || path.join(ROOT_DIR, 'lockdown_state.json'),
+      levels: env.LOCKDOWN_LEVELS || '',
+      defaultLevel: env.LOCKDOWN_DEFAULT_LEVEL || ''
+    },
+    shutdown: {
+      timeoutMs: Number(env.SHUTDOWN_TIMEOUT_MS || 15000),
+      robotGraceMs: Number(env.SHUTDOWN_ROBOT_GRACE_MS || 8000)
+    }
+  };
+}
+
+function isPlainObject(value) {
+  return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+function mergeConfig(base, overrides) {
+  if (!isPlainObject(overrides)) return base;
+  const merged = { ...base };
+  for (const [key, value] of Object.entries(overrides)) {
+    if (value === undefined) continue;
+    merged[key] = isPlainObject(value) && isPlainObject(base[key]) ? mergeConfig(base[key], value) : value;
+  }
+  return merged;
+}
+
+module.exports = {
+  ROOT_DIR,
+  DEFAULT_LED_ON,
+  DEFAULT_LED_OFF,
+  DEFAULT_LED_PATTERNS,
+  DEFAULT_BUZZER_PATTERNS,
+  DEFAULT_LOCKDOWN_LEVELS,
+  normalizeBackendWsUrl,
+  loadConfig,
+  mergeConfig
+};
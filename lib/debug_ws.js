@@ -0,0 +1,52 @@
+/**
+ * debug_ws.js — 개발용 디버그 WebSocket 서버
+ *
+ * DEBUG_WS=1 일 때 센서 이벤트를 모든 클라이언트에 그대로 뿌리고,
+ * 클라이언트가 보낸 JSON 은 시리얼로 직접 전달한다.
+ */
+
+const WebSocket = require('ws');
+const { closeServer } = require('./util');
+
+function createDebugWs(bridge) {
+  const { config, log } = bridge;
+  let wsServer = null;
+
+  function setupDebugWS(){
+    if (!config.debugWs.enabled) return;
+    wsServer = new WebSocket.Server({ port: config.debugWs.port });
+    wsServer.on('connection', ws => {
+      ws.send(JSON.stringify({ hello: 'fp-bridge', version: 'bridge-2.0' }));
+      ws.on('message', buf => {
+        let obj;
+        try { obj = JSON.parse(String(buf)); }
+        catch { return; }
+        bridge.sensor.write(obj);
+      });
+    });
+    log(`debug ws on ws://localhost:${config.debugWs.port}`);
+  }
+
+  function wsBroadcast(obj){
+    if (!wsServer) return;
+    const payload = JSON.stringify(obj);
+    wsServer.clients.forEach(client => {
+      if (client.readyState === WebSocket.OPEN){
+        client.send(payload);
+      }
+    });
+  }
+
+  async function closeDebugWs(){
+    await closeServer(wsServer);
+    wsServer = null;
+  }
+
+  return {
+    start: setupDebugWS,
+    close: closeDebugWs,
+    broadcast: wsBroadcast
+  };
+}
+
+module.exports = { createDebugWs };
@@ -0,0 +1,398 @@
+/**
+ * http_api.js — 로컬 HTTP 제어 API
+ *
+ * 백엔드 WebSocket 명령과 같은 동작을 127.0.0.1 의 HTTP 엔드포인트로 제공한다.
+ * LOCAL_API_TOKEN 이 설정되면 Bearer 또는 x-bridge-token 헤더로 인증한다.
+ * GET /metrics 는 Prometheus 텍스트 형식 지표를 돌려준다.
+ */
+
+const http = require('http');
+const { cleanObject, closeServer, httpError, timeNow } = require('./util');
+
+function readJsonBody(req, limit){
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > limit) {
+        reject(httpError(413, 'payload_too_large'));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => {
+      const text = Buffer.concat(chunks).toString('utf8').trim();
+      if (!text) {
+        resolve({});
+        return;
+      }
+      try {
+        const body = JSON.parse(text);
+        resolve(body && typeof body === 'object' ? body : {});
+      } catch (err) {
+        reject(httpError(400, 'invalid_json'));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+function sendJson(res, status, payload){
+  const body = JSON.stringify(payload);
+  res.writeHead(status, {
+    'Content-Type': 'application/json; charset=utf-8',
+    'Content-Length': Buffer.byteLength(body),
+    'Cache-Control': 'no-store'
+  });
+  res.end(body);
+}
+
+function sendText(res, status, body, contentType){
+  res.writeHead(status, {
+    'Content-Type': contentType,
+    'Content-Length': Buffer.byteLength(body),
+    'Cache-Control': 'no-store'
+  });
+  res.end(body);
+}
+
+function createLocalApi(bridge) {
+  const { config, log, warn } = bridge;
+  const api = config.localApi;
+  let localApiServer = null;
+
+  const localApiRoutes = [
+    { method: 'GET', path: /^\/health$/, handler: () => bridge.buildHealthPayload() },
+    {
+      method: 'GET',
+      path: /^\/metrics$/,
+      contentType: 'text/plain; version=0.0.4; charset=utf-8',
+      handler: () => bridge.metrics.render()
+    },
+    {
+      method: 'POST',
+      path: /^\/fp\/identify\/start$/,
+      handler: ({ body }) => {
+        const session = bridge.identify.startFromRequest(body, { source: 'local_api' });
+        return { ok: true, session: session ? { id: session.id, requestedAt: session.requestedAt, deadline: session.deadline, policy: { ...session.policy }, required: session.required } : null };
+      }
+    },
+    {
+      method: 'POST',
+      path: /^\/fp\/identify\/stop$/,
+      whileDraining: true,
+      handler: ({ body }) => {
+        const session = bridge.identify.stopFromRequest(body);
+        return { ok: true, session: session ? { id: session.id, active: session.active, reason: session.reason, stoppedAt: session.stoppedAt || timeNow() } : null };
+      }
+    },
+    {
+      method: 'POST',
+      path: /^\/fp\/enroll$/,
+      handler: async ({ body }) => {
+        const result = await bridge.sensor.enroll({
+          sensorId: body.sensorId ?? body.sensor_id ?? body.id,
+          timeoutMs: body.timeoutMs ?? body.timeout_ms,
+          led: body.led ?? 'scanning',
+          ledOff: body.ledOff ?? 'idle',
+          allowDuplicate: body.allowDuplicate ?? body.allow_duplicate,
+          requestId: body.requestId ?? null,
+          priority: body.priority
+        });
+        return { ok: true, result };
+      }
+    },
+    {
+      method: 'POST',
+      path: /^\/fp\/enroll\/cancel$/,
+      whileDraining: true,
+      handler: ({ body }) => {
+        const cancelled = bridge.sensor.cancelEnroll(body.requestId ?? null);
+        if (!cancelled) throw httpError(404, 'enroll_not_found');
+        return { ok: cancelled.cancelled, state: cancelled.state, sensorId: cancelled.meta?.sensorId ?? null, requestId: cancelled.requestId };
+      }
+    },
+    {
+      method: 'POST',
+      path: /^\/fp\/delete$/,
+      handler: async ({ body }) => {
+        const result = await bridge.sensor.delete({
+          sensorId: body.sensorId ?? body.sensor_id ?? body.id,
+          allowMissing: body.allowMissing ?? body.allow_missing ?? false,
+          timeoutMs: body.timeoutMs ?? body.timeout_ms,
+          requestId: body.requestId ?? null,
+          priority: body.priority
+        });
+        return { ok: true, result };
+      }
+    },
+    {
+      method: 'POST',
+      path: /^\/fp\/clear$/,
+      handler: async ({ body }) => ({
+        ok: true,
+        result: await bridge.sensor.clear({ timeoutMs: body.timeoutMs ?? body.timeout_ms, requestId: body.requestId ?? null, priority: body.priority })
+      })
+    },
+    {
+      method: 'GET',
+      path: /^\/fp\/templates\/backups$/,
+      handler: () => ({ ok: true, backups: bridge.templates.listBackups() })
+    },
+    {
+      method: 'POST',
+      path: /^\/fp\/templates\/export$/,
+      handler: async ({ body }) => {
+        const result = await bridge.templates.export({
+          slots: body.slots,
+          destination: 'local',
+          requestId: body.requestId ?? null,
+          priority: body.priority
+        });
+        return { ok: true, result };
+      }
+    },
+    {
+      method: 'POST',
+      path: /^\/fp\/templates\/import$/,
+      handler: async ({ body }) => {
+        const result = await bridge.templates.import({
+          backupId: body.backupId,
+          backup: body.backup,
+          slots: body.slots,
+          verify: body.verify !== false,
+          requestId: body.requestId ?? null,
+          priority: body.priority
+        });
+        return { ok: result.ok, result };
+      }
+    },
+    {
+      method: 'POST',
+      path: /^\/fp\/cancel$/,
+      whileDraining: true,
+      handler: ({ body }) => {
+        const cancelled = bridge.sensor.cancel(body.requestId);
+        if (!cancelled) throw httpError(404, 'command_not_found');
+        return { ok: cancelled.cancelled, state: cancelled.state, command: cancelled.type, requestId: body.requestId };
+      }
+    },
+    {
+      method: 'GET',
+      path: /^\/fp\/count$/,
+      handler: async ({ query }) => {
+        const result = await bridge.sensor.count({ timeoutMs: query.get('timeoutMs') });
+        return { ok: true, count: result?.count ?? result?.result?.count ?? result?.result, result };
+      }
+    },
+    {
+      method: 'GET',
+      path: /^\/fp\/slots$/,
+      handler: async ({ query }) => {
+        if (query.get('cached') === '1') return { ok: true, ...bridge.slots.snapshot() };
+        return { ok: true, ...(await bridge.slots.list()) };
+      }
+    },
+    {
+      method: 'POST',
+      path: /^\/fp\/slots\/reconcile$/,
+      handler: ({ body }) => bridge.slots.reconcile(body.mappings, { requestId: body.requestId ?? null, priority: body.priority })
+    },
+    {
+      method: 'POST',
+      path: /^\/led$/,
+      handler: ({ body }) => {
+        if (body.release) {
+          bridge.indicators.releaseLed('local');
+          return { ok: true, released: true, led: { ...bridge.indicators.ledState } };
+        }
+        const command = body.command || body;
+        if (!bridge.indicators.resolveLed(command)) throw httpError(400, 'bad_led_command');
+        const ok = bridge.indicators.claimLed('local', command, { queue: !!body.queue });
+        return { ok, held: bridge.indicators.ledState.owner !== 'local', led: { ...bridge.indicators.ledState } };
+      }
+    },
+    {
+      method: 'POST',
+      path: /^\/buzzer$/,
+      handler: ({ body }) => {
+        if (body.action === 'silence') return { ok: true, lockdown: bridge.lockdown.silenceFromRequest(body), buzzer: { ...bridge.indicators.buzzerState } };
+        if (body.release) {
+          bridge.indicators.releaseBuzzer('local');
+          return { ok: true, released: true, buzzer: { ...bridge.indicators.buzzerState } };
+        }
+        const command = body.command || body;
+        if (!bridge.indicators.resolveBuzzer(command)) throw httpError(400, 'bad_buzzer_command');
+        const ok = bridge.indicators.claimBuzzer('local', command, { reason: body.reason || 'local_api', silenceAfterMs: body.silenceAfterMs });
+        return { ok, held: bridge.indicators.buzzerState.owner !== 'local', buzzer: { ...bridge.indicators.buzzerState } };
+      }
+    },
+    {
+      method: 'GET',
+      path: /^\/offline$/,
+      handler: () => ({ ok: true, offline: bridge.offline.snapshot(), allowList: [...bridge.offline.allowList.values()] })
+    },
+    {
+      method: 'PUT',
+      path: /^\/offline\/allowlist$/,
+      handler: ({ body }) => ({ ok: true, count: bridge.offline.replaceAllowList(body.entries ?? body.sensorIds) })
+    },
+    {
+      method: 'GET',
+      path: /^\/fp\/sessions$/,
+      handler: ({ query }) => ({
+        ok: true,
+        ...bridge.history.query({
+          since: query.get('since'),
+          until: query.get('until'),
+          sensorId: query.get('sensorId'),
+          sessionId: query.get('sessionId'),
+          requestId: query.get('requestId'),
+          limit: query.get('limit')
+        })
+      })
+    },
+    { method: 'GET', path: /^\/fp\/lockout$/, handler: () => ({ ok: true, lockout: bridge.lockout.snapshot() }) },
+    {
+      method: 'POST',
+      path: /^\/fp\/lockout\/clear$/,
+      whileDraining: true,
+      handler: ({ body }) => ({ ok: true, cleared: bridge.lockout.clear(body.actor ?? null), lockout: bridge.lockout.snapshot() })
+    },
+    { method: 'POST', path: /^\/lockdown\/trigger$/, whileDraining: true, handler: ({ body }) => ({ ok: true, lockdown: bridge.lockdown.triggerFromRequest(body) }) },
+    { method: 'POST', path: /^\/lockdown\/release$/, whileDraining: true, handler: ({ body }) => ({ ok: true, lockdown: bridge.lockdown.releaseFromRequest(body) }) },
+    { method: 'POST', path: /^\/lockdown\/silence$/, whileDraining: true, handler: ({ body }) => ({ ok: true, lockdown: bridge.lockdown.silenceFromRequest(body) }) },
+    {
+      method: 'POST',
+      path: /^\/robot\/execute$/,
+      status: 202,
+      handler: ({ body }) => {
+        const job = bridge.robot.startJob(body.payload || body);
+        return { ok: true, job: bridge.robot.sanitizeJob(job, { includePayload: true }) };
+      }
+    },
+    {
+      method: 'GET',
+      path: /^\/robot\/jobs\/([^/]+)$/,
+      handler: ({ params }) => {
+        const job = bridge.robot.findJob(decodeURIComponent(params[0]));
+        if (!job) throw httpError(404, 'job_not_found');
+        return { ok: true, job };
+      }
+    }
+  ];
+
+  const mockApiRoutes = [
+    { method: 'GET', path: /^\/mock\/state$/, handler: () => ({ ok: true, sensor: requireMockSensor().snapshot() }) },
+    {
+      method: 'POST',
+      path: /^\/mock\/finger$/,
+      handler: ({ body }) => {
+        const sensor = requireMockSensor();
+        if (body.remove) {
+          sensor.removeFinger();
+          return { ok: true, finger: null };
+        }
+        const finger = body.slot !== undefined ? sensor.presentSlot(body.slot) : sensor.presentFinger(body.finger);
+        return { ok: true, finger };
+      }
+    },
+    {
+      method: 'POST',
+      path: /^\/mock\/failure$/,
+      handler: ({ body }) => {
+        const sensor = requireMockSensor();
+        if (body.clear) {
+          sensor.clearFailures(body.command || null);
+          return { ok: true, failures: sensor.snapshot().failures };
+        }
+        if (!body.command) throw httpError(400, 'failure_command_required');
+        return { ok: true, failure: sensor.injectFailure(body.command, body) };
+      }
+    }
+  ];
+  if (config.serial.port === 'mock') localApiRoutes.push(...mockApiRoutes);
+
+  function requireMockSensor(){
+    const sensor = bridge.sensor.getMockSensor();
+    if (!sensor) throw httpError(503, 'mock_sensor_not_ready');
+    return sensor;
+  }
+
+  function localApiAuthorized(req){
+    if (!api.token) return true;
+    const header = String(req.headers.authorization || '');
+    const bearer = header.toLowerCase().startsWith('bearer ') ? header.slice(7).trim() : '';
+    return bearer === api.token || req.headers['x-bridge-token'] === api.token;
+  }
+
+  async function handleLocalApiRequest(req, res){
+    const url = new URL(req.url || '/', 'http://localhost');
+    const pathname = url.pathname.replace(/\/+$/, '') || '/';
+    const candidates = localApiRoutes.filter((route) => route.path.test(pathname));
+    if (!candidates.length) {
+      sendJson(res, 404, { ok: false, error: 'not_found' });
+      return;
+    }
+    const route = candidates.find((entry) => entry.method === req.method);
+    if (!route) {
+      res.setHeader('Allow', candidates.map((entry) => entry.method).join(', '));
+      sendJson(res, 405, { ok: false, error: 'method_not_allowed' });
+      return;
+    }
+    if (!localApiAuthorized(req)) {
+      sendJson(res, 401, { ok: false, error: 'unauthorized' });
+      return;
+    }
+    if (bridge.draining && req.method !== 'GET' && !route.whileDraining) {
+      sendJson(res, 503, { ok: false, error: 'bridge_shutting_down' });
+      return;
+    }
+    try {
+      const body = req.method === 'GET' ? {} : await readJsonBody(req, api.bodyLimit);
+      const params = pathname.match(route.path).slice(1);
+      const payload = await route.handler({ body, params, query: url.searchParams });
+      if (route.contentType) {
+        sendText(res, route.status || 200, String(payload), route.contentType);
+      } else {
+        sendJson(res, route.status || 200, payload);
+      }
+    } catch (err) {
+      const status = Number(err?.statusCode || err?.status) || 500;
+      if (status >= 500) warn('[api] request failed', req.method, pathname, err?.message || err);
+      sendJson(res, status, cleanObject({ ok: false, error: err?.message || 'internal_error', payload: err?.payload || null }));
+    }
+  }
+
+  function setupLocalApi(){
+    if (api.disabled) return;
+    localApiServer = http.createServer((req, res) => {
+      handleLocalApiRequest(req, res).catch((err) => {
+        warn('[api] handler crashed', err?.message || err);
+        if (!res.headersSent) sendJson(res, 500, { ok: false, error: 'internal_error' });
+      });
+    });
+    localApiServer.on('error', (err) => {
+      warn('[api] server error', err?.message || err);
+    });
+    localApiServer.listen(api.port, api.host, () => {
+      log(`local api on http://${api.host}:${api.port}`);
+    });
+  }
+
+  async function closeLocalApi(){
+    await closeServer(localApiServer);
+    localApiServer = null;
+  }
+
+  return {
+    routes: localApiRoutes,
+    start: setupLocalApi,
+    close: closeLocalApi,
+    address: () => localApiServer?.address?.() || null
+  };
+}
+
+module.exports = { createLocalApi, readJsonBody, sendJson };
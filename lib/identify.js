@@ -0,0 +1,451 @@
+/**
+ * identify.js — 지문 인증(identify) 세션과 반복 루프
+ *
+ * AUTO_IDENTIFY 이거나 수동 세션이 열려 있을 때만 센서에 identify 를 반복 요청하고, 매칭 결과를
+ * 인증 정책(신뢰도·연속 확인)과 세션 조건(required/roles)에 맞춰 판정해 세션을 진행하거나 닫는다.
+ * 차단(lockout)이나 identify 를 멈추는 락다운 단계에서는 스캔하지 않는다.
+ */
+
+const { httpError, sleep, timeNow } = require('./util');
+
+function normalizeRoles(raw){
+  if (!Array.isArray(raw) || !raw.length) return null;
+  return raw.map((entry, index) => {
+    const source = Array.isArray(entry) ? { sensorIds: entry } : (entry || {});
+    const ids = source.sensorIds ?? source.sensor_ids ?? source.ids ?? [];
+    return {
+      role: String(source.role ?? source.name ?? `role_${index + 1}`),
+      sensorIds: new Set((Array.isArray(ids) ? ids : []).map(Number).filter((id) => Number.isInteger(id) && id > 0))
+    };
+  });
+}
+
+function createIdentifyService(bridge) {
+  const { config, warn } = bridge;
+
+  let identifyLoopRunning = false;
+  let manualSession = null;
+  let manualSessionCounter = 0;
+  // 세션 id 는 `${site}-${기동 시각}-${순번}` 이라 재시작 후에도 감사 기록에서 겹치지 않는다.
+  const sessionEpoch = timeNow().toString(36);
+  let manualIdentifyRequested = false;
+  let manualIdentifyDeadline = 0;
+  let deadlineTimer = null;
+  let lastIdentifyEvent = null;
+  let lastIdentifyAt = 0;
+  let pendingMatch = null;
+
+  function sessionLogger(session){
+    return bridge.logger.child({ sessionId: session.id, requestId: session.requestId ?? null });
+  }
+
+  function manualIdentifyActive(){
+    if (!manualIdentifyRequested) return false;
+    if (manualIdentifyDeadline && timeNow() > manualIdentifyDeadline){
+      stopManualIdentify('timeout', { turnOffLed: true });
+      return false;
+    }
+    return true;
+  }
+
+  function shouldIdentify(){
+    if (bridge.draining || bridge.lockout.isActive() || bridge.lockdown.identifyDisabled()) return false;
+    return !!(config.identify.auto || manualIdentifyActive());
+  }
+
+  function resolvePolicy(overrides = {}){
+    const base = config.identify;
+    const minConfidence = Number(overrides.minConfidence ?? overrides.min_confidence);
+    const confirmWindowMs = Number(overrides.confirmWindowMs ?? overrides.confirm_window_ms);
+    const requireConfirm = overrides.requireConfirm ?? overrides.require_confirm;
+    return {
+      minConfidence: Number.isFinite(minConfidence) && minConfidence >= 0 ? minConfidence : base.minConfidence,
+      requireConfirm: requireConfirm === undefined || requireConfirm === null ? base.requireConfirm : requireConfirm === true || requireConfirm === '1' || requireConfirm === 'true',
+      confirmWindowMs: Number.isFinite(confirmWindowMs) && confirmWindowMs > 0 ? confirmWindowMs : base.confirmWindowMs
+    };
+  }
+
+  function activePolicy(){
+    return manualSession && manualSession.active ? manualSession.policy : resolvePolicy();
+  }
+
+  function startManualIdentify(options = {}){
+    if (manualSession && manualSession.active){
+      stopManualIdentify('replaced', { turnOffLed: false });
+    }
+    manualSessionCounter += 1;
+    const startAt = timeNow();
+    const timeoutMs = Math.max(3000, Number(options.timeoutMs) || 60000);
+    const { resolveLed } = bridge.indicators;
+    const ledOn = options.led === false ? null : (resolveLed(options.led) ? options.led : 'scanning');
+    const ledOff = options.ledOff === false ? null : (resolveLed(options.ledOff || options.onStopLed) ? (options.ledOff || options.onStopLed) : 'idle');
+    const roles = normalizeRoles(options.roles);
+    const required = roles ? roles.length : Math.max(1, Math.floor(Number(options.required) || 1));
+
+    manualSession = {
+      id: `${config.site}-${sessionEpoch}-${manualSessionCounter}`,
+      requestedAt: startAt,
+      deadline: startAt + timeoutMs,
+      options: { ledOn, ledOff, site: options.site || null },
+      requestId: options.requestId ?? null,
+      policy: resolvePolicy(options.policy || {}),
+      required,
+      roles,
+      matches: [],
+      active: true,
+      reason: null
+    };
+    pendingMatch = null;
+    bridge.history.open(manualSession, options.trigger || { source: 'local' });
+    sessionLogger(manualSession).info('identify session started', { timeoutMs, required, policy: manualSession.policy });
+
+    manualIdentifyRequested = true;
+    manualIdentifyDeadline = manualSession.deadline;
+    // 스캔 루프가 멈춰 있어도(차단·락다운·시리얼 끊김) 기한이 되면 세션을 닫는다.
+    const session = manualSession;
+    clearTimeout(deadlineTimer);
+    deadlineTimer = setTimeout(() => {
+      deadlineTimer = null;
+      if (manualSession === session && session.active) stopManualIdentify('timeout', { turnOffLed: true });
+    }, timeoutMs);
+
+    if (ledOn) bridge.indicators.claimLed('identify', ledOn);
+
+    return manualSession;
+  }
+
+  // source: 요청이 들어온 곳 ('backend' | 'local_api'), 감사 기록의 트리거로 남는다.
+  function startIdentifyFromRequest(message = {}, { source = 'backend' } = {}){
+    if (bridge.lockout.isActive()) throw httpError(423, 'identify_locked_out');
+    if (bridge.lockdown.identifyDisabled()) throw httpError(423, 'identify_disabled_lockdown');
+    const payload = message.payload || {};
+    const pick = (...keys) => {
+      for (const key of keys) {
+        if (message[key] !== undefined) return message[key];
+        if (payload[key] !== undefined) return payload[key];
+      }
+      return undefined;
+    };
+    const session = startManualIdentify({
+      timeoutMs: message.timeoutMs || message.timeout_ms || message.payload?.timeoutMs,
+      led: message.led || message.payload?.led,
+      ledOff: message.ledOff || message.payload?.ledOff,
+      site: message.site || config.site,
+      requestId: message.requestId ?? message.request_id ?? null,
+      trigger: {
+        source,
+        type: message.type || null,
+        requestId: message.requestId ?? message.request_id ?? null,
+        actor: message.actor ?? message.payload?.actor ?? null
+      },
+      required: pick('required', 'requiredMatches', 'required_matches'),
+      roles: pick('roles'),
+      policy: {
+        minConfidence: pick('minConfidence', 'min_confidence'),
+        requireConfirm: pick('requireConfirm', 'require_confirm'),
+        confirmWindowMs: pick('confirmWindowMs', 'confirm_window_ms')
+      }
+    });
+    identifyLoop();
+    return session;
+  }
+
+  function stopIdentifyFromRequest(message = {}){
+    const reason = message.reason || 'manual';
+    const turnOffLed = message.turnOffLed !== false;
+    const ledOverride = message.led || message.ledOff || null;
+    return stopManualIdentify(reason, { turnOffLed, ledOverride });
+  }
+
+  function stopManualIdentify(reason = 'manual_stop', { turnOffLed = true, ledOverride = null } = {}){
+    if (manualSession){
+      if (manualSession.active) {
+        sessionLogger(manualSession).info('identify session stopped', { reason });
+        if (manualSession.required > 1) reportSessionComplete(manualSession, reason);
+      }
+      const wasActive = manualSession.active;
+      manualSession.active = false;
+      manualSession.reason = reason;
+      manualSession.stoppedAt = timeNow();
+      if (wasActive) bridge.history.close(manualSession, reason);
+    }
+    manualIdentifyRequested = false;
+    manualIdentifyDeadline = 0;
+    clearTimeout(deadlineTimer);
+    deadlineTimer = null;
+    pendingMatch = null;
+
+    const target = ledOverride || (manualSession ? manualSession.options.ledOff : 'idle');
+    if (turnOffLed && target){
+      // 매칭으로 끝난 세션은 match 패턴이 끝난 뒤에 LED 를 놓는다.
+      const matched = !ledOverride && (reason === 'matched' || reason === 'completed');
+      if (matched) bridge.indicators.claimLed('identify', 'match');
+      bridge.indicators.releaseLed('identify', { queue: matched, fallback: target });
+    } else {
+      bridge.indicators.releaseLed('identify', { fallback: null });
+    }
+    return manualSession;
+  }
+
+  function waitForIdentifyResult(seq, timeoutMs){
+    return new Promise(resolve => {
+      let done = false;
+      const timer = setTimeout(() => {
+        if (!done){
+          done = true;
+          cleanup();
+          resolve(null);
+        }
+      }, timeoutMs);
+
+      const handler = (obj) => {
+        if (done || !bridge.sensor.isResponseTo(obj, seq, 'identify')) return;
+        const ok = obj && obj.ok === true && obj.type === 'identify';
+        const err = obj && obj.ok === false && (
+          obj.error === 'timeout_or_no_finger' ||
+          obj.error === 'image2tz_failed' ||
+          obj.error === 'search_error' ||
+          obj.error === 'no_match'
+        );
+        if (ok || err){
+          done = true;
+          clearTimeout(timer);
+          cleanup();
+          resolve(obj);
+        }
+      };
+
+      const cleanup = () => bridge.off('sensor:data', handler);
+      bridge.on('sensor:data', handler);
+    });
+  }
+
+  // 대기열 차례가 왔을 때 한 번 스캔한다. 기다리는 사이 세션이 끝났으면 건너뛴다.
+  async function scanOnce(){
+    if (bridge.closed || !shouldIdentify()) return 'skipped';
+    const seq = bridge.sensor.write({ cmd: 'identify' });
+    if (!seq) return 'write_failed';
+    bridge.metrics.identifyAttempts.inc();
+    await waitForIdentifyResult(seq, 9000);
+    return 'scanned';
+  }
+
+  async function identifyLoop(){
+    if (identifyLoopRunning) return;
+    identifyLoopRunning = true;
+    while (!bridge.closed){
+      try {
+        if (!bridge.sensor.isOpen()){
+          await sleep(250);
+          continue;
+        }
+        if (!shouldIdentify()){
+          await sleep(120);
+          continue;
+        }
+        const outcome = await bridge.sensor.queue.enqueue({ type: 'identify', priority: 'idle', waitTimeoutMs: 0, run: scanOnce });
+        if (outcome === 'write_failed'){
+          await sleep(400);
+          continue;
+        }
+        if (outcome === 'scanned') await sleep(config.identify.backoffMs);
+      } catch (err) {
+        if (bridge.closed) break;
+        warn('identify loop error:', err.message || err);
+        await sleep(600);
+      }
+    }
+    identifyLoopRunning = false;
+  }
+
+  function identifyOutcome(obj){
+    if (obj.type === 'identify_rejected') return 'low_confidence';
+    if (obj.ok) return 'match';
+    if (obj.error === 'no_match') return 'no_match';
+    if (obj.error === 'timeout_or_no_finger') return 'no_finger';
+    if (obj.error === 'confirm_pending') return 'confirm_pending';
+    return 'error';
+  }
+
+  // 센서가 보낸 identify 줄에 정책을 적용해, 이후 LED/백엔드/디버그로 넘길 프레임을 만든다.
+  function applyPolicy(obj){
+    if (!obj.ok) {
+      if (obj.error === 'no_match') pendingMatch = null;
+      return obj;
+    }
+    const policy = activePolicy();
+    const confidence = Number(obj.confidence);
+    if (policy.minConfidence > 0 && !(confidence >= policy.minConfidence)) {
+      pendingMatch = null;
+      return {
+        type: 'identify_rejected',
+        ok: false,
+        reason: 'low_confidence',
+        id: obj.id ?? null,
+        confidence: obj.confidence ?? null,
+        minConfidence: policy.minConfidence,
+        seq: obj.seq
+      };
+    }
+    if (!policy.requireConfirm) return obj;
+    const now = timeNow();
+    if (pendingMatch && pendingMatch.id === obj.id && now - pendingMatch.at <= policy.confirmWindowMs) {
+      const first = pendingMatch;
+      pendingMatch = null;
+      return { ...obj, confirmed: true, scans: 2, firstConfidence: first.confidence };
+    }
+    pendingMatch = { id: obj.id, confidence: obj.confidence ?? null, at: now };
+    return { ...obj, ok: false, error: 'confirm_pending', confirmWindowMs: policy.confirmWindowMs };
+  }
+
+  function describeSession(session){
+    return {
+      sessionId: session.id,
+      requestId: session.requestId,
+      required: session.required,
+      matched: session.matches.length
+    };
+  }
+
+  function reportSessionComplete(session, reason){
+    const ok = reason === 'completed';
+    const payload = {
+      type: 'FP_SESSION_COMPLETE',
+      ok,
+      reason,
+      ...describeSession(session),
+      matches: session.matches.map((match) => ({ ...match }))
+    };
+    sessionLogger(session)[ok ? 'info' : 'warn']('multi-person identify session finished', { reason, matched: session.matches.length, required: session.required });
+    bridge.backend.send(payload);
+    bridge.debugWs.broadcast(payload);
+    bridge.emit('session:complete', payload);
+  }
+
+  // 열린 세션에서 인증에 실패하면 no_match 패턴을 보여 주고 세션 LED 로 돌아간다 (차단으로 닫혔으면 생략).
+  function cueFailure(){
+    if (!manualSession?.active || !manualSession.options.ledOn) return;
+    bridge.indicators.claimLed('identify', 'no_match');
+    bridge.indicators.claimLed('identify', manualSession.matches.length ? 'session_progress' : manualSession.options.ledOn, { queue: true });
+  }
+
+  function beepFailure(){
+    const pattern = config.buzzer.identifyFailPattern;
+    if (pattern && pattern !== 'off' && !bridge.lockout.isActive()) bridge.indicators.claimBuzzer('identify', pattern, { reason: 'identify_failed' });
+  }
+
+  // 2인 이상 세션에서 인정된 매칭 하나를 모은다. 세션 진행 상황을 붙인 프레임을 돌려준다.
+  function collectSessionMatch(obj){
+    const session = manualSession;
+    const sensorId = Number(obj.id);
+    let reason = null;
+    let roleIndex = -1;
+    if (session.matches.some((match) => match.sensorId === sensorId)) {
+      reason = 'same_finger';
+    } else if (session.roles) {
+      roleIndex = session.roles.findIndex((entry, index) => !session.matches.some((match) => match.roleIndex === index) && entry.sensorIds.has(sensorId));
+      if (roleIndex < 0) reason = 'role_not_allowed';
+    }
+    const role = roleIndex >= 0 ? session.roles[roleIndex].role : null;
+    const accepted = !reason;
+    if (accepted) {
+      session.matches.push({ sensorId, confidence: obj.confidence ?? null, role, roleIndex: roleIndex >= 0 ? roleIndex : null, at: timeNow() });
+    }
+    const complete = session.matches.length >= session.required;
+    const progress = { type: 'FP_SESSION_PROGRESS', ...describeSession(session), accepted, reason, sensorId, role, complete };
+    bridge.backend.send(progress);
+    bridge.debugWs.broadcast(progress);
+    if (!accepted) {
+      sessionLogger(session).info('multi-person identify match refused', { sensorId, reason });
+      bridge.indicators.claimLed('identify', 'no_match');
+      bridge.indicators.claimLed('identify', 'session_progress', { queue: true });
+    } else if (!complete) {
+      bridge.indicators.claimLed('identify', 'session_progress');
+    }
+    return { ...obj, session: { id: session.id, required: session.required, matched: session.matches.length, accepted, reason, complete } };
+  }
+
+  function handleSerialLine(raw){
+    if (!raw || raw.type !== 'identify') return raw;
+    let obj = applyPolicy(raw);
+    const multiSession = obj.ok && manualSession?.active && manualSession.required > 1;
+    if (multiSession) obj = collectSessionMatch(obj);
+    if (obj.type === 'identify_rejected') {
+      const logger = manualSession && manualSession.active ? sessionLogger(manualSession) : bridge.logger;
+      bridge.metrics.identifyResults.inc({ result: identifyOutcome(obj) });
+      logger.warn('identify match rejected', { sensorId: obj.id, confidence: obj.confidence, minConfidence: obj.minConfidence });
+      bridge.emit('identify:rejected', { ...obj, sessionId: manualSession?.active ? manualSession.id : null });
+      if (manualSession?.active) bridge.history.scan(manualSession, obj);
+      bridge.lockout.record(obj, manualSession);
+      cueFailure();
+      beepFailure();
+      return obj;
+    }
+    const offlineDecision = obj.error === 'confirm_pending' ? null : bridge.offline.authorizeIdentify(obj);
+    if (offlineDecision) {
+      obj.offlineAuth = { authorized: offlineDecision.authorized, reason: offlineDecision.reason };
+    }
+    lastIdentifyEvent = { ...obj };
+    bridge.metrics.identifyResults.inc({ result: identifyOutcome(obj) });
+    lastIdentifyAt = timeNow();
+    const logger = manualSession && manualSession.active ? sessionLogger(manualSession) : bridge.logger;
+    logger[obj.error === 'timeout_or_no_finger' ? 'debug' : 'info']('identify result', {
+      ok: !!obj.ok,
+      sensorId: obj.id ?? null,
+      confidence: obj.confidence ?? null,
+      error: obj.error || null,
+      offlineAuth: obj.offlineAuth || null
+    });
+    bridge.emit('identify', lastIdentifyEvent);
+    if (manualSession?.active) bridge.history.scan(manualSession, obj);
+    bridge.lockout.record(obj, manualSession);
+    if (obj.error === 'no_match') {
+      cueFailure();
+      beepFailure();
+    }
+    if (multiSession) {
+      if (obj.session.complete) stopManualIdentify('completed', { turnOffLed: true });
+    } else if (obj.ok) {
+      stopManualIdentify('matched', { turnOffLed: true });
+    }
+    return obj;
+  }
+
+  function snapshotIdentify(){
+    const manualActive = manualIdentifyActive();
+    return {
+      auto: config.identify.auto,
+      running: identifyLoopRunning,
+      manual: manualSession ? {
+        active: manualActive,
+        id: manualSession.id,
+        requestedAt: manualSession.requestedAt,
+        deadline: manualSession.deadline,
+        reason: manualSession.reason || null,
+        policy: { ...manualSession.policy },
+        required: manualSession.required,
+        matches: manualSession.matches.map((match) => ({ ...match }))
+      } : { active: false },
+      policy: activePolicy(),
+      pending: pendingMatch ? { ...pendingMatch } : null,
+      last: lastIdentifyEvent ? { ...lastIdentifyEvent, at: lastIdentifyAt } : null
+    };
+  }
+
+  return {
+    start: startManualIdentify,
+    stop: stopManualIdentify,
+    startFromRequest: startIdentifyFromRequest,
+    stopFromRequest: stopIdentifyFromRequest,
+    runLoop: identifyLoop,
+    cancelTimers: () => {
+      clearTimeout(deadlineTimer);
+      deadlineTimer = null;
+    },
+    handleSerialLine,
+    session: () => manualSession,
+    snapshot: snapshotIdentify
+  };
+}
+
+module.exports = { createIdentifyService };
@@ -0,0 +1,417 @@
+/**
+ * indicators.js — 지문 센서 LED 및 부저 제어
+ *
+ * 시리얼로 led/buzzer 프레임을 보내고 펌웨어 응답으로 ledState/buzzerState 를 갱신한다.
+ * 서비스들은 소유자(owner) 이름으로 LED/부저를 점유하고, 실제 출력은 우선순위(OUTPUT_PRIORITY)가
+ * 가장 높은 점유자의 패턴이다. 패턴 시퀀스는 브릿지가 타이머로 재생한다.
+ */
+
+const fs = require('fs');
+const { DEFAULT_BUZZER_PATTERNS, DEFAULT_LED_PATTERNS } = require('./config');
+const { httpError, timeNow } = require('./util');
+
+const OUTPUT_PRIORITY = { lockdown: 50, enroll: 40, lockout: 30, identify: 20, backend: 10, local: 10, offline: 5 };
+// 외부 요청으로 점유하는 소유자. 시리얼이 닫혀 있으면 점유를 받지 않는다.
+const REQUEST_OWNERS = new Set(['backend', 'local']);
+
+function normalizeLedCommand(cmd){
+  if (!cmd || typeof cmd !== 'object') return null;
+  const out = {};
+  if (cmd.mode) out.mode = String(cmd.mode);
+  else if (cmd.state) out.mode = String(cmd.state);
+  if (cmd.color) out.color = String(cmd.color);
+  if (cmd.speed !== undefined) out.speed = Number(cmd.speed);
+  else if (cmd.brightness !== undefined) out.speed = Number(cmd.brightness);
+  if (cmd.cycles !== undefined) out.cycles = Number(cmd.cycles);
+  return out;
+}
+
+function loadPatterns(raw){
+  const text = String(raw || '').trim();
+  if (!text) return {};
+  const parsed = JSON.parse(text.startsWith('{') ? text : fs.readFileSync(text, 'utf8'));
+  return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : {};
+}
+
+function topOwner(claims){
+  let best = null;
+  for (const [owner, claim] of claims) {
+    if (!best || claim.priority > best.priority || (claim.priority === best.priority && claim.at >= best.at)) best = { owner, ...claim };
+  }
+  return best ? best.owner : null;
+}
+
+function createIndicatorService(bridge) {
+  const { config, warn } = bridge;
+
+  const ledState = { mode: null, color: null, speed: null, cycles: null, pattern: null, owner: null, ok: null, pending: false, lastCommandAt: 0 };
+  const buzzerState = {
+    active: false,
+    lastCommandAt: 0,
+    reason: null,
+    owner: null,
+    pattern: null,
+    silenced: false,
+    silencedAt: 0,
+    silencedBy: null,
+    silenceAt: 0,
+    lastAckAt: 0
+  };
+  const patterns = { ...DEFAULT_LED_PATTERNS };
+  const buzzerPatterns = { ...DEFAULT_BUZZER_PATTERNS };
+  const ledClaims = new Map();
+  const buzzerClaims = new Map();
+  let sequence = null;
+  let buzzerRun = null;
+  let playingClaim = null;
+  let claimCounter = 0;
+
+  try {
+    Object.assign(patterns, loadPatterns(config.led?.patterns));
+  } catch (err) {
+    warn('[led] LED_PATTERNS unreadable; using default patterns', err?.message || err);
+  }
+  try {
+    Object.assign(buzzerPatterns, loadPatterns(config.buzzer?.patterns));
+  } catch (err) {
+    warn('[buzzer] BUZZER_PATTERNS unreadable; using default patterns', err?.message || err);
+  }
+
+  // spec: 패턴 이름, { pattern: 이름 }, 프레임, { steps } 시퀀스 → { name, steps, repeat, then } (잘못되면 null)
+  function resolveLed(spec, depth = 0){
+    if (!spec || depth > 4) return null;
+    if (typeof spec === 'string') {
+      const resolved = resolveLed(patterns[spec], depth + 1);
+      return resolved ? { ...resolved, name: spec } : null;
+    }
+    if (typeof spec !== 'object') return null;
+    if (typeof spec.pattern === 'string') return resolveLed(spec.pattern, depth + 1);
+    if (Array.isArray(spec.steps)) {
+      const steps = spec.steps
+        .map((step) => ({ frame: normalizeLedCommand(step), durationMs: Math.max(0, Number(step?.durationMs) || 0) }))
+        .filter((step) => step.frame?.mode);
+      if (!steps.length) return null;
+      const repeat = spec.repeat === true ? Infinity : Math.max(1, Number(spec.repeat) || 1);
+      return { name: null, steps, repeat, then: spec.then || null };
+    }
+    const frame = normalizeLedCommand(spec);
+    return frame?.mode ? { name: null, steps: [{ frame, durationMs: 0 }], repeat: 1, then: null } : null;
+  }
+
+  function stopSequence(){
+    if (!sequence) return;
+    clearTimeout(sequence.timer);
+    sequence = null;
+  }
+
+  function playStep(run){
+    const step = run.steps[run.index];
+    const ok = writeLedFrame(step.frame);
+    ledState.pattern = run.name;
+    const last = run.index === run.steps.length - 1 && run.loops + 1 >= run.repeat;
+    if (last && !run.then && !step.durationMs) {
+      sequence = null;
+      return ok;
+    }
+    run.timer = setTimeout(() => advance(run), step.durationMs);
+    return ok;
+  }
+
+  function advance(run){
+    if (sequence !== run) return;
+    run.index += 1;
+    if (run.index >= run.steps.length) {
+      run.loops += 1;
+      if (run.loops >= run.repeat) {
+        sequence = null;
+        if (run.then) applyLedCommand(run.then);
+        return;
+      }
+      run.index = 0;
+    }
+    playStep(run);
+  }
+
+  function applyLedCommand(command, { queue = false } = {}){
+    const pattern = resolveLed(command);
+    if (!pattern) return false;
+    if (queue && sequence) {
+      sequence.then = command;
+      return true;
+    }
+    stopSequence();
+    if (pattern.steps.length === 1 && pattern.repeat === 1 && !pattern.then && !pattern.steps[0].durationMs) {
+      ledState.pattern = pattern.name;
+      return writeLedFrame(pattern.steps[0].frame);
+    }
+    sequence = { ...pattern, index: 0, loops: 0, timer: null };
+    return playStep(sequence);
+  }
+
+  function claimEntry(owner, value, extra = {}){
+    if (!OUTPUT_PRIORITY[owner]) throw new Error(`unknown output owner: ${owner}`);
+    if (REQUEST_OWNERS.has(owner) && !bridge.sensor.isOpen()) throw httpError(503, 'serial_not_ready');
+    claimCounter += 1;
+    return { value, priority: OUTPUT_PRIORITY[owner], at: claimCounter, ...extra };
+  }
+
+  // owner 의 LED 상태를 등록한다. 더 높은 소유자가 점유 중이면 기억만 해 두고 나중에 보여 준다.
+  function claimLed(owner, command, { queue = false } = {}){
+    if (!resolveLed(command)) return false;
+    ledClaims.set(owner, claimEntry(owner, command));
+    if (topOwner(ledClaims) !== owner) return true;
+    const wasShown = ledState.owner === owner;
+    ledState.owner = owner;
+    return applyLedCommand(command, { queue: queue && wasShown });
+  }
+
+  // fallback: 남은 소유자가 없을 때 쓸 LED (null 이면 그대로 둔다).
+  function releaseLed(owner, { queue = false, fallback = 'idle' } = {}){
+    if (!ledClaims.delete(owner) || ledState.owner !== owner) return false;
+    const next = topOwner(ledClaims);
+    ledState.owner = next;
+    const command = next ? ledClaims.get(next).value : fallback;
+    return command ? applyLedCommand(command, { queue }) : false;
+  }
+
+  // spec: 패턴 이름, { pattern, count }, { state: 'on'|'off' }, { steps, repeat } → { name, steps, repeat } (잘못되면 null)
+  function resolveBuzzer(spec, depth = 0){
+    if (!spec || depth > 4) return null;
+    if (typeof spec === 'string') {
+      const resolved = resolveBuzzer(buzzerPatterns[spec], depth + 1);
+      return resolved ? { ...resolved, name: spec } : null;
+    }
+    if (typeof spec !== 'object') return null;
+    let resolved = null;
+    if (typeof spec.pattern === 'string') {
+      resolved = resolveBuzzer(spec.pattern, depth + 1);
+    } else if (Array.isArray(spec.steps)) {
+      const steps = spec.steps
+        .filter((step) => step && ['on', 'off'].includes(step.state))
+        .map((step) => ({ on: step.state === 'on', durationMs: Math.max(0, Number(step.durationMs) || 0) }));
+      if (steps.length) resolved = { name: null, steps, repeat: spec.repeat === true ? Infinity : Math.max(1, Number(spec.repeat) || 1) };
+    } else if (['on', 'off'].includes(spec.state)) {
+      resolved = { name: null, steps: [{ on: spec.state === 'on', durationMs: 0 }], repeat: 1 };
+    }
+    if (resolved && Number(spec.count) > 0) resolved = { ...resolved, repeat: Math.floor(Number(spec.count)) };
+    return resolved;
+  }
+
+  function stopBuzzerRun(){
+    if (!buzzerRun) return;
+    clearTimeout(buzzerRun.timer);
+    buzzerRun = null;
+  }
+
+  function writeBuzzerStep(on, reason){
+    if (bridge.sensor.isReady()) return applyBuzzerState(on, { reason, force: true });
+    buzzerState.active = on;
+    return false;
+  }
+
+  function playBuzzerStep(run){
+    const step = run.steps[run.index];
+    const ok = writeBuzzerStep(step.on, run.claim.reason);
+    const last = run.index === run.steps.length - 1 && run.loops + 1 >= run.repeat;
+    if (last && !step.durationMs) {
+      buzzerRun = null;
+      if (!step.on) run.onDone();
+      return ok;
+    }
+    run.timer = setTimeout(() => {
+      if (buzzerRun !== run) return;
+      run.index += 1;
+      if (run.index >= run.steps.length) {
+        run.loops += 1;
+        run.index = 0;
+        if (run.loops >= run.repeat) {
+          buzzerRun = null;
+          if (buzzerState.active) writeBuzzerStep(false, run.claim.reason);
+          run.onDone();
+          return;
+        }
+      }
+      playBuzzerStep(run);
+    }, step.durationMs);
+    return ok;
+  }
+
+  // 소리를 낼 수 있는(멈추지 않은) 점유 가운데 가장 높은 것을 재생한다. 이미 재생 중이면 그대로 둔다.
+  function refreshBuzzer({ reason = null, force = false } = {}){
+    const audible = new Map([...buzzerClaims].filter(([, claim]) => !claim.silenced));
+    const owner = topOwner(audible);
+    const claim = owner ? audible.get(owner) : null;
+    buzzerState.silenced = buzzerClaims.size > 0 && !claim;
+    if (claim === playingClaim && !force) return true;
+    stopBuzzerRun();
+    playingClaim = claim;
+    buzzerState.owner = owner;
+    buzzerState.pattern = claim ? claim.value.name : null;
+    buzzerState.silenceAt = claim?.silenceAt || 0;
+    if (!claim) return applyBuzzerState(false, { reason: reason || 'buzzer_idle', force: true });
+    const run = {
+      ...claim.value,
+      claim,
+      index: 0,
+      loops: 0,
+      timer: null,
+      onDone: () => {
+        if (buzzerClaims.get(owner) !== claim) return;
+        buzzerClaims.delete(owner);
+        refreshBuzzer({ reason: `${claim.reason}_done` });
+      }
+    };
+    buzzerRun = run;
+    return playBuzzerStep(run);
+  }
+
+  function dropBuzzerClaim(owner){
+    const claim = buzzerClaims.get(owner);
+    if (!claim) return;
+    clearTimeout(claim.silenceTimer);
+    buzzerClaims.delete(owner);
+  }
+
+  // silenceAfterMs: 0 보다 크면 그 시간이 지난 뒤 소리만 멈춘다 (점유는 유지).
+  function claimBuzzer(owner, command = 'siren', { reason = null, silenceAfterMs = 0 } = {}){
+    const pattern = resolveBuzzer(command);
+    if (!pattern) return false;
+    const claim = claimEntry(owner, pattern, { reason: reason || owner, silenced: false, silenceAt: 0, silenceTimer: null });
+    dropBuzzerClaim(owner);
+    if (Number(silenceAfterMs) > 0) {
+      claim.silenceAt = timeNow() + Number(silenceAfterMs);
+      claim.silenceTimer = setTimeout(() => {
+        if (buzzerClaims.get(owner) !== claim) return;
+        claim.silenced = true;
+        bridge.logger.info('[buzzer] auto-silenced', { owner, pattern: pattern.name });
+        buzzerState.silencedAt = timeNow();
+        buzzerState.silencedBy = 'auto_silence';
+        refreshBuzzer({ reason: 'auto_silence' });
+        if (owner === 'lockdown') bridge.lockdown.sendStatus();
+      }, Number(silenceAfterMs));
+    }
+    buzzerClaims.set(owner, claim);
+    return refreshBuzzer();
+  }
+
+  function releaseBuzzer(owner, { reason = null } = {}){
+    dropBuzzerClaim(owner);
+    return refreshBuzzer({ reason: reason || `${owner}_released`, force: !playingClaim });
+  }
+
+  // 점유 중인 소리를 모두 멈춘다. 끝이 있는 패턴은 점유를 풀고, 나머지는 점유만 남긴다.
+  // owner 를 주면 그 소유자의 소리만 멈추고, 없으면 울리는 소리를 모두 멈춘다.
+  function silenceBuzzer({ actor = null, reason = 'silenced', owner: only = null } = {}){
+    let silenced = 0;
+    for (const [owner, claim] of [...buzzerClaims]) {
+      if (claim.silenced || (only && owner !== only)) continue;
+      clearTimeout(claim.silenceTimer);
+      if (Number.isFinite(claim.value.repeat) && claim.value.steps.some((step) => step.durationMs)) buzzerClaims.delete(owner);
+      else claim.silenced = true;
+      silenced += 1;
+    }
+    buzzerState.silencedAt = timeNow();
+    buzzerState.silencedBy = actor || reason;
+    refreshBuzzer({ reason });
+    return silenced;
+  }
+
+  // 시리얼이 다시 열렸을 때 점유 중인 출력 상태를 되살린다.
+  function restoreOutputs(){
+    const ledOwner = topOwner(ledClaims);
+    if (ledOwner) applyLedCommand(ledClaims.get(ledOwner).value);
+    if (playingClaim) refreshBuzzer({ force: true });
+  }
+
+  function stopOutputs(){
+    stopSequence();
+    stopBuzzerRun();
+    for (const claim of buzzerClaims.values()) clearTimeout(claim.silenceTimer);
+  }
+
+  function writeLedFrame(payload){
+    const ok = !!bridge.sensor.write({ cmd: 'led', ...payload });
+    ledState.mode = payload.mode || ledState.mode;
+    ledState.color = payload.color || ledState.color;
+    if (payload.speed !== undefined && !Number.isNaN(payload.speed)) ledState.speed = payload.speed;
+    if (payload.cycles !== undefined && !Number.isNaN(payload.cycles)) ledState.cycles = payload.cycles;
+    ledState.lastCommandAt = timeNow();
+    ledState.pending = true;
+    if (!ok){
+      ledState.ok = false;
+      ledState.pending = false;
+    }
+    return ok;
+  }
+
+  function applyBuzzerState(desired, { reason = null, force = false } = {}) {
+    const on = !!desired;
+    const ready = bridge.sensor.isReady();
+    if (!force && buzzerState.active === on && ready) {
+      return true;
+    }
+    if (!ready) {
+      warn('buzzer command skipped: serial not ready');
+      buzzerState.active = on;
+      buzzerState.reason = reason || buzzerState.reason || null;
+      return false;
+    }
+    const ok = !!bridge.sensor.write({ cmd: 'buzzer', state: on ? 'on' : 'off' });
+    if (ok) {
+      buzzerState.active = on;
+      buzzerState.lastCommandAt = timeNow();
+      buzzerState.reason = reason || buzzerState.reason || null;
+    }
+    return ok;
+  }
+
+  function handleSerialLine(obj){
+    if (obj && obj.type === 'led'){
+      ledState.mode = obj.mode || obj.state || ledState.mode;
+      if (obj.color) ledState.color = obj.color;
+      if (obj.speed !== undefined) ledState.speed = obj.speed;
+      if (obj.cycles !== undefined) ledState.cycles = obj.cycles;
+      ledState.ok = obj.ok !== false;
+      ledState.pending = false;
+      ledState.lastCommandAt = timeNow();
+    }
+    if (obj && obj.error === 'led_failed'){
+      ledState.ok = false;
+      ledState.pending = false;
+      ledState.lastCommandAt = timeNow();
+    }
+    if (obj && obj.type === 'buzzer'){
+      if (typeof obj.active === 'boolean') buzzerState.active = obj.active;
+      if (typeof obj.state === 'string'){ buzzerState.active = obj.state === 'on'; }
+      if (obj.reason) buzzerState.reason = obj.reason;
+      buzzerState.lastAckAt = timeNow();
+      buzzerState.lastCommandAt = buzzerState.lastCommandAt || buzzerState.lastAckAt;
+      // 패턴을 재생하는 동안의 단계별 응답은 상태 변화로 알리지 않는다.
+      if (!buzzerRun) bridge.lockdown.sendStatus();
+    }
+  }
+
+  return {
+    ledState,
+    buzzerState,
+    patterns,
+    buzzerPatterns,
+    normalizeLedCommand,
+    resolveLed,
+    applyLedCommand,
+    claimLed,
+    releaseLed,
+    resolveBuzzer,
+    claimBuzzer,
+    releaseBuzzer,
+    silenceBuzzer,
+    restoreOutputs,
+    ledOwners: () => [...ledClaims.keys()],
+    stop: stopOutputs,
+    sequenceActive: () => !!sequence,
+    applyBuzzerState,
+    handleSerialLine
+  };
+}
+
+module.exports = { createIndicatorService, normalizeLedCommand, OUTPUT_PRIORITY };
@@ -0,0 +1,368 @@
+/**
+ * lockdown.js — 긴급 개방(락다운) 상태 관리
+ *
+ * 락다운은 단계(level)를 가진 상태 기계로, 단계마다 부저·LED·레일·로봇 중단·identify 중지를 정하고
+ * 단계를 옮길 때 바뀐 동작만 적용한다. 상태는 LOCKDOWN_STATE_FILE 에 저장해 재시작 후 되살리고,
+ * 변경은 LOCKDOWN_STATUS 로 백엔드와 디버그 WS 에 알린다.
+ */
+
+const fs = require('fs');
+const { DEFAULT_LOCKDOWN_LEVELS } = require('./config');
+const { cleanObject, httpError, timeNow, writeJsonFileAtomic } = require('./util');
+
+function normalizeLevel(raw) {
+  if (!raw || typeof raw !== 'object' || !raw.name) return null;
+  return {
+    name: String(raw.name),
+    buzzer: raw.buzzer === false || raw.buzzer === null ? null : (raw.buzzer || 'lockdown'),
+    led: raw.led === false || raw.led === null ? null : (raw.led || 'lockdown'),
+    rail: !!raw.rail,
+    abortRobot: !!raw.abortRobot,
+    disableIdentify: !!raw.disableIdentify,
+    escalateAfterMs: Math.max(0, Number(raw.escalateAfterMs) || 0)
+  };
+}
+
+function loadLevels(raw) {
+  const text = String(raw || '').trim();
+  if (!text) return DEFAULT_LOCKDOWN_LEVELS.map(normalizeLevel);
+  const parsed = JSON.parse(text.startsWith('[') ? text : fs.readFileSync(text, 'utf8'));
+  const levels = (Array.isArray(parsed) ? parsed : []).map(normalizeLevel).filter(Boolean);
+  if (!levels.length) throw new Error('no_levels');
+  return levels;
+}
+
+function createLockdownService(bridge) {
+  const { config, warn } = bridge;
+
+  let levels;
+  try {
+    levels = loadLevels(config.lockdown.levels);
+  } catch (err) {
+    warn('[lockdown] LOCKDOWN_LEVELS unreadable; using default levels', err?.message || err);
+    levels = DEFAULT_LOCKDOWN_LEVELS.map(normalizeLevel);
+  }
+  const defaultLevel = levels.find((level) => level.name === config.lockdown.defaultLevel) || levels[levels.length - 1];
+  let escalationTimer = null;
+
+  const lockdownState = {
+    active: false,
+    stage: null,
+    message: null,
+    reason: null,
+    meta: null,
+    triggeredAt: 0,
+    clearedAt: 0,
+    clearedBy: null,
+    clearedReason: null,
+    silencedAt: 0,
+    silencedBy: null,
+    resumedAt: 0,
+    level: null,
+    levelChangedAt: 0,
+    escalateAt: 0,
+    // 명시적으로 단계를 내리면 escalate: true 를 주지 않는 한 자동 상향을 멈춘다.
+    autoEscalate: true
+  };
+
+  function findLevel(name) {
+    return levels.find((level) => level.name === name) || null;
+  }
+
+  function levelIndex(level) {
+    return level ? levels.indexOf(level) : -1;
+  }
+
+  // 요청의 level(또는 단계 이름과 같은 stage)을 단계로 바꾼다. 지정하지 않았으면 null.
+  function requestedLevel(message = {}) {
+    const name = message.level ?? message.targetLevel ?? (findLevel(message.stage) ? message.stage : null);
+    if (name === null || name === undefined || name === '') return null;
+    const level = findLevel(String(name));
+    if (!level) throw httpError(400, 'bad_lockdown_level');
+    return level;
+  }
+
+  function currentLevel() {
+    return lockdownState.active ? findLevel(lockdownState.level) || defaultLevel : null;
+  }
+
+  function scheduleEscalation(level) {
+    clearTimeout(escalationTimer);
+    escalationTimer = null;
+    lockdownState.escalateAt = 0;
+    const next = levels[levelIndex(level) + 1];
+    if (!next || !level.escalateAfterMs || !lockdownState.autoEscalate) return;
+    lockdownState.escalateAt = lockdownState.levelChangedAt + level.escalateAfterMs;
+    escalationTimer = setTimeout(() => {
+      escalationTimer = null;
+      if (!lockdownState.active || lockdownState.level !== level.name) return;
+      warn('[lockdown] escalating', { from: level.name, to: next.name });
+      enterLevel(next, level, { cause: 'auto_escalation' });
+      bridge.offline.record('lockdown_escalate', { from: level.name, to: next.name, reason: 'auto_escalation' });
+      persist();
+      sendLockdownStatus({ escalated: true, previousLevel: level.name });
+    }, Math.max(1, lockdownState.escalateAt - timeNow()));
+  }
+
+  // previous 단계에서 level 로 옮기며 바뀐 동작만 적용한다. previous 가 null 이면 전부 새로 건다.
+  // 부저 패턴이 같으면 소리(멈춘 상태 포함)는 그대로 둔다.
+  function enterLevel(level, previous, { cause = null, source = null, resumed = false, autoEscalate = true } = {}) {
+    const sameBuzzer = !!previous && previous.buzzer === level.buzzer;
+    if (!resumed) {
+      lockdownState.levelChangedAt = timeNow();
+      lockdownState.autoEscalate = autoEscalate;
+      if (!sameBuzzer) {
+        lockdownState.silencedAt = 0;
+        lockdownState.silencedBy = null;
+      }
+    }
+    lockdownState.level = level.name;
+    const silenceMs = config.buzzer.lockdownSilenceMs;
+    if (!sameBuzzer && level.buzzer) {
+      bridge.indicators.claimBuzzer('lockdown', level.buzzer, {
+        reason: lockdownState.reason,
+        silenceAfterMs: silenceMs > 0 ? Math.max(1, lockdownState.levelChangedAt + silenceMs - timeNow()) : 0
+      });
+      if (lockdownState.silencedAt) bridge.indicators.silenceBuzzer({ owner: 'lockdown', actor: lockdownState.silencedBy, reason: 'silenced_before_restart' });
+    } else if (!sameBuzzer) {
+      bridge.indicators.releaseBuzzer('lockdown', { reason: 'lockdown_level' });
+    }
+    if (level.led) bridge.indicators.claimLed('lockdown', level.led);
+    else bridge.indicators.releaseLed('lockdown');
+    const reason = resumed ? 'lockdown_resume' : (cause || lockdownState.reason);
+    if (level.rail && !previous?.rail) {
+      bridge.rail.enqueue('extend', { reason }).catch((err) => {
+        warn('[rail] extend enqueue failed', err?.message || err);
+      });
+    } else if (!level.rail && previous?.rail) {
+      bridge.rail.enqueue('home', { reason }).catch((err) => {
+        warn('[rail] home enqueue failed', err?.message || err);
+      });
+    }
+    // 로봇이 보낸 락다운이면 그 작업은 이미 실패로 끝나는 중이다.
+    if (level.abortRobot && source !== 'robot' && bridge.robot.state.active) {
+      warn('[lockdown] aborting robot job', { level: level.name });
+      bridge.robot.cancelActive('lockdown');
+    }
+    if (level.disableIdentify && bridge.identify.session()?.active) bridge.identify.stop('lockdown', { turnOffLed: false });
+    scheduleEscalation(level);
+  }
+
+  function persist() {
+    try {
+      writeJsonFileAtomic(config.lockdown.stateFile, { ...lockdownState, savedAt: timeNow() });
+    } catch (err) {
+      warn('[lockdown] failed to persist lockdown state', err?.message || err);
+    }
+  }
+
+  // 저장된 상태를 읽는다. 락다운 중이었으면 출력을 다시 걸고 재시작 후 재개를 알린다.
+  function load() {
+    let saved = null;
+    try {
+      saved = JSON.parse(fs.readFileSync(config.lockdown.stateFile, 'utf8'));
+    } catch (err) {
+      if (err?.code !== 'ENOENT') warn('[lockdown] failed to read lockdown state', err?.message || err);
+      return false;
+    }
+    for (const key of Object.keys(lockdownState)) {
+      if (saved?.[key] !== undefined) lockdownState[key] = saved[key];
+    }
+    if (!lockdownState.active) return false;
+    lockdownState.resumedAt = timeNow();
+    if (!findLevel(lockdownState.level)) lockdownState.level = defaultLevel.name;
+    if (!lockdownState.levelChangedAt) lockdownState.levelChangedAt = lockdownState.triggeredAt || timeNow();
+    warn('[lockdown] lockdown was active before restart; resuming', { stage: lockdownState.stage, level: lockdownState.level, reason: lockdownState.reason, triggeredAt: lockdownState.triggeredAt });
+    enterLevel(currentLevel(), null, { resumed: true });
+    bridge.offline.record('lockdown_resume', { stage: lockdownState.stage, reason: lockdownState.reason, triggeredAt: lockdownState.triggeredAt });
+    persist();
+    sendLockdownStatus({ resumedAfterRestart: true });
+    return true;
+  }
+
+  function snapshotLockdown(extra = {}) {
+    const base = {
+      active: !!lockdownState.active,
+      stage: lockdownState.stage || null,
+      message: lockdownState.message || null,
+      reason: lockdownState.reason || null,
+      triggeredAt: lockdownState.triggeredAt || null,
+      clearedAt: lockdownState.clearedAt || null,
+      clearedBy: lockdownState.clearedBy || null,
+      clearedReason: lockdownState.clearedReason || null,
+      silenced: !!lockdownState.active && bridge.indicators.buzzerState.silenced,
+      silencedAt: lockdownState.silencedAt || null,
+      silencedBy: lockdownState.silencedBy || null,
+      resumedAt: lockdownState.resumedAt || null,
+      level: lockdownState.active ? lockdownState.level : null,
+      levelChangedAt: lockdownState.active ? lockdownState.levelChangedAt || null : null,
+      escalateAt: lockdownState.active ? lockdownState.escalateAt || null : null,
+      levels: levels.map((level) => level.name),
+      meta: lockdownState.meta || null,
+      buzzer: { ...bridge.indicators.buzzerState }
+    };
+    return { ...base, ...extra };
+  }
+
+  function sendLockdownStatus(extra = {}) {
+    const payload = snapshotLockdown(extra);
+    bridge.backend.send({ type: 'LOCKDOWN_STATUS', ...payload });
+    bridge.debugWs.broadcast({ type: 'LOCKDOWN_STATUS', ...payload });
+    bridge.emit('lockdown', payload);
+  }
+
+  // level: 목표 단계 (없으면 락다운 중이면 현재 단계, 아니면 기본 단계). source: 'robot' 이면 로봇 작업은 두고 간다.
+  // 같은 단계로 다시 들어오면 사유와 시각만 갱신한다 (침묵·자동 상향 타이머는 그대로).
+  function activateLockdown({ stage, message, reason, meta, level = null, source = null, autoEscalate = true } = {}) {
+    const previous = currentLevel();
+    const target = level || previous || defaultLevel;
+    if (previous && previous === target) {
+      lockdownState.reason = reason || lockdownState.reason;
+      lockdownState.triggeredAt = timeNow();
+      bridge.offline.record('lockdown_trigger', { stage: lockdownState.stage, level: target.name, previousLevel: target.name, reason: lockdownState.reason, repeated: true });
+      persist();
+      sendLockdownStatus({ repeated: true });
+      return;
+    }
+    lockdownState.active = true;
+    lockdownState.stage = stage || lockdownState.stage || 'lockdown';
+    lockdownState.message = message || lockdownState.message || 'lockdown';
+    lockdownState.reason = reason || lockdownState.reason || 'lockdown';
+    lockdownState.meta = meta || lockdownState.meta || null;
+    lockdownState.triggeredAt = timeNow();
+    lockdownState.clearedAt = 0;
+    lockdownState.clearedBy = null;
+    lockdownState.clearedReason = null;
+    lockdownState.resumedAt = 0;
+    enterLevel(target, previous, { source, autoEscalate });
+    bridge.offline.record('lockdown_trigger', { stage: lockdownState.stage, level: target.name, previousLevel: previous?.name || null, reason: lockdownState.reason, meta: lockdownState.meta });
+    persist();
+    sendLockdownStatus(previous && previous !== target ? { previousLevel: previous.name } : {});
+  }
+
+  // 락다운을 유지한 채 더 낮은 단계로 내린다.
+  function deescalate(level, { reason, actor, escalate = false }) {
+    const previous = currentLevel();
+    lockdownState.reason = reason || lockdownState.reason;
+    enterLevel(level, previous, { cause: reason, autoEscalate: escalate });
+    bridge.logger.info('[lockdown] de-escalated', { from: previous.name, to: level.name, reason, actor: actor || null });
+    bridge.offline.record('lockdown_deescalate', { from: previous.name, to: level.name, reason, actor: actor || null });
+    persist();
+    sendLockdownStatus({ previousLevel: previous.name, deescalated: true });
+  }
+
+  // level: 지금보다 낮은 단계를 주면 해제하지 않고 그 단계로 내린다 (같거나 높으면 거절).
+  // escalate: 내린 단계에서도 자동 상향을 계속할지 (기본은 멈춤).
+  function clearLockdown({ reason = 'unlock', actor, level = null, escalate = false } = {}) {
+    const wasActive = !!lockdownState.active;
+    if (wasActive && level) {
+      if (levelIndex(level) >= levelIndex(currentLevel())) throw httpError(409, 'lockdown_level_not_lower');
+      deescalate(level, { reason, actor, escalate });
+      return true;
+    }
+    clearTimeout(escalationTimer);
+    escalationTimer = null;
+    lockdownState.escalateAt = 0;
+    lockdownState.active = false;
+    lockdownState.clearedAt = timeNow();
+    lockdownState.clearedReason = reason || null;
+    lockdownState.clearedBy = actor || null;
+    if (!lockdownState.stage) lockdownState.stage = 'lockdown';
+    const resolvedReason = reason || 'unlock';
+    lockdownState.reason = resolvedReason;
+    if (!lockdownState.message || lockdownState.message === 'lockdown') {
+      lockdownState.message = resolvedReason === 'admin_unlock' ? '관리자 해제 완료' : '락다운 해제';
+    }
+    bridge.indicators.releaseBuzzer('lockdown', { reason: 'lockdown_cleared' });
+    bridge.indicators.releaseLed('lockdown');
+    bridge.rail.enqueue('home', { reason: resolvedReason }).catch((err) => {
+      warn('[rail] home enqueue failed', err?.message || err);
+    });
+    const releasePayload = {
+      event: 'lockdown_cleared',
+      reason: resolvedReason,
+      actor: actor || null,
+      stage: lockdownState.stage,
+      message: lockdownState.message,
+      meta: lockdownState.meta || null,
+      timestamp: timeNow()
+    };
+    bridge.offline.record('lockdown_release', { wasActive, reason: resolvedReason, actor: actor || null });
+    persist();
+    sendLockdownStatus({ active: false, cleared: true, wasActive, release: releasePayload });
+    if (wasActive) {
+      bridge.robot.notifyActive(releasePayload);
+    }
+    return wasActive;
+  }
+
+  // 락다운은 그대로 두고 부저만 멈춘다. 락다운이 아니어도 울리는 부저는 멈춘다.
+  function silenceBuzzer({ actor = null, reason = 'acknowledged' } = {}) {
+    const silenced = bridge.indicators.silenceBuzzer({ actor, reason });
+    if (!lockdownState.active) return silenced;
+    lockdownState.silencedAt = timeNow();
+    lockdownState.silencedBy = actor || null;
+    bridge.logger.info('[lockdown] buzzer silenced', { actor: actor || null, reason });
+    bridge.offline.record('lockdown_silence', { actor: actor || null, reason });
+    persist();
+    sendLockdownStatus();
+    return silenced;
+  }
+
+  function requestActor(message) {
+    return message.actor && typeof message.actor === 'object'
+      ? cleanObject({ ...message.actor })
+      : cleanObject({
+          id: message.actorId ?? message.actor_id ?? null,
+          name: message.actorName ?? message.actor_name ?? null,
+          rank: message.actorRank ?? null
+        });
+  }
+
+  function triggerLockdownFromRequest(message = {}) {
+    const stage = message.stage || 'emergency_manual';
+    const reason = message.reason || 'lockdown';
+    const msg = message.message || message.note || '긴급 개방 프로토콜 시행';
+    const actor = message.actor && typeof message.actor === 'object' ? cleanObject({ ...message.actor }) : message.actor || null;
+    const meta = { ...(message.meta || {}), actor };
+    const level = requestedLevel(message);
+    const current = currentLevel();
+    const downgrade = !!level && !!current && levelIndex(level) < levelIndex(current);
+    if (downgrade && message.allowDowngrade !== true) {
+      throw httpError(409, 'lockdown_downgrade_rejected');
+    }
+    activateLockdown({ stage, reason, message: msg, meta, level, autoEscalate: !downgrade || message.escalate === true });
+    return snapshotLockdown();
+  }
+
+  function releaseLockdownFromRequest(message = {}) {
+    const actor = requestActor(message);
+    const reason = message.reason || message.message || 'unlock';
+    const wasActive = clearLockdown({ reason, actor, level: requestedLevel(message), escalate: message.escalate === true });
+    return snapshotLockdown({ wasActive });
+  }
+
+  return {
+    state: lockdownState,
+    levels,
+    load,
+    stop: () => clearTimeout(escalationTimer),
+    isActive: () => !!lockdownState.active,
+    level: () => currentLevel()?.name || null,
+    identifyDisabled: () => !!currentLevel()?.disableIdentify,
+    snapshot: snapshotLockdown,
+    sendStatus: sendLockdownStatus,
+    activate: activateLockdown,
+    clear: clearLockdown,
+    triggerFromRequest: triggerLockdownFromRequest,
+    releaseFromRequest: releaseLockdownFromRequest,
+    silence: silenceBuzzer,
+    silenceFromRequest: (message = {}) => {
+      const actor = requestActor(message);
+      const silenced = silenceBuzzer({ actor: Object.keys(actor).length ? actor : null, reason: message.reason || 'acknowledged' });
+      return snapshotLockdown({ silencedClaims: silenced });
+    }
+  };
+}
+
+module.exports = { createLockdownService };
@@ -0,0 +1,139 @@
+/**
+ * lockout.js — 지문 인증 반복 실패 차단
+ *
+ * identify 결과 중 no_match 와 신뢰도 미달(identify_rejected)을 실패로 센다. 세션 안의 연속 실패가
+ * IDENTIFY_LOCKOUT_FAILURES 에 닿거나, IDENTIFY_LOCKOUT_WINDOW_MS 안의 실패가
+ * IDENTIFY_LOCKOUT_WINDOW_FAILURES 에 닿으면 IDENTIFY_LOCKOUT_MS 동안 identify 를 멈추고
+ * lockout LED 패턴을 켜고 FP_LOCKOUT 을 보낸다. 창 안의 실패가 IDENTIFY_LOCKDOWN_FAILURES(0 이면 끔)에
+ * 닿으면 락다운까지 올린다. 매칭되면 연속 실패만 초기화되고 창 안의 기록은 남는다.
+ */
+
+const { timeNow } = require('./util');
+
+function createLockoutService(bridge) {
+  const { config, warn } = bridge;
+  const settings = config.lockout;
+
+  let failures = [];
+  let consecutive = 0;
+  let sessionId = null;
+  let timer = null;
+  const lockoutState = {
+    active: false,
+    reason: null,
+    startedAt: 0,
+    until: 0,
+    count: 0,
+    escalated: false
+  };
+
+  function prune(now = timeNow()) {
+    failures = failures.filter((at) => now - at <= settings.windowMs);
+  }
+
+  function snapshot() {
+    prune();
+    return {
+      active: lockoutState.active,
+      reason: lockoutState.reason,
+      startedAt: lockoutState.startedAt || null,
+      until: lockoutState.until || null,
+      lockouts: lockoutState.count,
+      escalated: lockoutState.escalated,
+      consecutiveFailures: consecutive,
+      windowFailures: failures.length
+    };
+  }
+
+  function announce(extra = {}) {
+    const payload = { type: 'FP_LOCKOUT', ...snapshot(), ...extra };
+    bridge.backend.send(payload);
+    bridge.debugWs.broadcast(payload);
+    bridge.emit('lockout', payload);
+  }
+
+  function escalate(session) {
+    if (lockoutState.escalated || bridge.lockdown.isActive()) return;
+    lockoutState.escalated = true;
+    warn('[lockout] escalating repeated identify failures to lockdown', { windowFailures: failures.length });
+    bridge.lockdown.activate({
+      stage: 'identify_lockout',
+      reason: 'identify_failures',
+      message: '지문 인증 반복 실패',
+      meta: { windowFailures: failures.length, windowMs: settings.windowMs, sessionId: session?.id ?? null }
+    });
+  }
+
+  function begin(reason, session) {
+    const now = timeNow();
+    clearTimeout(timer);
+    lockoutState.active = true;
+    lockoutState.reason = reason;
+    lockoutState.startedAt = now;
+    lockoutState.until = now + settings.durationMs;
+    lockoutState.count += 1;
+    timer = setTimeout(() => end('expired'), settings.durationMs);
+    warn('[lockout] identify locked out', { reason, durationMs: settings.durationMs, consecutive, windowFailures: failures.length });
+    bridge.identify.stop('locked_out', { turnOffLed: false });
+    bridge.indicators.claimLed('lockout', 'lockout');
+    bridge.offline.record('identify_lockout', { reason, consecutive, windowFailures: failures.length, sessionId: session?.id ?? null });
+    announce({ sessionId: session?.id ?? null });
+  }
+
+  function end(reason = 'expired', actor = null) {
+    clearTimeout(timer);
+    timer = null;
+    if (!lockoutState.active) return false;
+    lockoutState.active = false;
+    lockoutState.until = 0;
+    consecutive = 0;
+    if (reason !== 'expired') failures = [];
+    lockoutState.escalated = false;
+    bridge.logger.info('[lockout] identify lockout cleared', { reason, actor });
+    bridge.indicators.releaseLed('lockout');
+    announce({ cleared: true, clearedReason: reason, actor });
+    return true;
+  }
+
+  // identify 정책을 거친 프레임을 받는다. 실패가 아니면 아무것도 세지 않는다.
+  function record(frame, session) {
+    if (!settings.enabled || !frame) return;
+    const currentSession = session?.active ? session.id : null;
+    if (currentSession !== sessionId) {
+      sessionId = currentSession;
+      consecutive = 0;
+    }
+    if (frame.type === 'identify' && frame.ok) {
+      consecutive = 0;
+      return;
+    }
+    const failed = frame.type === 'identify_rejected' || (frame.type === 'identify' && frame.error === 'no_match');
+    if (!failed || lockoutState.active) return;
+    const now = timeNow();
+    consecutive += 1;
+    failures.push(now);
+    prune(now);
+    if (settings.lockdownFailures > 0 && failures.length >= settings.lockdownFailures) escalate(session);
+    if (consecutive >= settings.maxConsecutive) {
+      begin('consecutive_failures', session);
+    } else if (failures.length >= settings.maxInWindow) {
+      begin('window_failures', session);
+    }
+  }
+
+  function stop() {
+    clearTimeout(timer);
+    timer = null;
+  }
+
+  return {
+    state: lockoutState,
+    isActive: () => lockoutState.active,
+    record,
+    clear: (actor = null) => end('manual_clear', actor),
+    stop,
+    snapshot
+  };
+}
+
+module.exports = { createLockoutService };
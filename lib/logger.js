@@ -0,0 +1,155 @@
+/**
+ * logger.js — 구조화(JSON lines) 로거
+ *
+ * console.log 처럼 (...args) 로 호출하되, 문자열은 msg 로 합치고 객체는 필드로 펼친다.
+ * 모든 항목에 site 가 붙고, child() 나 runWithContext() 로 requestId/jobId/sessionId 를
+ * 이어 붙일 수 있다. LOG_FILE 이 있으면 크기/날짜 기준으로 회전하며 파일에도 남긴다.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { AsyncLocalStorage } = require('async_hooks');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+const CORRELATION_KEYS = ['site', 'requestId', 'jobId', 'sessionId'];
+
+function isPlainObject(value) {
+  return !!value && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Error);
+}
+
+function dayStamp(time = Date.now()) {
+  return new Date(time).toISOString().slice(0, 10);
+}
+
+function formatArgs(args) {
+  const words = [];
+  const fields = {};
+  const details = [];
+  for (const arg of args) {
+    if (arg === undefined) continue;
+    if (arg instanceof Error) {
+      words.push(arg.message);
+      if (!fields.error) fields.error = arg.message;
+    } else if (isPlainObject(arg)) {
+      Object.assign(fields, arg);
+    } else if (arg !== null && typeof arg === 'object') {
+      details.push(arg);
+    } else {
+      words.push(String(arg));
+    }
+  }
+  let msg = words.join(' ');
+  const tag = msg.match(/^\[([\w-]+)\]\s*/);
+  if (tag) {
+    fields.component = fields.component || tag[1];
+    msg = msg.slice(tag[0].length);
+  }
+  if (details.length) fields.detail = details.length === 1 ? details[0] : details;
+  return { msg, fields };
+}
+
+function createFileSink({ file, maxBytes, daily, maxFiles }) {
+  const dir = path.dirname(file);
+  const ext = path.extname(file);
+  const base = path.basename(file, ext);
+  let size = 0;
+  let day = dayStamp();
+  let failed = false;
+
+  try {
+    fs.mkdirSync(dir, { recursive: true });
+    const stat = fs.statSync(file);
+    size = stat.size;
+    day = dayStamp(stat.mtimeMs);
+  } catch (_) {}
+
+  function prune() {
+    if (!(maxFiles > 0)) return;
+    const rotated = fs.readdirSync(dir)
+      .filter((name) => name !== path.basename(file) && name.startsWith(`${base}.`) && name.endsWith(ext))
+      .map((name) => ({ name, mtime: fs.statSync(path.join(dir, name)).mtimeMs }))
+      .sort((a, b) => b.mtime - a.mtime);
+    for (const entry of rotated.slice(maxFiles)) {
+      fs.unlinkSync(path.join(dir, entry.name));
+    }
+  }
+
+  function rotate() {
+    let target = path.join(dir, `${base}.${day}${ext}`);
+    for (let index = 1; fs.existsSync(target); index += 1) {
+      target = path.join(dir, `${base}.${day}.${index}${ext}`);
+    }
+    fs.renameSync(file, target);
+    size = 0;
+    prune();
+  }
+
+  return function write(line) {
+    const today = dayStamp();
+    try {
+      if (size > 0 && ((daily && today !== day) || (maxBytes > 0 && size + line.length > maxBytes))) {
+        rotate();
+      }
+      day = today;
+      fs.appendFileSync(file, line);
+      size += Buffer.byteLength(line);
+      failed = false;
+    } catch (err) {
+      if (!failed) {
+        failed = true;
+        process.stderr.write(`[fp-bridge] log file write failed: ${err?.message || err}\n`);
+      }
+    }
+  };
+}
+
+function createLogger({ level = 'info', format = 'json', console: toConsole = true, file = '', maxBytes = 0, daily = true, maxFiles = 0, fields = {} } = {}) {
+  const threshold = LEVELS[level] ?? LEVELS.info;
+  const context = new AsyncLocalStorage();
+  const writeFile = file ? createFileSink({ file, maxBytes, daily, maxFiles }) : null;
+
+  function emit(entryLevel, bound, args) {
+    if (LEVELS[entryLevel] < threshold) return;
+    const { msg, fields: extra } = formatArgs(args);
+    const entry = { ts: new Date().toISOString(), level: entryLevel, msg };
+    const merged = { ...fields, ...(context.getStore() || {}), ...bound, ...extra };
+    for (const key of CORRELATION_KEYS) {
+      if (merged[key] !== undefined && merged[key] !== null) entry[key] = merged[key];
+      delete merged[key];
+    }
+    for (const [key, value] of Object.entries(merged)) {
+      if (!(key in entry)) entry[key] = value;
+    }
+    let line;
+    try {
+      line = `${JSON.stringify(entry)}\n`;
+    } catch (err) {
+      line = `${JSON.stringify({ ts: entry.ts, level: entryLevel, msg, site: entry.site, error: 'unserializable_fields' })}\n`;
+    }
+    if (toConsole) {
+      const stream = LEVELS[entryLevel] >= LEVELS.warn ? process.stderr : process.stdout;
+      if (format === 'text') {
+        stream.write(`[fp-bridge] ${args.map((arg) => (typeof arg === 'string' ? arg : JSON.stringify(arg))).join(' ')}\n`);
+      } else {
+        stream.write(line);
+      }
+    }
+    if (writeFile) writeFile(line);
+  }
+
+  function build(bound) {
+    return {
+      debug: (...args) => emit('debug', bound, args),
+      info: (...args) => emit('info', bound, args),
+      warn: (...args) => emit('warn', bound, args),
+      error: (...args) => emit('error', bound, args),
+      child: (extra = {}) => build({ ...bound, ...extra }),
+      runWithContext: (extra, fn) => context.run({ ...(context.getStore() || {}), ...extra }, fn),
+      enabled: (entryLevel) => LEVELS[entryLevel] >= threshold
+    };
+  }
+
+  return build({});
+}
+
+module.exports = { createLogger, formatArgs, LEVELS };
@@ -0,0 +1,171 @@
+/**
+ * metrics.js — Prometheus 텍스트 형식 지표
+ *
+ * 카운터/히스토그램은 각 서비스가 직접 올리고, 큐 길이·연결 상태 같은 게이지는
+ * 스크레이프 시점에 bridge 상태에서 읽는다. 로컬 API 의 GET /metrics 로 노출된다.
+ */
+
+const PREFIX = 'fp_bridge_';
+
+const SENSOR_BUCKETS = [0.25, 0.5, 1, 2, 5, 10, 20, 40, 70];
+const ROBOT_BUCKETS = [5, 15, 30, 60, 120, 300, 600, 1200];
+const RAIL_BUCKETS = [0.5, 1, 2, 5, 10, 20, 45];
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels || {});
+  if (!entries.length) return '';
+  return `{${entries.map(([key, value]) => `${key}="${escapeLabel(value)}"`).join(',')}}`;
+}
+
+function labelKey(labelNames, labels = {}) {
+  return JSON.stringify(labelNames.map((name) => String(labels[name] ?? '')));
+}
+
+function pickLabels(labelNames, labels = {}) {
+  const out = {};
+  for (const name of labelNames) out[name] = String(labels[name] ?? '');
+  return out;
+}
+
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  if (Number.isNaN(value)) return 'NaN';
+  return String(value);
+}
+
+function createRegistry() {
+  const metrics = [];
+
+  function counter(name, help, labelNames = []) {
+    const values = new Map();
+    const metric = {
+      name: PREFIX + name,
+      help,
+      type: 'counter',
+      inc(labels = {}, amount = 1) {
+        const key = labelKey(labelNames, labels);
+        const current = values.get(key) || { labels: pickLabels(labelNames, labels), value: 0 };
+        current.value += amount;
+        values.set(key, current);
+      },
+      samples: () => [...values.values()].map(({ labels, value }) => ({ name: metric.name, labels, value }))
+    };
+    metrics.push(metric);
+    return metric;
+  }
+
+  function histogram(name, help, buckets, labelNames = []) {
+    const values = new Map();
+    const metric = {
+      name: PREFIX + name,
+      help,
+      type: 'histogram',
+      observe(labels = {}, value) {
+        if (!Number.isFinite(value)) return;
+        const key = labelKey(labelNames, labels);
+        let current = values.get(key);
+        if (!current) {
+          current = { labels: pickLabels(labelNames, labels), counts: buckets.map(() => 0), sum: 0, count: 0 };
+          values.set(key, current);
+        }
+        buckets.forEach((bound, index) => {
+          if (value <= bound) current.counts[index] += 1;
+        });
+        current.sum += value;
+        current.count += 1;
+      },
+      samples() {
+        const out = [];
+        for (const { labels, counts, sum, count } of values.values()) {
+          buckets.forEach((bound, index) => {
+            out.push({ name: `${metric.name}_bucket`, labels: { ...labels, le: formatValue(bound) }, value: counts[index] });
+          });
+          out.push({ name: `${metric.name}_bucket`, labels: { ...labels, le: '+Inf' }, value: count });
+          out.push({ name: `${metric.name}_sum`, labels, value: sum });
+          out.push({ name: `${metric.name}_count`, labels, value: count });
+        }
+        return out;
+      }
+    };
+    metrics.push(metric);
+    return metric;
+  }
+
+  function collect(name, help, type, read) {
+    const metric = {
+      name: PREFIX + name,
+      help,
+      type,
+      samples() {
+        const result = read();
+        const list = Array.isArray(result) ? result : [{ labels: {}, value: result }];
+        return list.map(({ labels, value }) => ({ name: metric.name, labels, value: Number(value) || 0 }));
+      }
+    };
+    metrics.push(metric);
+    return metric;
+  }
+
+  function render() {
+    const lines = [];
+    for (const metric of metrics) {
+      lines.push(`# HELP ${metric.name} ${metric.help}`);
+      lines.push(`# TYPE ${metric.name} ${metric.type}`);
+      for (const sample of metric.samples()) {
+        lines.push(`${sample.name}${formatLabels(sample.labels)} ${formatValue(sample.value)}`);
+      }
+    }
+    return `${lines.join('\n')}\n`;
+  }
+
+  return { counter, histogram, collect, render };
+}
+
+function createMetrics(bridge) {
+  const registry = createRegistry();
+  const startedAt = Date.now();
+
+  const metrics = {
+    identifyAttempts: registry.counter('identify_attempts_total', 'Identify commands written to the sensor.'),
+    identifyResults: registry.counter('identify_results_total', 'Identify results by outcome (match, no_match, no_finger, low_confidence, confirm_pending, error).', ['result']),
+    sensorCommandDuration: registry.histogram('sensor_command_duration_seconds', 'Duration of enroll/delete/clear/count sensor commands.', SENSOR_BUCKETS, ['command', 'outcome']),
+    sensorCommandFailures: registry.counter('sensor_command_failures_total', 'Failed sensor commands by error code.', ['command', 'code']),
+    serialReconnects: registry.counter('serial_reconnects_total', 'Serial port reconnect attempts.'),
+    backendReconnects: registry.counter('backend_reconnects_total', 'Backend WebSocket reconnect attempts.'),
+    robotJobDuration: registry.histogram('robot_job_duration_seconds', 'Robot job duration by mode and outcome.', ROBOT_BUCKETS, ['mode', 'outcome']),
+    railCommands: registry.counter('rail_commands_total', 'Rail commands by action and outcome (ok, failed, skipped).', ['action', 'outcome']),
+    railCommandDuration: registry.histogram('rail_command_duration_seconds', 'Latency of executed rail commands.', RAIL_BUCKETS, ['action', 'outcome'])
+  };
+
+  registry.collect('uptime_seconds', 'Seconds since the bridge process created its metrics.', 'gauge', () => (Date.now() - startedAt) / 1000);
+  registry.collect('serial_connected', 'Whether the sensor serial port is open (1/0).', 'gauge', () => (bridge.sensor.isOpen() ? 1 : 0));
+  registry.collect('backend_connected', 'Whether the backend WebSocket is authenticated (1/0).', 'gauge', () => (bridge.backend.isOnline() ? 1 : 0));
+  registry.collect('backend_queue_depth', 'Backend messages waiting to be sent or acknowledged.', 'gauge', () => [
+    { labels: { state: 'pending' }, value: bridge.outbox.queue.length },
+    { labels: { state: 'inflight' }, value: bridge.outbox.inflight.size }
+  ]);
+  registry.collect('backend_messages_total', 'Outbox message lifecycle counters.', 'counter', () => {
+    const state = bridge.outbox.state;
+    return [
+      { labels: { event: 'queued' }, value: state.seq },
+      { labels: { event: 'acked' }, value: state.acked },
+      { labels: { event: 'resent' }, value: state.resent },
+      { labels: { event: 'dropped' }, value: state.dropped },
+      { labels: { event: 'suppressed' }, value: state.suppressed }
+    ];
+  });
+  registry.collect('sensor_queue_depth', 'Sensor commands waiting in the command queue.', 'gauge', () => bridge.sensor.queue.snapshot().waiting.length);
+  registry.collect('robot_job_active', 'Whether a robot job is running (1/0).', 'gauge', () => (bridge.robot.state.active ? 1 : 0));
+  registry.collect('lockdown_active', 'Whether the lockdown protocol is active (1/0).', 'gauge', () => (bridge.lockdown.isActive() ? 1 : 0));
+  registry.collect('lockdown_level', 'Current lockdown level (1 = lowest configured level, 0 = inactive).', 'gauge', () => bridge.lockdown.levels.findIndex((level) => level.name === bridge.lockdown.level()) + 1);
+  registry.collect('identify_lockout_active', 'Whether identify is locked out after repeated failures (1/0).', 'gauge', () => (bridge.lockout.isActive() ? 1 : 0));
+  registry.collect('offline_active', 'Whether offline mode is active (1/0).', 'gauge', () => (bridge.offline.state.active ? 1 : 0));
+
+  return { ...metrics, render: registry.render };
+}
+
+module.exports = { createMetrics, createRegistry };
@@ -0,0 +1,563 @@
+/**
+ * mock_serial.js — 아두이노 지문 센서 모의 장치
+ *
+ * FINGERPRINT_PORT=mock 일 때 fingerprint_bridge.js 가 실제 SerialPort 대신 사용한다.
+ *  - 펌웨어와 동일한 JSON-lines 프로토콜(identify, enroll 단계·중복 검사, delete, clear, count, index, led, buzzer, cancel,
+ *    template_read/begin/chunk/store)을 흉내낸다. 템플릿은 손가락 키를 담은 512 바이트 버퍼다
+ *  - 자체 지문 DB(슬롯 → 손가락 키)를 유지하며, 필요하면 파일로 저장한다
+ *  - 명령별 지연시간과 실패 주입, 손가락 제시(presentFinger)를 스크립트로 제어할 수 있다
+ *  - 명령에 seq 가 있으면 응답에 그대로 되돌려 준다 (echoSeq: false 로 구형 펌웨어 흉내)
+ *
+ * MOCK_SENSOR_CONFIG 에는 JSON 문자열 또는 JSON 파일 경로를 지정한다.
+ *   {
+ *     "latency": { "identify": 600, "enrollStage": 400 },
+ *     "identifyWaitMs": 4000,
+ *     "db": { "1": "finger-a", "2": "finger-b" },
+ *     "failures": [{ "command": "enroll", "error": "enroll_failed", "stage": "model_created", "times": 1 }]
+ *   }
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const { Duplex } = require('stream');
+const { crc32 } = require('./util');
+
+const DEFAULT_LATENCY = {
+  open: 50,
+  identify: 600,
+  enrollStage: 400,
+  delete: 150,
+  clear: 300,
+  count: 80,
+  led: 20,
+  buzzer: 20,
+  template: 20
+};
+
+const ENROLL_STAGES = ['place_finger', 'remove_finger', 'place_again', 'model_created', 'stored'];
+const IMMEDIATE_COMMANDS = new Set(['led', 'buzzer', 'cancel']);
+const TEMPLATE_SIZE = 512;
+const TEMPLATE_CHUNK_BYTES = 128;
+const TEMPLATE_MAGIC = 'FPT1';
+
+function templateFor(finger){
+  const head = Buffer.from(`${TEMPLATE_MAGIC}${finger}\0`, 'utf8');
+  const fill = [];
+  let block = crypto.createHash('sha256').update(String(finger)).digest();
+  for (let size = head.length; size < TEMPLATE_SIZE; size += block.length) {
+    fill.push(block);
+    block = crypto.createHash('sha256').update(block).digest();
+  }
+  return Buffer.concat([head, ...fill]).subarray(0, Math.max(TEMPLATE_SIZE, head.length));
+}
+
+function fingerFromTemplate(buffer){
+  if (buffer.subarray(0, TEMPLATE_MAGIC.length).toString('utf8') !== TEMPLATE_MAGIC) return null;
+  const end = buffer.indexOf(0, TEMPLATE_MAGIC.length);
+  return end > TEMPLATE_MAGIC.length ? buffer.subarray(TEMPLATE_MAGIC.length, end).toString('utf8') : null;
+}
+
+function loadMockConfig(raw){
+  const text = String(raw || '').trim();
+  if (!text) return {};
+  if (text.startsWith('{')) return JSON.parse(text);
+  return JSON.parse(fs.readFileSync(text, 'utf8'));
+}
+
+class MockSensorPort extends Duplex {
+  constructor(options = {}){
+    super();
+    this.path = options.path || 'mock';
+    this.baudRate = Number(options.baudRate) || 115200;
+    this.isOpen = false;
+    this.latency = { ...DEFAULT_LATENCY, ...(options.latency || {}) };
+    this.identifyWaitMs = Number(options.identifyWaitMs ?? 4000);
+    this.enrollWaitMs = Number(options.enrollWaitMs ?? 10000);
+    this.capacity = Number(options.capacity ?? 200);
+    this.confidence = Array.isArray(options.confidence) ? options.confidence : [60, 220];
+    this.autoEnrollFinger = options.autoEnrollFinger !== false;
+    this.echoSeq = options.echoSeq !== false;
+    this.dbFile = options.dbFile || null;
+    this.db = new Map();
+    this.failures = [];
+    this.fingers = [];
+    this.fingerWaiters = [];
+    this.timers = new Set();
+    this.queue = Promise.resolve();
+    this.readBuffer = '';
+    this.led = { mode: 'off', color: null, speed: null, cycles: null };
+    this.buzzer = { state: 'off' };
+    this.commandLog = [];
+    this.enrolling = null;
+    this.upload = null;
+
+    this.loadDb(options.db);
+    for (const failure of Array.isArray(options.failures) ? options.failures : []) {
+      this.injectFailure(failure.command, failure);
+    }
+  }
+
+  open(callback){
+    setImmediate(() => {
+      this.isOpen = true;
+      this.emit('open');
+      if (typeof callback === 'function') callback(null);
+    });
+  }
+
+  close(callback){
+    if (!this.isOpen) {
+      if (typeof callback === 'function') callback(new Error('Port is not open'));
+      return;
+    }
+    this.isOpen = false;
+    for (const timer of this.timers) clearTimeout(timer);
+    this.timers.clear();
+    const waiters = this.fingerWaiters.splice(0);
+    waiters.forEach(({ resolve }) => resolve(null));
+    this.unpipe();
+    setImmediate(() => {
+      this.emit('close');
+      if (typeof callback === 'function') callback(null);
+    });
+  }
+
+  _read(){}
+
+  _write(chunk, _encoding, callback){
+    if (!this.isOpen) {
+      callback(new Error('Port is not open'));
+      return;
+    }
+    this.readBuffer += chunk.toString('utf8');
+    let idx;
+    while ((idx = this.readBuffer.indexOf('\n')) >= 0) {
+      const line = this.readBuffer.slice(0, idx).trim();
+      this.readBuffer = this.readBuffer.slice(idx + 1);
+      if (line) this.receive(line);
+    }
+    callback();
+  }
+
+  receive(line){
+    let command;
+    try { command = JSON.parse(line); }
+    catch (_) {
+      this.emitLine({ ok: false, error: 'bad_json' });
+      return;
+    }
+    const cmd = String(command?.cmd || '');
+    this.commandLog.push({ ...command, at: Date.now() });
+    if (this.commandLog.length > 200) this.commandLog.shift();
+    this.emit('command', command);
+    if (IMMEDIATE_COMMANDS.has(cmd)) {
+      this.handle(command).catch((err) => this.reply(command, { type: cmd, ok: false, error: err.message }));
+      return;
+    }
+    this.queue = this.queue
+      .then(() => this.handle(command))
+      .catch((err) => this.reply(command, { type: cmd || null, ok: false, error: err.message }));
+  }
+
+  async handle(command){
+    switch (command.cmd) {
+      case 'open': return this.handleOpen(command);
+      case 'identify': return this.handleIdentify(command);
+      case 'enroll': return this.handleEnroll(command);
+      case 'delete': return this.handleDelete(command);
+      case 'clear': return this.handleClear(command);
+      case 'count': return this.handleCount(command);
+      case 'index': return this.handleIndex(command);
+      case 'led': return this.handleLed(command);
+      case 'buzzer': return this.handleBuzzer(command);
+      case 'cancel': return this.handleCancel(command);
+      case 'template_read': return this.handleTemplateRead(command);
+      case 'template_begin': return this.handleTemplateBegin(command);
+      case 'template_chunk': return this.handleTemplateChunk(command);
+      case 'template_store': return this.handleTemplateStore(command);
+      default:
+        this.reply(command, { ok: false, error: 'unknown_cmd', cmd: command.cmd ?? null });
+    }
+  }
+
+  async handleOpen(command){
+    await this.delay(this.latency.open);
+    this.reply(command, { type: 'open', ok: true, mock: true, count: this.db.size, capacity: this.capacity });
+  }
+
+  async handleIdentify(command){
+    const finger = await this.waitForFinger(this.identifyWaitMs);
+    if (!this.isOpen) return;
+    if (!finger) {
+      this.reply(command, { type: 'identify', ok: false, error: 'timeout_or_no_finger' });
+      return;
+    }
+    await this.delay(this.latency.identify);
+    const failure = this.takeFailure('identify');
+    if (failure) {
+      this.reply(command, { type: 'identify', ok: false, error: failure.error || 'search_error' });
+      return;
+    }
+    const id = this.findSlot(finger);
+    if (!id) {
+      this.reply(command, { type: 'identify', ok: false, error: 'no_match' });
+      return;
+    }
+    this.reply(command, { type: 'identify', ok: true, id, confidence: this.nextConfidence() });
+  }
+
+  async handleEnroll(command){
+    const id = Number(command.id);
+    if (!Number.isInteger(id) || id <= 0 || id > this.capacity) {
+      this.reply(command, { type: 'enroll', ok: false, error: 'bad_id', id: command.id ?? null });
+      return;
+    }
+    const failure = this.takeFailure('enroll');
+    const failStage = failure ? (failure.stage || 'model_created') : null;
+    const run = { cancelled: false };
+    this.enrolling = run;
+    try {
+      let finger = null;
+      for (const stage of ENROLL_STAGES) {
+        if (!this.isOpen) return;
+        if (run.cancelled) {
+          this.reply(command, { type: 'enroll', ok: false, error: 'cancelled', stage, id });
+          return;
+        }
+        this.reply(command, { type: 'enroll_stage', stage, id });
+        if (failStage === stage) {
+          this.reply(command, { type: 'enroll', ok: false, error: failure.error || 'enroll_failed', stage, id });
+          return;
+        }
+        if (stage === 'place_finger' || stage === 'place_again') {
+          const presented = await this.waitForEnrollFinger(id, finger);
+          if (!this.isOpen) return;
+          if (run.cancelled) continue;
+          if (!presented) {
+            this.reply(command, { type: 'enroll', ok: false, error: 'timeout_or_no_finger', stage, id });
+            return;
+          }
+          if (finger && presented !== finger) {
+            this.reply(command, { type: 'enroll', ok: false, error: 'enroll_mismatch', stage, id });
+            return;
+          }
+          finger = presented;
+          if (stage === 'place_finger' && (command.dupCheck === 'reject' || command.dupCheck === 'warn')) {
+            const matchId = this.findSlot(finger, id);
+            const confidence = matchId ? this.nextConfidence() : null;
+            this.reply(command, { type: 'enroll_stage', stage: 'duplicate_check', id, duplicate: !!matchId, matchId, confidence });
+            if (matchId && command.dupCheck === 'reject') {
+              this.reply(command, { type: 'enroll', ok: false, error: 'duplicate_finger', stage: 'duplicate_check', id, matchId, confidence });
+              return;
+            }
+          }
+        } else {
+          await this.delay(this.latency.enrollStage);
+        }
+      }
+      if (run.cancelled) {
+        this.reply(command, { type: 'enroll', ok: false, error: 'cancelled', stage: 'stored', id });
+        return;
+      }
+      this.db.set(id, finger);
+      this.saveDb();
+      this.reply(command, { type: 'enroll', ok: true, id });
+    } finally {
+      if (this.enrolling === run) this.enrolling = null;
+    }
+  }
+
+  async handleDelete(command){
+    const id = Number(command.id);
+    await this.delay(this.latency.delete);
+    const failure = this.takeFailure('delete');
+    if (failure || !this.db.has(id)) {
+      this.reply(command, { type: 'delete', ok: false, error: failure?.error || 'delete_failed', id: command.id ?? null });
+      return;
+    }
+    this.db.delete(id);
+    this.saveDb();
+    this.reply(command, { type: 'delete', ok: true, id });
+  }
+
+  async handleClear(command){
+    await this.delay(this.latency.clear);
+    const failure = this.takeFailure('clear');
+    if (failure) {
+      this.reply(command, { type: 'clear', ok: false, error: failure.error || 'clear_failed' });
+      return;
+    }
+    this.db.clear();
+    this.saveDb();
+    this.reply(command, { type: 'clear', ok: true });
+  }
+
+  async handleCount(command){
+    await this.delay(this.latency.count);
+    const failure = this.takeFailure('count');
+    if (failure) {
+      this.reply(command, { type: 'count', ok: false, error: failure.error || 'count_failed' });
+      return;
+    }
+    this.reply(command, { type: 'count', ok: true, count: this.db.size });
+  }
+
+  async handleIndex(command){
+    await this.delay(this.latency.count);
+    const failure = this.takeFailure('index');
+    if (failure) {
+      this.reply(command, { type: 'index', ok: false, error: failure.error || 'index_failed' });
+      return;
+    }
+    const ids = [...this.db.keys()].sort((a, b) => a - b);
+    this.reply(command, { type: 'index', ok: true, ids, capacity: this.capacity });
+  }
+
+  async handleLed(command){
+    await this.delay(this.latency.led);
+    const failure = this.takeFailure('led');
+    if (failure) {
+      this.reply(command, { type: 'led', ok: false, error: failure.error || 'led_failed' });
+      return;
+    }
+    this.led = {
+      mode: command.mode || 'off',
+      color: command.color ?? null,
+      speed: command.speed ?? null,
+      cycles: command.cycles ?? null
+    };
+    this.reply(command, { type: 'led', ok: true, ...this.led });
+  }
+
+  async handleBuzzer(command){
+    await this.delay(this.latency.buzzer);
+    const failure = this.takeFailure('buzzer');
+    if (failure) {
+      this.reply(command, { type: 'buzzer', ok: false, error: failure.error || 'buzzer_failed' });
+      return;
+    }
+    this.buzzer = { state: command.state === 'on' ? 'on' : 'off' };
+    this.reply(command, { type: 'buzzer', ok: true, state: this.buzzer.state });
+  }
+
+  // 실패 주입 error 가 'corrupt' 이면 첫 조각의 CRC 를 틀리게 보낸다.
+  async handleTemplateRead(command){
+    const id = Number(command.id);
+    await this.delay(this.latency.template);
+    if (!this.db.has(id)) {
+      this.reply(command, { type: 'template_read', ok: false, error: 'empty_slot', id });
+      return;
+    }
+    const failure = this.takeFailure('template_read');
+    if (failure && failure.error !== 'corrupt') {
+      this.reply(command, { type: 'template_read', ok: false, error: failure.error || 'template_read_failed', id });
+      return;
+    }
+    const template = templateFor(this.db.get(id));
+    const total = Math.ceil(template.length / TEMPLATE_CHUNK_BYTES);
+    for (let index = 0; index < total; index += 1) {
+      const chunk = template.subarray(index * TEMPLATE_CHUNK_BYTES, (index + 1) * TEMPLATE_CHUNK_BYTES);
+      const crc = failure && index === 0 ? '00000000' : crc32(chunk);
+      this.reply(command, { type: 'template_chunk', id, index, total, data: chunk.toString('base64'), crc });
+    }
+    this.reply(command, { type: 'template_read', ok: true, id, size: template.length, crc: crc32(template) });
+  }
+
+  async handleTemplateBegin(command){
+    const id = Number(command.id);
+    if (!Number.isInteger(id) || id <= 0 || id > this.capacity) {
+      this.reply(command, { type: 'template_begin', ok: false, error: 'bad_id', id: command.id ?? null });
+      return;
+    }
+    this.upload = { id, size: Number(command.size), crc: String(command.crc || ''), total: Number(command.total), chunks: [] };
+    this.reply(command, { type: 'template_begin', ok: true, id });
+  }
+
+  async handleTemplateChunk(command){
+    const id = Number(command.id);
+    if (!this.upload || this.upload.id !== id) {
+      this.reply(command, { type: 'template_chunk', ok: false, error: 'no_upload', id });
+      return;
+    }
+    const bytes = Buffer.from(String(command.data || ''), 'base64');
+    if (crc32(bytes) !== String(command.crc || '')) {
+      this.reply(command, { type: 'template_chunk', ok: false, error: 'chunk_checksum', id, index: command.index });
+      return;
+    }
+    this.upload.chunks[Number(command.index)] = bytes;
+    this.reply(command, { type: 'template_chunk', ok: true, id, index: command.index });
+  }
+
+  async handleTemplateStore(command){
+    const id = Number(command.id);
+    const upload = this.upload;
+    this.upload = null;
+    if (!upload || upload.id !== id) {
+      this.reply(command, { type: 'template_store', ok: false, error: 'no_upload', id });
+      return;
+    }
+    await this.delay(this.latency.template);
+    const template = Buffer.concat(upload.chunks.filter(Boolean));
+    if (template.length !== upload.size || crc32(template) !== upload.crc) {
+      this.reply(command, { type: 'template_store', ok: false, error: 'template_checksum', id });
+      return;
+    }
+    const finger = fingerFromTemplate(template);
+    if (!finger) {
+      this.reply(command, { type: 'template_store', ok: false, error: 'bad_template', id });
+      return;
+    }
+    this.db.set(id, finger);
+    this.saveDb();
+    this.reply(command, { type: 'template_store', ok: true, id, crc: crc32(template) });
+  }
+
+  async handleCancel(command){
+    const active = !!this.enrolling;
+    if (active) {
+      this.enrolling.cancelled = true;
+      const waiters = this.fingerWaiters.splice(0);
+      waiters.forEach(({ resolve, timer }) => {
+        clearTimeout(timer);
+        this.timers.delete(timer);
+        resolve(null);
+      });
+    }
+    this.reply(command, { type: 'cancel', ok: true, active });
+  }
+
+  reply(command, obj){
+    const seq = command?.seq;
+    this.emitLine(this.echoSeq && seq !== undefined && seq !== null ? { ...obj, seq } : obj);
+  }
+
+  emitLine(obj){
+    if (!this.isOpen) return;
+    this.push(`${JSON.stringify(obj)}\n`);
+  }
+
+  delay(ms){
+    const wait = Math.max(0, Number(ms) || 0);
+    return new Promise((resolve) => {
+      const timer = setTimeout(() => {
+        this.timers.delete(timer);
+        resolve();
+      }, wait);
+      this.timers.add(timer);
+    });
+  }
+
+  presentFinger(finger){
+    const key = String(finger ?? `unknown-${Date.now().toString(36)}`);
+    const waiter = this.fingerWaiters.shift();
+    if (waiter) {
+      clearTimeout(waiter.timer);
+      this.timers.delete(waiter.timer);
+      waiter.resolve(key);
+    } else {
+      this.fingers.push(key);
+    }
+    return key;
+  }
+
+  presentSlot(slot){
+    const id = Number(slot);
+    return this.presentFinger(this.db.get(id) || `unenrolled-${id}`);
+  }
+
+  removeFinger(){
+    this.fingers = [];
+  }
+
+  waitForFinger(timeoutMs){
+    if (this.fingers.length) return Promise.resolve(this.fingers.shift());
+    return new Promise((resolve) => {
+      const waiter = { resolve, timer: null };
+      waiter.timer = setTimeout(() => {
+        this.timers.delete(waiter.timer);
+        const index = this.fingerWaiters.indexOf(waiter);
+        if (index >= 0) this.fingerWaiters.splice(index, 1);
+        resolve(null);
+      }, Math.max(0, Number(timeoutMs) || 0));
+      this.timers.add(waiter.timer);
+      this.fingerWaiters.push(waiter);
+    });
+  }
+
+  async waitForEnrollFinger(id, previous = null){
+    if (!this.autoEnrollFinger) return this.waitForFinger(this.enrollWaitMs);
+    const presented = await this.waitForFinger(this.latency.enrollStage);
+    return presented || previous || this.db.get(id) || `finger-${id}`;
+  }
+
+  findSlot(finger, excludeId = null){
+    for (const [id, stored] of this.db) {
+      if (stored === finger && id !== excludeId) return id;
+    }
+    return null;
+  }
+
+  nextConfidence(){
+    const [min, max] = this.confidence;
+    return Math.round(Number(min) + Math.random() * (Number(max) - Number(min)));
+  }
+
+  injectFailure(command, { error = null, stage = null, times = 1, rate = null } = {}){
+    if (!command) throw new Error('failure_command_required');
+    const failure = { command: String(command), error, stage, times: Number(times) || 0, rate: rate === null ? null : Number(rate) };
+    this.failures.push(failure);
+    return failure;
+  }
+
+  clearFailures(command = null){
+    this.failures = command ? this.failures.filter((failure) => failure.command !== command) : [];
+  }
+
+  takeFailure(command){
+    const index = this.failures.findIndex((failure) => failure.command === command);
+    if (index < 0) return null;
+    const failure = this.failures[index];
+    if (failure.rate !== null) {
+      return Math.random() < failure.rate ? failure : null;
+    }
+    failure.times -= 1;
+    if (failure.times <= 0) this.failures.splice(index, 1);
+    return failure;
+  }
+
+  loadDb(seed){
+    if (this.dbFile) {
+      try {
+        seed = JSON.parse(fs.readFileSync(this.dbFile, 'utf8'));
+      } catch (err) {
+        if (err?.code !== 'ENOENT') throw err;
+      }
+    }
+    if (Array.isArray(seed)) {
+      seed.forEach((id) => this.db.set(Number(id), `finger-${id}`));
+    } else if (seed && typeof seed === 'object') {
+      Object.entries(seed).forEach(([id, finger]) => this.db.set(Number(id), String(finger)));
+    }
+  }
+
+  saveDb(){
+    if (!this.dbFile) return;
+    fs.writeFileSync(this.dbFile, JSON.stringify(Object.fromEntries(this.db), null, 2));
+  }
+
+  snapshot(){
+    return {
+      path: this.path,
+      isOpen: this.isOpen,
+      capacity: this.capacity,
+      db: Object.fromEntries(this.db),
+      led: { ...this.led },
+      buzzer: { ...this.buzzer },
+      pendingFingers: this.fingers.length,
+      waitingForFinger: this.fingerWaiters.length > 0,
+      failures: this.failures.map((failure) => ({ ...failure }))
+    };
+  }
+}
+
+module.exports = { MockSensorPort, loadMockConfig, ENROLL_STAGES };
@@ -0,0 +1,277 @@
+/**
+ * offline.js — 백엔드 장애 시 오프라인 모드
+ *
+ * 백엔드 연결이 일정 시간 끊기면 캐시된 허용 목록으로 지문 인증을 판정하고,
+ * 그동안의 동작을 원장(JSONL)에 기록했다가 재연결 시 OFFLINE_LEDGER_SYNC 로 보고한다.
+ * 보고한 항목은 그 메시지들이 outbox 에서 모두 ack 된 뒤에야 원장에서 지운다.
+ * 오프라인 동안에는 가장 낮은 우선순위로 LED 를 점유해 offline 패턴을 보여 준다.
+ */
+
+const fs = require('fs');
+const { cleanObject, httpError, timeNow, writeJsonFileAtomic } = require('./util');
+
+function createOfflineService(bridge) {
+  const { config, log, warn } = bridge;
+  const offline = config.offline;
+
+  const offlineAllowList = new Map();
+  let offlineTimer = null;
+  // 보낸 OFFLINE_LEDGER_SYNC 의 msgId 들과 원장 앞쪽에서 지울 줄 수 (ack 대기 중일 때만)
+  let pendingSync = null;
+  const offlineState = {
+    enabled: !offline.disabled,
+    active: false,
+    outageSince: 0,
+    enteredAt: 0,
+    exitedAt: 0,
+    ledgerSeq: 0,
+    ledgerPending: 0,
+    allowListUpdatedAt: 0,
+    lastReconciledAt: 0,
+    lastErrorAt: 0
+  };
+
+  function normalizeAllowListEntry(raw) {
+    const source = raw && typeof raw === 'object' ? raw : { sensorId: raw };
+    const sensorId = Number(source.sensorId ?? source.sensor_id ?? source.id);
+    if (!Number.isInteger(sensorId) || sensorId <= 0) return null;
+    return cleanObject({
+      sensorId,
+      userId: source.userId ?? source.user_id ?? null,
+      name: source.name ?? null,
+      rank: source.rank ?? null,
+      roles: Array.isArray(source.roles) ? source.roles.map(String) : null
+    });
+  }
+
+  function loadOfflineAllowList() {
+    if (!offlineState.enabled) return;
+    try {
+      const data = JSON.parse(fs.readFileSync(offline.allowListFile, 'utf8'));
+      for (const raw of Array.isArray(data?.entries) ? data.entries : []) {
+        const entry = normalizeAllowListEntry(raw);
+        if (entry) offlineAllowList.set(entry.sensorId, entry);
+      }
+      offlineState.allowListUpdatedAt = Number(data?.updatedAt) || 0;
+    } catch (err) {
+      if (err?.code !== 'ENOENT') {
+        warn('[offline] failed to load allow-list', err?.message || err);
+      }
+    }
+  }
+
+  function replaceOfflineAllowList(rawEntries) {
+    if (!Array.isArray(rawEntries)) {
+      throw httpError(400, 'bad_allowlist');
+    }
+    const entries = rawEntries.map(normalizeAllowListEntry).filter(Boolean);
+    offlineAllowList.clear();
+    entries.forEach((entry) => offlineAllowList.set(entry.sensorId, entry));
+    offlineState.allowListUpdatedAt = timeNow();
+    try {
+      writeJsonFileAtomic(offline.allowListFile, { updatedAt: offlineState.allowListUpdatedAt, entries });
+    } catch (err) {
+      offlineState.lastErrorAt = timeNow();
+      warn('[offline] failed to persist allow-list', err?.message || err);
+      throw httpError(500, 'allowlist_write_failed');
+    }
+    log('[offline] allow-list updated', { count: entries.length });
+    return entries.length;
+  }
+
+  function loadOfflineLedgerState() {
+    if (!offlineState.enabled) return;
+    try {
+      const lines = fs.readFileSync(offline.ledgerFile, 'utf8').split(/\r?\n/).filter((line) => line.trim());
+      offlineState.ledgerPending = lines.length;
+      for (const line of lines) {
+        try { offlineState.ledgerSeq = Math.max(offlineState.ledgerSeq, Number(JSON.parse(line).seq) || 0); }
+        catch (_) {}
+      }
+    } catch (err) {
+      if (err?.code !== 'ENOENT') {
+        warn('[offline] failed to read ledger', err?.message || err);
+      }
+    }
+  }
+
+  function recordOfflineAction(action, details = {}) {
+    if (!offlineState.active) return null;
+    offlineState.ledgerSeq += 1;
+    const entry = { seq: offlineState.ledgerSeq, at: timeNow(), site: config.site, action, ...details };
+    try {
+      fs.appendFileSync(offline.ledgerFile, `${JSON.stringify(entry)}\n`);
+      offlineState.ledgerPending += 1;
+    } catch (err) {
+      offlineState.lastErrorAt = timeNow();
+      warn('[offline] ledger append failed', err?.message || err);
+    }
+    return entry;
+  }
+
+  function authorizeOfflineIdentify(obj) {
+    if (!offlineState.active || !obj || obj.type !== 'identify') return null;
+    const sensorId = Number(obj.id);
+    const user = obj.ok ? offlineAllowList.get(sensorId) || null : null;
+    const decision = {
+      authorized: !!user,
+      reason: !obj.ok ? (obj.error || 'no_match') : (user ? 'allow_listed' : 'not_allow_listed'),
+      sensorId: Number.isInteger(sensorId) && sensorId > 0 ? sensorId : null,
+      confidence: obj.confidence ?? null,
+      user
+    };
+    recordOfflineAction('identify', decision);
+    bridge.debugWs.broadcast({ type: 'FP_OFFLINE_AUTH', site: config.site, ...decision, at: timeNow() });
+    log('[offline] identify decision', { sensorId: decision.sensorId, authorized: decision.authorized, reason: decision.reason });
+    return decision;
+  }
+
+  function scheduleOfflineCheck() {
+    if (bridge.closed) return;
+    if (!offlineState.enabled || offlineState.active || offlineTimer) return;
+    if (!offlineState.outageSince) offlineState.outageSince = timeNow();
+    const delay = Math.max(0, offlineState.outageSince + offline.afterMs - timeNow());
+    offlineTimer = setTimeout(() => {
+      offlineTimer = null;
+      if (bridge.backend.isOnline()) return;
+      enterOfflineMode();
+    }, delay);
+  }
+
+  function enterOfflineMode() {
+    if (!offlineState.enabled || offlineState.active) return;
+    offlineState.active = true;
+    offlineState.enteredAt = timeNow();
+    warn('[offline] backend unreachable; offline mode enabled', {
+      outageSince: offlineState.outageSince || null,
+      allowList: offlineAllowList.size
+    });
+    recordOfflineAction('offline_enter', { outageSince: offlineState.outageSince || null });
+    bridge.indicators.claimLed('offline', 'offline');
+    bridge.debugWs.broadcast({ type: 'BRIDGE_MODE', site: config.site, offline: snapshotOffline() });
+  }
+
+  function exitOfflineMode(reason = 'backend_online') {
+    if (offlineTimer) {
+      clearTimeout(offlineTimer);
+      offlineTimer = null;
+    }
+    const outageSince = offlineState.outageSince;
+    offlineState.outageSince = 0;
+    if (offlineState.active) {
+      recordOfflineAction('offline_exit', { reason });
+      offlineState.active = false;
+      offlineState.exitedAt = timeNow();
+      log('[offline] backend reachable again; offline mode disabled', { reason });
+      bridge.indicators.releaseLed('offline');
+      bridge.debugWs.broadcast({ type: 'BRIDGE_MODE', site: config.site, offline: snapshotOffline() });
+    }
+    reconcileOfflineLedger({ outageSince });
+  }
+
+  function reconcileOfflineLedger({ outageSince = null } = {}) {
+    if (!offlineState.enabled) return 0;
+    // 앞서 보낸 동기화는 outbox 가 ack 될 때까지 다시 보내 준다.
+    if (pendingSync) return 0;
+    let lines = [];
+    try {
+      lines = fs.readFileSync(offline.ledgerFile, 'utf8').split(/\r?\n/).filter((line) => line.trim());
+    } catch (err) {
+      if (err?.code !== 'ENOENT') warn('[offline] failed to read ledger for sync', err?.message || err);
+      return 0;
+    }
+    const entries = [];
+    for (const line of lines) {
+      try { entries.push(JSON.parse(line)); }
+      catch (_) {}
+    }
+    const msgIds = new Set();
+    if (entries.length) {
+      const batchSize = Math.max(1, offline.syncBatch);
+      const batches = Math.ceil(entries.length / batchSize);
+      for (let index = 0; index < batches; index += 1) {
+        const msgId = bridge.backend.send({
+          type: 'OFFLINE_LEDGER_SYNC',
+          batch: index + 1,
+          batches,
+          outageSince: outageSince || entries[0].at || null,
+          syncedAt: timeNow(),
+          entries: entries.slice(index * batchSize, (index + 1) * batchSize)
+        });
+        if (msgId) msgIds.add(msgId);
+      }
+    }
+    if (msgIds.size) {
+      pendingSync = { msgIds, lines: lines.length, entries: entries.length };
+    } else {
+      truncateLedger(lines.length);
+      offlineState.lastReconciledAt = timeNow();
+    }
+    return entries.length;
+  }
+
+  // 원장 앞쪽 count 줄을 지운다. 동기화 뒤에 새로 쌓인 항목은 남긴다.
+  function truncateLedger(count) {
+    let remaining = [];
+    try {
+      remaining = fs.readFileSync(offline.ledgerFile, 'utf8').split(/\r?\n/).filter((line) => line.trim()).slice(count);
+      if (remaining.length) fs.writeFileSync(offline.ledgerFile, `${remaining.join('\n')}\n`);
+      else fs.unlinkSync(offline.ledgerFile);
+    } catch (err) {
+      if (err?.code !== 'ENOENT') {
+        offlineState.lastErrorAt = timeNow();
+        warn('[offline] failed to truncate ledger', err?.message || err);
+      }
+    }
+    offlineState.ledgerPending = remaining.length;
+  }
+
+  function handleBackendAck(message) {
+    if (!pendingSync || !pendingSync.msgIds.delete(message?.msgId) || pendingSync.msgIds.size) return;
+    const { lines, entries } = pendingSync;
+    pendingSync = null;
+    truncateLedger(lines);
+    offlineState.lastReconciledAt = timeNow();
+    log('[offline] ledger reconciled with backend', { entries });
+  }
+
+  bridge.on('backend:ack', handleBackendAck);
+
+  function snapshotOffline() {
+    return {
+      enabled: offlineState.enabled,
+      active: offlineState.active,
+      afterMs: offline.afterMs,
+      outageSince: offlineState.outageSince || null,
+      enteredAt: offlineState.enteredAt || null,
+      exitedAt: offlineState.exitedAt || null,
+      allowList: { count: offlineAllowList.size, updatedAt: offlineState.allowListUpdatedAt || null },
+      ledger: { pending: offlineState.ledgerPending, lastReconciledAt: offlineState.lastReconciledAt || null },
+      lastErrorAt: offlineState.lastErrorAt || null
+    };
+  }
+
+  function stopOfflineTimer() {
+    if (offlineTimer) clearTimeout(offlineTimer);
+    offlineTimer = null;
+  }
+
+  return {
+    state: offlineState,
+    allowList: offlineAllowList,
+    load() {
+      loadOfflineAllowList();
+      loadOfflineLedgerState();
+    },
+    replaceAllowList: replaceOfflineAllowList,
+    record: recordOfflineAction,
+    authorizeIdentify: authorizeOfflineIdentify,
+    scheduleCheck: scheduleOfflineCheck,
+    enter: enterOfflineMode,
+    exit: exitOfflineMode,
+    stop: stopOfflineTimer,
+    snapshot: snapshotOffline
+  };
+}
+
+module.exports = { createOfflineService };
@@ -0,0 +1,271 @@
+/**
+ * outbox.js — 백엔드 전송 대기열(outbox) 저널
+ *
+ * 백엔드로 보낼 메시지를 JSONL 저널(put/ack/drop)에 기록해 두었다가 재시작 후에도
+ * 순서대로 재전송한다. 같은 requestId 의 최종 결과는 한 번만 전송되도록 기억한다.
+ */
+
+const fs = require('fs');
+const { timeNow } = require('./util');
+
+const DEDUPED_RESULT_TYPES = new Set(['FP_ENROLL_RESULT', 'FP_DELETE_RESULT']);
+
+function createOutbox(bridge) {
+  const { config, log, warn } = bridge;
+  const outbox = config.backend.outbox;
+
+  const backendQueue = [];
+  const outboxInflight = new Map();
+  const outboxState = {
+    persistent: !!config.backend.url && !outbox.disabled,
+    file: outbox.file,
+    epoch: timeNow().toString(36),
+    seq: 0,
+    deadRecords: 0,
+    dropped: 0,
+    lastCompactAt: 0,
+    lastErrorAt: 0,
+    lastAckAt: 0,
+    acked: 0,
+    resent: 0,
+    suppressed: 0
+  };
+  const recentResults = new Map();
+
+  function appendOutboxRecord(record) {
+    if (!outboxState.persistent) return true;
+    try {
+      fs.appendFileSync(outbox.file, `${JSON.stringify(record)}\n`);
+      return true;
+    } catch (err) {
+      outboxState.lastErrorAt = timeNow();
+      warn('[outbox] append failed', err?.message || err);
+      return false;
+    }
+  }
+
+  function loadOutbox() {
+    if (!outboxState.persistent) return;
+    let text = '';
+    try {
+      text = fs.readFileSync(outbox.file, 'utf8');
+    } catch (err) {
+      if (err?.code !== 'ENOENT') {
+        outboxState.lastErrorAt = timeNow();
+        warn('[outbox] failed to read journal', err?.message || err);
+      }
+      return;
+    }
+    const pending = new Map();
+    let lastSeq = 0;
+    for (const line of text.split(/\r?\n/)) {
+      if (!line.trim()) continue;
+      let record;
+      try { record = JSON.parse(line); }
+      catch { continue; }
+      const seq = Number(record?.seq) || 0;
+      lastSeq = Math.max(lastSeq, seq);
+      if (record.op === 'put' && record.message && typeof record.message === 'object') {
+        const message = record.message.msgId ? record.message : { ...record.message, msgId: buildMsgId(seq) };
+        pending.set(seq, { seq, at: Number(record.at) || timeNow(), message });
+      } else if (record.op === 'ack' || record.op === 'drop') {
+        pending.delete(seq);
+      }
+    }
+    outboxState.seq = Math.max(outboxState.seq, lastSeq);
+    const now = timeNow();
+    const restored = [];
+    let expired = 0;
+    for (const entry of [...pending.values()].sort((a, b) => a.seq - b.seq)) {
+      if (outbox.maxAgeMs > 0 && now - entry.at > outbox.maxAgeMs) {
+        expired += 1;
+        continue;
+      }
+      restored.push(entry);
+    }
+    if (expired) {
+      outboxState.dropped += expired;
+      warn('[outbox] discarded expired messages', { count: expired });
+    }
+    backendQueue.unshift(...restored);
+    for (const entry of restored) {
+      rememberResult(entry);
+    }
+    pruneOutbox(now);
+    compactOutbox();
+    if (backendQueue.length) {
+      log('[outbox] restored pending messages', { count: backendQueue.length, file: outbox.file });
+    }
+  }
+
+  function compactOutbox() {
+    if (!outboxState.persistent) return;
+    const pending = [...outboxInflight.values(), ...backendQueue].sort((a, b) => a.seq - b.seq);
+    const lines = [JSON.stringify({ op: 'meta', seq: outboxState.seq, at: timeNow() })];
+    for (const entry of pending) {
+      lines.push(JSON.stringify({ op: 'put', seq: entry.seq, at: entry.at, message: entry.message }));
+    }
+    const tmpFile = `${outbox.file}.tmp`;
+    try {
+      fs.writeFileSync(tmpFile, `${lines.join('\n')}\n`);
+      fs.renameSync(tmpFile, outbox.file);
+      outboxState.deadRecords = 0;
+      outboxState.lastCompactAt = timeNow();
+    } catch (err) {
+      outboxState.lastErrorAt = timeNow();
+      warn('[outbox] compaction failed', err?.message || err);
+    }
+  }
+
+  function settleOutboxEntry(seq, op = 'ack') {
+    appendOutboxRecord({ op, seq });
+    outboxState.deadRecords += 2;
+    if (outboxState.deadRecords >= outbox.compactEvery) {
+      compactOutbox();
+    }
+  }
+
+  function pruneOutbox(now = timeNow()) {
+    let dropped = 0;
+    while (backendQueue.length) {
+      const head = backendQueue[0];
+      const overflow = backendQueue.length > outbox.maxItems;
+      const expired = outbox.maxAgeMs > 0 && now - head.at > outbox.maxAgeMs;
+      if (!overflow && !expired) break;
+      backendQueue.shift();
+      settleOutboxEntry(head.seq, 'drop');
+      dropped += 1;
+    }
+    if (dropped) {
+      outboxState.dropped += dropped;
+      warn('[outbox] dropped stale messages', { count: dropped, pending: backendQueue.length });
+    }
+  }
+
+  function buildMsgId(seq) {
+    return `${config.site}-${outboxState.epoch}-${seq}`;
+  }
+
+  function resultDedupeKey(message) {
+    const requestId = message?.requestId;
+    if (requestId === null || requestId === undefined || requestId === '') return null;
+    if (message.retryable) return null;
+    if (DEDUPED_RESULT_TYPES.has(message.type)) return `${message.type}:${requestId}`;
+    if (message.type === 'ROBOT_EVENT' && message.final) return `ROBOT_EVENT:${requestId}`;
+    return null;
+  }
+
+  function findRecentResult(key, now = timeNow()) {
+    const previous = recentResults.get(key);
+    if (!previous) return null;
+    if (config.backend.resultDedupeMs > 0 && now - previous.at > config.backend.resultDedupeMs) {
+      recentResults.delete(key);
+      return null;
+    }
+    return previous;
+  }
+
+  function rememberResult(entry) {
+    const key = resultDedupeKey(entry.message);
+    if (!key) return;
+    recentResults.delete(key);
+    recentResults.set(key, { key, seq: entry.seq, at: entry.at, msgId: entry.message.msgId, message: entry.message });
+    while (recentResults.size > 500) {
+      const [oldest] = recentResults.keys();
+      recentResults.delete(oldest);
+    }
+  }
+
+  function enqueueOutbox(message, { dedupe = true } = {}) {
+    const key = dedupe ? resultDedupeKey(message) : null;
+    if (key) {
+      const previous = findRecentResult(key);
+      if (previous) {
+        outboxState.suppressed += 1;
+        log('[outbox] duplicate result suppressed', { key, msgId: previous.msgId });
+        return null;
+      }
+    }
+    outboxState.seq += 1;
+    const seq = outboxState.seq;
+    const entry = { seq, at: timeNow(), message: { ...message, msgId: message.msgId || buildMsgId(seq) } };
+    appendOutboxRecord({ op: 'put', seq, at: entry.at, message: entry.message });
+    backendQueue.push(entry);
+    rememberResult(entry);
+    pruneOutbox(entry.at);
+    return entry;
+  }
+
+  function requeueOutboxEntry(entry) {
+    if (!outboxInflight.delete(entry.seq)) return;
+    const index = backendQueue.findIndex((item) => item.seq > entry.seq);
+    if (index < 0) backendQueue.push(entry);
+    else backendQueue.splice(index, 0, entry);
+  }
+
+  function requeueInflightOutbox() {
+    const entries = [...outboxInflight.values()];
+    for (const entry of entries) {
+      requeueOutboxEntry(entry);
+    }
+    if (entries.length) {
+      outboxState.resent += entries.length;
+      log('[outbox] unacknowledged messages queued for resend', { count: entries.length });
+    }
+  }
+
+  function acknowledgeOutboxEntry(entry) {
+    if (outboxInflight.get(entry.seq) === entry) {
+      outboxInflight.delete(entry.seq);
+    } else {
+      const index = backendQueue.indexOf(entry);
+      if (index < 0) return false;
+      backendQueue.splice(index, 1);
+    }
+    outboxState.acked += 1;
+    settleOutboxEntry(entry.seq, 'ack');
+    bridge.emit('backend:ack', entry.message);
+    return true;
+  }
+
+  function snapshotOutbox() {
+    return {
+      persistent: outboxState.persistent,
+      file: outboxState.persistent ? outboxState.file : null,
+      pending: backendQueue.length,
+      inflight: outboxInflight.size,
+      seq: outboxState.seq,
+      dropped: outboxState.dropped,
+      acks: bridge.backend.acksEnabled() ? 'backend' : 'socket',
+      acked: outboxState.acked,
+      resent: outboxState.resent,
+      suppressed: outboxState.suppressed,
+      lastAckAt: outboxState.lastAckAt || null,
+      oldestAt: backendQueue.length ? backendQueue[0].at : null,
+      lastCompactAt: outboxState.lastCompactAt || null,
+      lastErrorAt: outboxState.lastErrorAt || null
+    };
+  }
+
+  function isOutstanding(seq) {
+    return outboxInflight.has(seq) || backendQueue.some((entry) => entry.seq === seq);
+  }
+
+  return {
+    queue: backendQueue,
+    inflight: outboxInflight,
+    state: outboxState,
+    load: loadOutbox,
+    compact: compactOutbox,
+    prune: pruneOutbox,
+    enqueue: enqueueOutbox,
+    requeue: requeueOutboxEntry,
+    requeueInflight: requeueInflightOutbox,
+    acknowledge: acknowledgeOutboxEntry,
+    findRecentResult,
+    isOutstanding,
+    snapshot: snapshotOutbox
+  };
+}
+
+module.exports = { createOutbox };
@@ -0,0 +1,145 @@
+/**
+ * rail.js — 긴급 개방 프로토콜용 레일 제어
+ *
+ * rail_control.py 를 호출해 레일을 전개(extend)/복귀(home)시키며, 명령은 직렬로 실행된다.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { spawn } = require('child_process');
+const { timeNow } = require('./util');
+
+function createRailService(bridge) {
+  const { config, log, warn } = bridge;
+  const rail = config.rail;
+
+  let commandQueue = Promise.resolve();
+  let scriptMissingWarned = false;
+
+  function runRailCommand(action, { reason = null } = {}) {
+    if (rail.disabled) {
+      log('[rail] command skipped (disabled)', action, reason || null);
+      bridge.metrics.railCommands.inc({ action, outcome: 'skipped' });
+      return Promise.resolve({ ok: false, skipped: true, reason: 'rail_disabled', action });
+    }
+    if (!fs.existsSync(rail.script)) {
+      if (!scriptMissingWarned) {
+        scriptMissingWarned = true;
+        warn('[rail] control script not found, skipping commands', rail.script);
+      }
+      bridge.metrics.railCommands.inc({ action, outcome: 'skipped' });
+      return Promise.resolve({ ok: false, skipped: true, reason: 'script_missing', action });
+    }
+
+    return new Promise((resolve) => {
+      const args = [rail.script, '--action', action];
+      if (rail.host) {
+        args.push('--host', rail.host);
+      }
+      if (Number.isFinite(rail.lockdownSpeed)) {
+        args.push('--speed', String(rail.lockdownSpeed));
+      }
+      if (action === 'extend' || action === 'position') {
+        if (Number.isFinite(rail.lockdownPosition)) {
+          args.push('--position', String(rail.lockdownPosition));
+        }
+      }
+
+      const startedAt = timeNow();
+      const proc = spawn(rail.python, args, {
+        cwd: path.dirname(rail.script)
+      });
+      let stdout = '';
+      let stderr = '';
+      let settled = false;
+
+      const finalize = (payload = {}, error = null) => {
+        if (settled) return;
+        settled = true;
+        const result = typeof payload === 'object' && payload ? { ...payload } : {};
+        result.action = action;
+        result.reason = reason || result.reason || null;
+        if (error) {
+          result.ok = false;
+          result.error = error.message || String(error);
+        }
+        if (stderr.trim()) {
+          result.stderr = stderr.trim();
+        }
+        const outcome = result.ok === false ? 'failed' : 'ok';
+        bridge.metrics.railCommands.inc({ action, outcome });
+        bridge.metrics.railCommandDuration.observe({ action, outcome }, (timeNow() - startedAt) / 1000);
+        if (result.ok === false) {
+          warn('[rail] command failed', result);
+        } else {
+          log('[rail] command completed', {
+            action,
+            position: result.position ?? result.current_position ?? null
+          });
+        }
+        resolve(result);
+      };
+
+      const timeout = setTimeout(() => {
+        try { proc.kill('SIGTERM'); }
+        catch (_) {}
+        finalize({ ok: false, error: 'timeout' });
+      }, Math.max(5000, rail.commandTimeoutMs));
+
+      proc.stdout?.on('data', (chunk) => {
+        stdout += String(chunk || '');
+      });
+
+      proc.stderr?.on('data', (chunk) => {
+        stderr += String(chunk || '');
+      });
+
+      proc.on('error', (err) => {
+        clearTimeout(timeout);
+        finalize({ ok: false }, err);
+      });
+
+      proc.on('close', (code, signal) => {
+        clearTimeout(timeout);
+        let payload = null;
+        const text = stdout.trim();
+        if (text) {
+          const lines = text.split(/\r?\n/).filter(Boolean);
+          const lastLine = lines[lines.length - 1];
+          try {
+            payload = JSON.parse(lastLine);
+          } catch (err) {
+            warn('[rail] failed to parse response', err?.message || err, lastLine);
+          }
+        }
+        if (!payload || typeof payload !== 'object') {
+          payload = { ok: code === 0 };
+        } else if (payload.ok === undefined) {
+          payload.ok = code === 0;
+        }
+        if (code !== 0 || signal) {
+          payload.ok = false;
+          payload.error = payload.error || `exit_${code ?? signal ?? 'unknown'}`;
+        }
+        finalize(payload);
+      });
+    });
+  }
+
+  function enqueueRailCommand(action, context = {}) {
+    commandQueue = commandQueue
+      .catch((err) => {
+        warn('[rail] previous command failed', err?.message || err);
+      })
+      .then(() => runRailCommand(action, context));
+    return commandQueue;
+  }
+
+  return {
+    run: runRailCommand,
+    enqueue: enqueueRailCommand,
+    idle: () => commandQueue.catch(() => null)
+  };
+}
+
+module.exports = { createRailService };
@@ -0,0 +1,551 @@
+/**
+ * robot.js — 로봇 미션 컨트롤러 작업 실행
+ *
+ * ROBOT_EXECUTE 마다 미션 컨트롤러(Python) 프로세스를 하나 띄우고, 표준 출력의
+ * 줄 단위 JSON 이벤트를 ROBOT_EVENT 로 백엔드에 중계한다.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { spawn } = require('child_process');
+const { createToken, timeNow } = require('./util');
+const { summarizeRobotPayload, buildRobotScriptArgs, buildRobotPayloadSnapshot } = require('./robot_payload');
+
+function createRobotService(bridge) {
+  const { config, warn } = bridge;
+  const robot = config.robot;
+
+  let robotJobCounter = 0;
+  const robotForwardStatus = { enabled: true, lastOkAt: 0, lastErrorAt: 0 };
+  const robotState = {
+    enabled: !robot.disabled,
+    python: robot.python,
+    script: path.resolve(robot.script),
+    scriptExists: false,
+    active: null,
+    last: null,
+    history: [],
+    lastEventAt: 0
+  };
+  const activeJobsByRequestId = new Map();
+
+  function updateRobotScriptState(){
+    try {
+      robotState.scriptExists = robotState.script ? fs.existsSync(robotState.script) : false;
+    } catch (err) {
+      robotState.scriptExists = false;
+    }
+  }
+
+  const JOB_LOG_LEVELS = { stdout: 'debug', stdin: 'debug', stderr: 'warn', error: 'error', cancel: 'warn' };
+
+  function jobLogger(job){
+    return job?.logger || bridge.logger.child({ requestId: job?.requestId ?? null, jobId: job?.id ?? null });
+  }
+
+  function appendJobLog(job, entry){
+    if (!job) return;
+    job.logs?.push?.(entry);
+    const { at, type, level: scriptLevel, ...fields } = entry;
+    const level = type === 'log'
+      ? ({ warning: 'warn', warn: 'warn', error: 'error', debug: 'debug' }[String(scriptLevel || '').toLowerCase()] || 'info')
+      : JOB_LOG_LEVELS[type] || 'info';
+    jobLogger(job)[level](`robot ${type}`, { component: 'robot', ...fields });
+  }
+
+  function sanitizeRobotJob(job, { includePayload = false } = {}){
+    if (!job) return null;
+    const base = {
+      id: job.id,
+      requestId: job.requestId ?? null,
+      eventId: job.eventId ?? null,
+      status: job.status,
+      stage: job.stage || null,
+      message: job.message || null,
+      error: job.error || null,
+      site: job.site || config.site,
+      startedAt: job.startedAt || null,
+      finishedAt: job.finishedAt || null,
+      mode: job.mode || null,
+      progress: job.progress || null
+    };
+    if (job.summary) {
+      base.summary = job.summary;
+    }
+    if (job.payloadPreview) {
+      base.payloadPreview = job.payloadPreview;
+    }
+    if (includePayload) {
+      base.payload = job.payload;
+    }
+    if (job.result) {
+      base.result = job.result;
+    }
+    return base;
+  }
+
+  function recordRobotHistory(job){
+    const snapshot = sanitizeRobotJob(job);
+    if (!snapshot) return;
+    robotState.last = snapshot;
+    robotState.history.unshift(snapshot);
+    if (robotState.history.length > robot.historyLimit) {
+      robotState.history.length = robot.historyLimit;
+    }
+  }
+
+  function forwardRobotEvent(job, update = {}){
+    const payload = {
+      channel: 'robot',
+      site: job?.site || config.site,
+      job: {
+        id: job?.id || null,
+        requestId: job?.requestId ?? null,
+        eventId: job?.eventId ?? null,
+        status: update.status || job?.status || null,
+        stage: update.stage || job?.stage || null,
+        message: update.message || job?.message || null,
+        progress: update.progress || job?.progress || null,
+        mode: job?.mode || null,
+        summary: job?.summary || null,
+        payload: job?.payloadPreview || null,
+        timestamp: timeNow(),
+        meta: update.meta || job?.payloadPreview || null
+      }
+    };
+    bridge.emit('robot', payload.job);
+    bridge.backend.send({ type: 'ROBOT_EVENT', site: payload.site, job: payload.job, channel: payload.channel, requestId: job?.requestId ?? null });
+  }
+
+  function finalizeRobotJob(job, status, info = {}){
+    if (!job || job.finishedAt) return;
+    job.status = status === 'succeeded' || status === 'success' ? 'succeeded' : status === 'cancelled' ? 'cancelled' : 'failed';
+    job.finishedAt = timeNow();
+    if (info.stage) job.stage = info.stage;
+    if (info.message) job.message = info.message;
+    if (info.mode) job.mode = info.mode;
+    if (info.progress) job.progress = info.progress;
+    if (info.result) job.result = info.result;
+    if (job.status === 'failed' && info.message && !job.error) {
+      job.error = info.message;
+    }
+    if (info.error) job.error = info.error;
+    jobLogger(job).info('robot job finished', {
+      jobId: job.id,
+      status: job.status,
+      stage: job.stage,
+      message: job.message,
+      error: job.error || null,
+      summary: job.summary || null
+    });
+    if (job.startedAt) {
+      bridge.metrics.robotJobDuration.observe({ mode: job.mode || 'unknown', outcome: job.status }, (job.finishedAt - job.startedAt) / 1000);
+    }
+    robotState.active = null;
+    robotState.lastEventAt = job.finishedAt;
+    activeJobsByRequestId.delete(String(job.requestId));
+    if (job.process && job.process.stdin && !job.process.stdin.destroyed) {
+      try { job.process.stdin.end(); }
+      catch (_) {}
+    }
+    recordRobotHistory(job);
+    bridge.offline.record('robot_finish', { jobId: job.id, requestId: job.requestId ?? null, status: job.status, stage: job.stage || null, error: job.error || null });
+    forwardRobotEvent(job, {
+      status: job.status === 'succeeded' ? 'success' : job.status === 'cancelled' ? 'cancelled' : 'error',
+      stage: job.stage,
+      message: job.message,
+      progress: job.progress,
+      meta: info.result || info.meta || info
+    });
+    if (Array.isArray(job.waiters) && job.waiters.length) {
+      const snapshot = sanitizeRobotJob(job, { includePayload: true });
+      const waiters = job.waiters.splice(0);
+      job.waiters = [];
+      waiters.forEach(({ resolve }) => {
+        try { resolve(snapshot); }
+        catch (_) {}
+      });
+    }
+  }
+
+  function handleRobotStdout(job, line){
+    if (!job || !line) return;
+    let obj = null;
+    try { obj = JSON.parse(line); }
+    catch (err) {
+      appendJobLog(job, { type: 'stdout', text: line, at: timeNow(), error: err.message || String(err) });
+      return;
+    }
+    if (obj.event === 'progress'){
+      job.stage = obj.stage || job.stage;
+      job.message = obj.message || job.message;
+      job.mode = obj.mode || job.mode;
+      job.progress = obj;
+      if (obj.token && job.pendingTokens) {
+        job.pendingTokens.delete(obj.token);
+      }
+      if (obj.stage && job.interactions && job.interactions.has(obj.stage)) {
+        job.interactions.delete(obj.stage);
+      }
+      robotState.lastEventAt = timeNow();
+      jobLogger(job).info('robot progress', {
+        jobId: job.id,
+        stage: job.stage,
+        message: job.message,
+        summary: job.summary || null
+      });
+      forwardRobotEvent(job, {
+        status: 'progress',
+        stage: job.stage,
+        message: job.message,
+        progress: obj,
+        meta: obj
+      });
+      return;
+    }
+    if (obj.event === 'complete'){
+      job.stage = obj.stage || job.stage;
+      job.message = obj.message || job.message;
+      job.mode = obj.mode || job.mode;
+      job.result = obj;
+      jobLogger(job).info('robot complete', {
+        jobId: job.id,
+        status: obj.status,
+        stage: job.stage,
+        message: job.message,
+        summary: job.summary || null
+      });
+      finalizeRobotJob(job, obj.status === 'success' ? 'succeeded' : 'failed', {
+        stage: job.stage,
+        message: job.message,
+        mode: job.mode,
+        progress: obj,
+        result: obj,
+        error: obj.status === 'success' ? null : (obj.message || obj.error || 'robot_error')
+      });
+      return;
+    }
+    if (obj.event === 'await_user'){
+      const token = obj.token || createToken(obj.stage || 'await');
+      obj.token = token;
+      job.stage = obj.stage || job.stage || 'await_user';
+      job.message = obj.message || job.message || '사용자 입력 대기';
+      job.mode = obj.mode || job.mode;
+      job.progress = obj;
+      job.pendingTokens.set(token, obj);
+      if (obj.stage) {
+        job.interactions.set(obj.stage, token);
+      }
+      robotState.lastEventAt = timeNow();
+      forwardRobotEvent(job, {
+        status: 'progress',
+        stage: job.stage,
+        message: job.message,
+        progress: obj,
+        meta: obj
+      });
+      return;
+    }
+    if (obj.event === 'await_user_done') {
+      const token = obj.token;
+      if (token && job.pendingTokens) {
+        job.pendingTokens.delete(token);
+      }
+      if (obj.stage && job.interactions) {
+        job.interactions.delete(obj.stage);
+      }
+      job.stage = obj.stage || job.stage;
+      job.message = obj.message || job.message;
+      job.mode = obj.mode || job.mode;
+      job.progress = obj;
+      robotState.lastEventAt = timeNow();
+      forwardRobotEvent(job, {
+        status: 'progress',
+        stage: job.stage,
+        message: job.message,
+        progress: obj,
+        meta: obj
+      });
+      return;
+    }
+    if (obj.event === 'log') {
+      appendJobLog(job, { type: 'log', text: obj.message || '', at: timeNow(), level: obj.level || 'info', stage: obj.stage || null });
+      job.stage = obj.stage || job.stage;
+      job.message = obj.message || job.message;
+      job.progress = obj;
+      forwardRobotEvent(job, {
+        status: 'progress',
+        stage: job.stage,
+        message: job.message,
+        progress: obj,
+        meta: obj
+      });
+      return;
+    }
+    if (obj.event === 'lockdown') {
+      const stage = obj.stage || 'lockdown';
+      const message = obj.message || job.message || '시스템 락다운';
+      const reason = obj.reason || job.error || 'lockdown';
+      const meta = { ...(obj.meta || {}), requestId: job.requestId ?? null };
+      bridge.lockdown.activate({ stage, message, reason, meta, source: 'robot' });
+      job.stage = stage;
+      job.message = message;
+      job.mode = obj.mode || job.mode;
+      job.progress = { ...obj, meta };
+      job.error = reason;
+      finalizeRobotJob(job, 'failed', {
+        stage,
+        message,
+        mode: job.mode,
+        progress: { ...obj, meta },
+        error: reason,
+        result: { lockdown: bridge.lockdown.snapshot({ stage, message, reason, meta, job: { id: job.id, requestId: job.requestId ?? null } }) }
+      });
+      return;
+    }
+    appendJobLog(job, { type: 'stdout', text: line, at: timeNow() });
+  }
+
+  function extractForwardConfig(raw){
+    if (raw && typeof raw === 'object') {
+      const url = typeof raw.url === 'string' ? raw.url.trim() : null;
+      const token = typeof raw.token === 'string' ? raw.token.trim() : null;
+      if (url) {
+        return { url, token: token || null };
+      }
+    }
+    if (robot.forwardUrl) {
+      return { url: robot.forwardUrl, token: robot.forwardToken || null };
+    }
+    return null;
+  }
+
+  function startRobotJob(payload = {}){
+    if (!robotState.enabled){
+      const err = new Error('robot_disabled');
+      err.statusCode = 503;
+      throw err;
+    }
+    updateRobotScriptState();
+    if (!robotState.scriptExists){
+      const err = new Error('robot_script_missing');
+      err.statusCode = 503;
+      throw err;
+    }
+    if (robotState.active && !robotState.active.finishedAt){
+      const err = new Error('robot_busy');
+      err.statusCode = 409;
+      throw err;
+    }
+    const requestId = payload.requestId ?? payload.request_id ?? null;
+    if (!requestId){
+      const err = new Error('missing_request_id');
+      err.statusCode = 400;
+      throw err;
+    }
+
+    const jobId = (++robotJobCounter);
+    const summary = summarizeRobotPayload(payload);
+    const scriptArgs = buildRobotScriptArgs(payload, summary);
+    const site = payload.site || payload.site_id || payload.dispatch?.site_id || config.site;
+    const payloadPreview = buildRobotPayloadSnapshot(payload);
+    const forward = extractForwardConfig(payload.forward);
+    const job = {
+      id: jobId,
+      requestId,
+      eventId: payload.eventId ?? payload.executionEventId ?? payload.execution_event_id ?? null,
+      payload,
+      payloadPreview,
+      summary: summary || null,
+      site,
+      status: 'starting',
+      stage: 'starting',
+      createdAt: timeNow(),
+      logs: [],
+      logger: bridge.logger.child({ requestId, jobId }),
+      forward,
+      waiters: [],
+      interactions: new Map(),
+      pendingTokens: new Map()
+    };
+
+    if (summary){
+      job.mode = job.mode || summary.action || job.mode;
+      if (!job.message){
+        const parts = [summary.actionLabel, summary.includes?.label].filter(Boolean);
+        job.message = parts.length ? `${parts.join(' ')} 준비` : '장비 명령 준비';
+      }
+    }
+
+    const env = {
+      ...process.env,
+      PYTHONIOENCODING: 'utf-8',
+      PYTHONUNBUFFERED: '1'
+    };
+    const scriptCwd = path.dirname(robotState.script);
+    const resolvedCwd = scriptCwd && scriptCwd !== '.' && fs.existsSync(scriptCwd) ? scriptCwd : undefined;
+    const proc = spawn(
+      robotState.python || robot.python,
+      [robotState.script, ...scriptArgs],
+      {
+        env,
+        cwd: resolvedCwd,
+      }
+    );
+    if (proc.stdin && typeof proc.stdin.setDefaultEncoding === 'function') {
+      proc.stdin.setDefaultEncoding('utf8');
+    }
+    job.process = proc;
+    job.startedAt = timeNow();
+    job.status = 'running';
+    robotState.active = job;
+    bridge.offline.record('robot_start', { jobId, requestId, summary: summary || null });
+    robotState.lastEventAt = job.startedAt;
+    activeJobsByRequestId.set(String(requestId), job);
+
+    job.logger.info('robot job accepted', {
+      jobId,
+      requestId: job.requestId,
+      action: summary?.actionLabel || summary?.action || payload.mode || payload.type || 'unknown',
+      includes: summary?.includes || null,
+      firearm: summary?.firearmCode || null,
+      ammo: summary?.ammoSummary || null,
+      site: job.site,
+      python: robotState.python,
+      script: robotState.script,
+      args: scriptArgs
+    });
+
+    forwardRobotEvent(job, { status: 'accepted', stage: job.stage, message: 'job accepted' });
+
+    let stdoutBuffer = '';
+    proc.stdout.setEncoding('utf8');
+    proc.stdout.on('data', chunk => {
+      stdoutBuffer += String(chunk || '');
+      let idx;
+      while ((idx = stdoutBuffer.indexOf('\n')) >= 0){
+        const line = stdoutBuffer.slice(0, idx).trim();
+        stdoutBuffer = stdoutBuffer.slice(idx + 1);
+        if (line) handleRobotStdout(job, line);
+      }
+    });
+    proc.stdout.on('close', () => {
+      const remaining = stdoutBuffer.trim();
+      if (remaining) handleRobotStdout(job, remaining);
+      stdoutBuffer = '';
+    });
+
+    proc.stderr.setEncoding('utf8');
+    proc.stderr.on('data', chunk => {
+      const text = String(chunk || '');
+      appendJobLog(job, { type: 'stderr', text, at: timeNow() });
+    });
+
+    proc.on('error', err => {
+      appendJobLog(job, { type: 'error', message: err.message || String(err), at: timeNow() });
+      finalizeRobotJob(job, 'failed', { message: err.message || '프로세스 오류', error: err.message || String(err) });
+    });
+
+    proc.on('close', code => {
+      if (job.finishedAt) return;
+      const message = code === 0 ? '모의 스크립트 종료' : `스크립트 종료 코드 ${code}`;
+      finalizeRobotJob(job, code === 0 ? 'succeeded' : 'failed', {
+        message,
+        meta: { exitCode: code }
+      });
+    });
+
+    return job;
+  }
+
+  function waitForRobotJob(job, { timeoutMs = 120000 } = {}) {
+    if (!job) {
+      return Promise.reject(new Error('job_missing'));
+    }
+    if (job.finishedAt) {
+      return Promise.resolve(sanitizeRobotJob(job, { includePayload: true }));
+    }
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        const snapshot = sanitizeRobotJob(job, { includePayload: true });
+        reject(Object.assign(new Error('robot_timeout'), { job: snapshot }));
+      }, timeoutMs);
+      const resolver = resolve;
+      job.waiters.push({
+        resolve(value) {
+          clearTimeout(timer);
+          resolver(value);
+        }
+      });
+    });
+  }
+
+  function cancelActiveJob(reason = 'cancelled'){
+    const job = robotState.active;
+    if (!job || job.finishedAt) return null;
+    appendJobLog(job, { type: 'cancel', reason, at: timeNow() });
+    if (job.process && !job.process.killed) {
+      try { job.process.kill('SIGTERM'); }
+      catch (err) { warn('failed to stop robot process', err?.message || err); }
+    }
+    finalizeRobotJob(job, 'cancelled', { message: '작업 취소', error: reason });
+    return job;
+  }
+
+  function findRobotJob(id){
+    const key = String(id);
+    const active = robotState.active;
+    if (active && (String(active.id) === key || String(active.requestId) === key)) {
+      return sanitizeRobotJob(active, { includePayload: true });
+    }
+    return robotState.history.find((job) => String(job.id) === key || String(job.requestId) === key) || null;
+  }
+
+  function notifyActiveJob(payload){
+    const active = robotState.active;
+    if (!active || !active.process || active.process.killed || !active.process.stdin || !active.process.stdin.writable) {
+      return false;
+    }
+    try {
+      active.process.stdin.write(`${JSON.stringify(payload)}\n`);
+      appendJobLog(active, { type: 'stdin', text: JSON.stringify(payload), at: timeNow() });
+      return true;
+    } catch (err) {
+      warn('failed to notify robot of lockdown clearance', err?.message || err);
+      return false;
+    }
+  }
+
+  function snapshotRobot(){
+    return {
+      enabled: !!robotState.enabled,
+      python: robotState.python || null,
+      script: robotState.script || null,
+      scriptExists: !!robotState.scriptExists,
+      active: sanitizeRobotJob(robotState.active, { includePayload: false }),
+      last: robotState.last || null,
+      history: robotState.history || [],
+      lastEventAt: robotState.lastEventAt || null,
+      forward: { ...robotForwardStatus }
+    };
+  }
+
+  updateRobotScriptState();
+
+  return {
+    state: robotState,
+    activeJobsByRequestId,
+    sanitizeJob: sanitizeRobotJob,
+    forwardEvent: forwardRobotEvent,
+    handleStdout: handleRobotStdout,
+    startJob: startRobotJob,
+    waitForJob: waitForRobotJob,
+    cancelActive: cancelActiveJob,
+    appendLog: appendJobLog,
+    findJob: findRobotJob,
+    notifyActive: notifyActiveJob,
+    snapshot: snapshotRobot
+  };
+}
+
+module.exports = { createRobotService };
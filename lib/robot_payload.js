@@ -0,0 +1,283 @@
+/**
+ * robot_payload.js — 백엔드 불출/불입 페이로드 해석
+ *
+ * ROBOT_EXECUTE 페이로드를 요약하고 미션 컨트롤러 실행 인자로 변환한다. 부수효과 없음.
+ */
+
+const { cleanObject, normalizeFlag } = require('./util');
+
+function resolveDirection(payload = {}, summary = null){
+  const direct = payload.direction || payload.mode || payload.type;
+  const fromSummary = summary && summary.action ? summary.action : null;
+  const candidate = (direct || fromSummary || '').toString().toLowerCase();
+  if (['return', 'incoming', 'in', '입고', '불입'].includes(candidate)) return 'in';
+  if (['dispatch', 'issue', 'out', '불출'].includes(candidate)) return 'out';
+  return fromSummary === 'return' ? 'in' : 'out';
+}
+
+function resolveLocker(payload = {}, summary = null){
+  return payload.locker
+    || payload.mission
+    || payload.missionLabel
+    || payload.mission_label
+    || (summary && summary.locker)
+    || null;
+}
+
+function parseMissionNumber(raw, fallback = 1){
+  if (raw === null || raw === undefined) return fallback;
+  if (typeof raw === 'number' && Number.isFinite(raw)) {
+    const num = Math.round(raw);
+    if (num === 1 || num === 2) return num;
+    if (num > 2) return ((num - 1) % 2) + 1;
+  }
+  const text = String(raw).trim();
+  if (!text) return fallback;
+  const match = text.match(/(\d+)/);
+  if (match) {
+    const num = Number.parseInt(match[1], 10);
+    if (Number.isFinite(num)) {
+      if (num === 1 || num === 2) return num;
+      if (num > 2) return ((num - 1) % 2) + 1;
+    }
+  }
+  if (/2/.test(text)) return 2;
+  return fallback;
+}
+
+function buildRobotScriptArgs(payload = {}, summary = null){
+  const args = ['--bridge-mode', '--auto'];
+  const direction = resolveDirection(payload, summary);
+  args.push('--direction', direction === 'in' ? 'in' : 'out');
+
+  const locker = resolveLocker(payload, summary);
+  if (locker) {
+    args.push('--mission-label', String(locker));
+  }
+  const missionSource = payload.mission ?? locker ?? null;
+  const missionNumber = parseMissionNumber(missionSource, 1);
+  args.push('--mission', String(missionNumber));
+
+  const firearmSerial = payload.firearmSerial
+    || payload.expectedQr
+    || payload.expected_qr
+    || (summary && summary.firearmCode)
+    || null;
+  if (firearmSerial) {
+    args.push('--expected-qr', String(firearmSerial));
+  }
+
+  const includesAmmo = Object.prototype.hasOwnProperty.call(payload, 'includesAmmo')
+    ? normalizeFlag(payload.includesAmmo)
+    : (summary ? !!summary.includes?.ammo : undefined);
+  if (includesAmmo) {
+    args.push('--with-mag');
+  }
+
+  if (payload.requestId || payload.request_id) {
+    args.push('--request-id', String(payload.requestId ?? payload.request_id));
+  }
+
+  if (payload.site || payload.site_id) {
+    args.push('--site', String(payload.site || payload.site_id));
+  }
+
+  return args;
+}
+
+function summarizeRobotPayload(payload = {}){
+  if (!payload || typeof payload !== 'object') return null;
+
+  const bridgePayload = (payload.bridgePayload && typeof payload.bridgePayload === 'object')
+    ? payload.bridgePayload
+    : null;
+  const merged = bridgePayload ? { ...payload, ...bridgePayload } : payload;
+
+  const dispatch = (merged.dispatch && typeof merged.dispatch === 'object') ? merged.dispatch : {};
+
+  const includesInput = (merged.includes && typeof merged.includes === 'object') ? merged.includes : {};
+  const includesDispatch = (dispatch.includes && typeof dispatch.includes === 'object') ? dispatch.includes : {};
+
+  let firearmIncluded = Object.prototype.hasOwnProperty.call(includesInput, 'firearm')
+    ? normalizeFlag(includesInput.firearm)
+    : Object.prototype.hasOwnProperty.call(includesDispatch, 'firearm')
+      ? normalizeFlag(includesDispatch.firearm)
+      : undefined;
+
+  if (firearmIncluded === undefined) {
+    if (Object.prototype.hasOwnProperty.call(merged, 'includesFirearm')) {
+      firearmIncluded = normalizeFlag(merged.includesFirearm);
+    }
+  }
+
+  if (firearmIncluded === undefined) {
+    firearmIncluded = !!(merged.firearm || dispatch.firearm);
+  }
+
+  let ammoIncluded = Object.prototype.hasOwnProperty.call(includesInput, 'ammo')
+    ? normalizeFlag(includesInput.ammo)
+    : Object.prototype.hasOwnProperty.call(includesDispatch, 'ammo')
+      ? normalizeFlag(includesDispatch.ammo)
+      : undefined;
+
+  if (ammoIncluded === undefined) {
+    if (Object.prototype.hasOwnProperty.call(merged, 'includesAmmo')) {
+      ammoIncluded = normalizeFlag(merged.includesAmmo);
+    }
+  }
+
+  if (ammoIncluded === undefined) {
+    ammoIncluded = (Array.isArray(merged.ammo) && merged.ammo.length > 0)
+      || (Array.isArray(dispatch.ammo) && dispatch.ammo.length > 0);
+  }
+
+  const payloadItems = Array.isArray(merged.items) ? merged.items : [];
+  if (firearmIncluded === undefined) {
+    firearmIncluded = payloadItems.some((item) => String(item?.item_type || item?.type || '').toUpperCase() === 'FIREARM');
+  }
+  if (ammoIncluded === undefined) {
+    ammoIncluded = payloadItems.some((item) => String(item?.item_type || item?.type || '').toUpperCase() === 'AMMO');
+  }
+
+  const firearmHas = !!firearmIncluded;
+  const ammoHas = !!ammoIncluded;
+
+  let action = String(merged.mode || '').toLowerCase();
+  if (!action && merged.direction) {
+    action = String(merged.direction).toLowerCase();
+  }
+  if (['firearm_and_ammo', 'firearm_only', 'ammo_only', 'dispatch', 'issue', 'out', '불출'].includes(action)) {
+    action = 'dispatch';
+  } else if (['return', 'incoming', 'in', '입고', '불입'].includes(action)) {
+    action = 'return';
+  }
+  const typeRaw = String(merged.type || merged.request_type || '').toUpperCase();
+  if (!action && merged.direction) {
+    action = ['in', '입고', '불입'].includes(String(merged.direction).toLowerCase()) ? 'return' : 'dispatch';
+  }
+  if (!action){
+    if (typeRaw === 'RETURN') action = 'return';
+    else if (typeRaw === 'DISPATCH' || typeRaw === 'ISSUE') action = 'dispatch';
+  }
+  if (!action){
+    action = firearmHas || ammoHas ? 'dispatch' : 'unknown';
+  }
+
+  const firearm = merged.firearm || dispatch.firearm || {};
+  const firearmCode = merged.firearmSerial
+    || firearm.code
+    || firearm.firearm_number
+    || firearm.serial
+    || firearm.weapon_code
+    || merged.weapon_code
+    || merged.weaponCode
+    || null;
+
+  const locker = merged.locker
+    || merged.mission
+    || merged.mission_label
+    || firearm.locker
+    || firearm.locker_code
+    || firearm.lockerCode
+    || dispatch.locker
+    || dispatch.location
+    || merged.storage
+    || merged.storage_code
+    || (merged.request && (merged.request.locker || merged.request.storage_locker))
+    || null;
+
+  const ammoItems = Array.isArray(merged.ammo) && merged.ammo.length
+    ? merged.ammo
+    : (Array.isArray(dispatch.ammo) ? dispatch.ammo : []);
+  const ammoSummaryParts = [];
+  let ammoCount = 0;
+  for (const item of ammoItems){
+    if (!item || typeof item !== 'object') continue;
+    const caliber = (item.caliber || item.type || item.name || item.label || '').toString().trim();
+    const qtyRaw = item.qty ?? item.quantity ?? item.amount ?? item.count;
+    const qty = Number(qtyRaw);
+    if (Number.isFinite(qty)){
+      ammoCount += qty;
+    }
+    const label = [caliber || null, Number.isFinite(qty) ? `×${qty}` : null]
+      .filter(Boolean)
+      .join('');
+    if (label){
+      ammoSummaryParts.push(label);
+    }
+  }
+  const ammoCountValue = Number.isFinite(ammoCount) ? ammoCount : null;
+  const hasAmmoSummary = ammoSummaryParts.length > 0;
+
+  const includesLabel = firearmHas && ammoHas
+    ? '총기+탄약'
+    : (firearmHas ? '총기' : (ammoHas ? '탄약' : '기타'));
+
+  const summary = {
+    requestId: merged.requestId ?? merged.request_id ?? null,
+    action,
+    actionLabel: action === 'return' ? '불입' : (action === 'dispatch' ? '불출' : '장비'),
+    type: typeRaw || null,
+    includes: { firearm: firearmHas, ammo: ammoHas, label: includesLabel },
+    firearmCode,
+    ammoSummary: hasAmmoSummary ? ammoSummaryParts.join(', ') : null,
+    ammoCount: hasAmmoSummary ? ammoCountValue : null,
+    locker,
+    site: merged.site_id || merged.site || null,
+    purpose: merged.purpose || null,
+    location: merged.location
+      || dispatch.location
+      || (merged.request && merged.request.location)
+      || null
+  };
+
+  cleanObject(summary);
+  return Object.keys(summary).length ? summary : null;
+}
+
+function buildRobotPayloadSnapshot(payload = {}){
+  if (!payload || typeof payload !== 'object') return null;
+  const dispatch = (payload.dispatch && typeof payload.dispatch === 'object') ? payload.dispatch : {};
+  const includes = dispatch.includes || payload.includes || null;
+  const firearm = dispatch.firearm || payload.firearm || null;
+  const ammoList = Array.isArray(dispatch.ammo) && dispatch.ammo.length
+    ? dispatch.ammo
+    : (Array.isArray(payload.ammo) ? payload.ammo : []);
+
+  const ammoPreview = ammoList.slice(0, 5).map(item => cleanObject({
+    id: item?.id || item?.ammo_id || null,
+    name: item?.name || item?.label || item?.category || item?.caliber || null,
+    qty: item?.qty ?? item?.quantity ?? item?.count ?? null
+  })).filter(Boolean);
+
+  return cleanObject({
+    requestId: payload.requestId ?? payload.request_id ?? null,
+    executionEventId: payload.executionEventId ?? payload.eventId ?? null,
+    type: payload.type || dispatch.type || null,
+    mode: payload.mode || dispatch.mode || null,
+    site: payload.site || dispatch.site_id || payload.site_id || null,
+    includes,
+    firearm: firearm ? cleanObject({
+      id: firearm.id || firearm.firearm_id || null,
+      code: firearm.code || firearm.firearm_number || firearm.serial || null,
+      locker: firearm.locker || firearm.storage_locker || null,
+      slot: firearm.slot || null
+    }) : null,
+    ammo: ammoPreview.length ? ammoPreview : null,
+    location: payload.location
+      || dispatch.location
+      || (payload.request && payload.request.location)
+      || null,
+    purpose: dispatch.purpose || payload.purpose || null,
+    simulate: dispatch.simulate || payload.simulate || null
+  });
+}
+
+module.exports = {
+  resolveDirection,
+  resolveLocker,
+  parseMissionNumber,
+  buildRobotScriptArgs,
+  summarizeRobotPayload,
+  buildRobotPayloadSnapshot
+};
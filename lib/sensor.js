@@ -0,0 +1,537 @@
+/**
+ * sensor.js — 지문 센서(Arduino) 시리얼 연결과 명령 실행
+ *
+ * 시리얼 포트를 찾아 열고 줄 단위 JSON 을 'sensor:data' 이벤트로 내보낸다. 센서 명령은
+ * command_queue 로 직렬화되며, 응답은 브릿지가 매긴 seq(구형 펌웨어는 type)로 매칭한다.
+ */
+
+const { SerialPort } = require('serialport');
+const { ReadlineParser } = require('@serialport/parser-readline');
+const { MockSensorPort, loadMockConfig } = require('./mock_serial');
+const { createCommandQueue, resolvePriority } = require('./command_queue');
+const { cleanObject, httpError, sleep, timeNow } = require('./util');
+
+const COMMAND_PRIORITY = { delete: 'high', clear: 'high', enroll: 'normal', index: 'normal', count: 'low', template_export: 'low', template_import: 'normal' };
+const ENROLL_STAGES = ['place_finger', 'remove_finger', 'place_again', 'model_created', 'stored'];
+const ENROLL_STAGE_LED = {
+  place_finger: 'scanning',
+  remove_finger: 'enroll_step',
+  place_again: 'scanning',
+  model_created: 'enroll_step',
+  stored: 'match'
+};
+const CANCEL_GRACE_MS = 3000;
+const DUPLICATE_CHECK_MODES = ['reject', 'warn', 'off'];
+
+function createSensorService(bridge) {
+  const { config, log, warn } = bridge;
+  const serialConfig = config.serial;
+  const sensorConfig = config.sensor;
+
+  let serial = null;
+  let parser = null;
+  let lastGoodPath = null;
+  let reconnecting = false;
+  let activeCommand = null;
+  let lastSerialEventAt = 0;
+  let mockSensorPort = null;
+  let serialSeq = 0;
+  let seqEcho = false;
+  const commandQueue = createCommandQueue({
+    maxLength: sensorConfig.queueMax,
+    waitTimeoutMs: sensorConfig.queueWaitMs
+  });
+
+  async function listCandidates(){
+    const ports = await SerialPort.list();
+    const preferred = [];
+    const normal = [];
+    for (const p of ports){
+      const manufacturer = (p.manufacturer || '').toLowerCase();
+      const vendor = (p.vendorId || '').toLowerCase();
+      const isUsb = manufacturer.includes('arduino') || manufacturer.includes('wch') || manufacturer.includes('silicon labs') || manufacturer.includes('ftdi') || vendor === '2341' || vendor === '1a86' || vendor === '10c4' || vendor === '0403';
+      (isUsb ? preferred : normal).push(p);
+    }
+    const ordered = [];
+    if (lastGoodPath){
+      const all = [...preferred, ...normal];
+      const found = all.find(p => p.path === lastGoodPath);
+      if (found) ordered.push(found);
+    }
+    for (const p of [...preferred, ...normal]){
+      if (!ordered.find(x => x.path === p.path)) ordered.push(p);
+    }
+    return ordered;
+  }
+
+  async function tryOpen(path){
+    const port = new SerialPort({ path, baudRate: serialConfig.baud, autoOpen: false });
+    const lineParser = port.pipe(new ReadlineParser({ delimiter: '\n' }));
+    await new Promise((resolve, reject) => port.open(err => err ? reject(err) : resolve()));
+    log(`opened serial ${path}@${serialConfig.baud}`);
+    return { port, lineParser };
+  }
+
+  async function openMockSensor(){
+    if (!mockSensorPort) {
+      const mockConfig = loadMockConfig(serialConfig.mockConfig);
+      mockSensorPort = new MockSensorPort({
+        ...mockConfig,
+        baudRate: serialConfig.baud,
+        dbFile: serialConfig.mockDbFile || mockConfig.dbFile || null
+      });
+    }
+    const port = mockSensorPort;
+    const lineParser = port.pipe(new ReadlineParser({ delimiter: '\n' }));
+    await new Promise((resolve, reject) => port.open(err => err ? reject(err) : resolve()));
+    log(`opened mock sensor (${port.db.size} stored fingerprint(s))`);
+    return { port, lineParser };
+  }
+
+  async function findAndOpen(){
+    if (serialConfig.port === 'mock'){
+      return openMockSensor();
+    }
+    if (serialConfig.port !== 'auto'){
+      try { return await tryOpen(serialConfig.port); }
+      catch (err) { warn('explicit port failed:', err.message || err); }
+    }
+    const candidates = await listCandidates();
+    for (const entry of candidates){
+      try { return await tryOpen(entry.path); }
+      catch (err) { warn('candidate open failed:', entry.path, err.message || err); }
+    }
+    throw new Error('no usable serial port found');
+  }
+
+  function nextSeq(){
+    serialSeq = serialSeq >= 65535 ? 1 : serialSeq + 1;
+    return serialSeq;
+  }
+
+  // 성공하면 이번 명령의 seq 를, 실패하면 false 를 돌려준다.
+  function writeSerial(obj){
+    if (!serial || !serial.isOpen) return false;
+    try {
+      const seq = nextSeq();
+      serial.write(JSON.stringify({ ...obj, seq }) + '\n');
+      return seq;
+    } catch (err) {
+      warn('serial write failed:', err.message || err);
+      return false;
+    }
+  }
+
+  function ensureSerialReady(){
+    if (!serial || !serial.isOpen || !parser){
+      throw httpError(503, 'serial_not_ready');
+    }
+  }
+
+  function beginCommand(type, meta = {}){
+    activeCommand = {
+      type,
+      startedAt: timeNow(),
+      meta,
+      done: false
+    };
+    return activeCommand;
+  }
+
+  function finishCommand(entry, { result = null, error = null } = {}){
+    if (!entry) return;
+    entry.done = true;
+    if (result) entry.result = result;
+    if (error) entry.error = error.message || String(error);
+    if (activeCommand === entry){
+      activeCommand = null;
+    }
+    const durationMs = timeNow() - entry.startedAt;
+    bridge.metrics.sensorCommandDuration.observe({ command: entry.type, outcome: error ? 'error' : 'ok' }, durationMs / 1000);
+    if (error) {
+      bridge.metrics.sensorCommandFailures.inc({ command: entry.type, code: error.payload?.error || entry.error });
+    }
+    bridge.offline.record(`fp_${entry.type}`, {
+      ok: !error,
+      ...entry.meta,
+      result: result || null,
+      error: entry.error || null,
+      durationMs
+    });
+  }
+
+  function isResponseTo(obj, seq, expectedType){
+    if (!obj) return false;
+    if (obj.seq !== undefined && obj.seq !== null) return Number(obj.seq) === seq;
+    if (seqEcho) return false;
+    return !obj.type || obj.type === expectedType || obj.type === `${expectedType}_stage`;
+  }
+
+  // signal 이 abort 되면 펌웨어의 마무리 응답을 CANCEL_GRACE_MS 만큼 기다린 뒤 signal.reason 으로 끝낸다.
+  function waitForCommandResult({ seq, expectedType, timeoutMs = 20000, onStage, onFrame, signal }){
+    ensureSerialReady();
+    return new Promise((resolve, reject) => {
+      let settled = false;
+      const fail = (err) => {
+        if (settled) return;
+        settled = true;
+        clearTimeout(timer);
+        cleanup();
+        reject(err);
+      };
+      let timer = setTimeout(() => fail(httpError(504, 'sensor_timeout')), timeoutMs);
+      const onAbort = () => {
+        clearTimeout(timer);
+        timer = setTimeout(() => fail(signal.reason), CANCEL_GRACE_MS);
+      };
+
+      const handler = (obj) => {
+        if (settled || !isResponseTo(obj, seq, expectedType)) return;
+        if (obj.stage && typeof onStage === 'function'){
+          try { onStage(obj); } catch (_) {}
+        }
+        if (obj.ok === false){
+          if (signal?.aborted) {
+            fail(signal.reason);
+            return;
+          }
+          const err = httpError(502, obj.error || 'sensor_error');
+          err.payload = obj;
+          fail(err);
+          return;
+        }
+        if (expectedType && obj.type !== expectedType){
+          if (typeof onFrame === 'function') {
+            try { onFrame(obj); }
+            catch (err) { fail(err); }
+          }
+          return;
+        }
+        settled = true;
+        clearTimeout(timer);
+        cleanup();
+        resolve(obj);
+      };
+
+      const cleanup = () => {
+        bridge.off('sensor:data', handler);
+        signal?.removeEventListener('abort', onAbort);
+      };
+      bridge.on('sensor:data', handler);
+      signal?.addEventListener('abort', onAbort, { once: true });
+    });
+  }
+
+  async function runSensorCommand({ command, payload = {}, expectedType, timeoutMs, onStage, onFrame, signal }){
+    ensureSerialReady();
+    const seq = writeSerial({ cmd: command, ...payload });
+    if (!seq){
+      throw httpError(503, 'serial_write_failed');
+    }
+    const result = await waitForCommandResult({ seq, expectedType, timeoutMs, onStage, onFrame, signal });
+    return result;
+  }
+
+  // 명령을 대기열에 넣고, 차례가 오면 exec() 를 실행해 결과를 기록한다.
+  function runQueuedCommand(type, { requestId = null, priority, onQueued, cancellable = false, meta = {} }, exec){
+    ensureSerialReady();
+    return commandQueue.enqueue({
+      type,
+      priority: resolvePriority(priority, COMMAND_PRIORITY[type]),
+      requestId,
+      meta,
+      onQueued,
+      cancellable,
+      run: async (item) => {
+        ensureSerialReady();
+        if (requestId) meta.requestId = requestId;
+        const entry = beginCommand(type, meta);
+        try {
+          const result = await exec(item);
+          finishCommand(entry, { result });
+          return result;
+        } catch (err) {
+          finishCommand(entry, { error: err });
+          throw err;
+        }
+      }
+    });
+  }
+
+  function reportEnrollStage(id, obj, { stageLeds, onProgress }){
+    if (obj.ok === false || !obj.stage) return;
+    const progress = {
+      sensorId: id,
+      stage: obj.stage,
+      step: ENROLL_STAGES.indexOf(obj.stage) + 1 || null,
+      totalSteps: ENROLL_STAGES.length
+    };
+    if (stageLeds && ENROLL_STAGE_LED[obj.stage]) {
+      try { bridge.indicators.claimLed('enroll', ENROLL_STAGE_LED[obj.stage]); }
+      catch (err) { warn('led command failed during enroll:', err?.message || err); }
+    }
+    bridge.emit('enroll:progress', progress);
+    if (typeof onProgress === 'function') onProgress(progress);
+  }
+
+  // allowDuplicate: true 면 중복이어도 경고만, false 면 거절, 없으면 설정(duplicateCheck)을 따른다.
+  function resolveDuplicateCheck(allowDuplicate){
+    if (allowDuplicate === undefined || allowDuplicate === null || allowDuplicate === '') {
+      return DUPLICATE_CHECK_MODES.includes(sensorConfig.duplicateCheck) ? sensorConfig.duplicateCheck : 'reject';
+    }
+    return allowDuplicate === true || ['1', 'true', 'yes'].includes(String(allowDuplicate).toLowerCase()) ? 'warn' : 'reject';
+  }
+
+  function duplicateFrom(obj){
+    return {
+      duplicate: !!obj.duplicate,
+      matchId: obj.matchId ?? null,
+      confidence: obj.confidence ?? null
+    };
+  }
+
+  // sensorId 가 없으면 차례가 왔을 때 slots 에서 빈 슬롯을 배정받는다.
+  async function enrollFingerprint({ sensorId, timeoutMs, led, ledOff, onProgress, allowDuplicate, ...queueOptions }){
+    const autoSlot = sensorId === undefined || sensorId === null || sensorId === '';
+    const requested = autoSlot ? null : Number(sensorId);
+    if (!autoSlot && (!Number.isInteger(requested) || requested <= 0)){
+      throw httpError(400, 'bad_sensor_id');
+    }
+    const ledOffCommand = ledOff === false ? null : (ledOff || 'idle');
+    const commandTimeout = Math.max(5000, Number(timeoutMs) || sensorConfig.enrollTimeoutMs);
+    const stageLeds = led !== false;
+    const duplicateMode = resolveDuplicateCheck(allowDuplicate);
+    const meta = { sensorId: requested };
+    return runQueuedCommand('enroll', { ...queueOptions, cancellable: true, meta }, async ({ controller }) => {
+      const { signal } = controller;
+      const id = autoSlot ? await bridge.slots.allocate({ signal }) : requested;
+      meta.sensorId = id;
+      if (autoSlot) meta.allocated = true;
+      const sendCancel = () => {
+        if (!writeSerial({ cmd: 'cancel' })) warn('enroll cancel could not be written to the sensor');
+      };
+      signal.addEventListener('abort', sendCancel, { once: true });
+      if (led && led !== false) {
+        try { bridge.indicators.claimLed('enroll', led); }
+        catch (err) { warn('led command failed before enroll:', err?.message || err); }
+      }
+      let duplicateCheck = { mode: duplicateMode, checked: false };
+      try {
+        const result = await runSensorCommand({
+          command: 'enroll',
+          payload: duplicateMode === 'off' ? { id } : { id, dupCheck: duplicateMode },
+          expectedType: 'enroll',
+          timeoutMs: commandTimeout,
+          signal,
+          onStage: (obj) => {
+            if (obj.stage !== 'duplicate_check') return reportEnrollStage(id, obj, { stageLeds, onProgress });
+            if (obj.ok === false) return;
+            duplicateCheck = { mode: duplicateMode, checked: true, ...duplicateFrom(obj) };
+            if (duplicateCheck.duplicate) warn('[sensor] enroll finger already stored', { sensorId: id, ...duplicateCheck });
+          }
+        });
+        bridge.slots.markOccupied(id, { source: 'enroll', requestId: queueOptions.requestId ?? null });
+        const stored = autoSlot ? { ...result, id: result.id ?? id, allocated: true } : result;
+        return { ...stored, duplicateCheck };
+      } catch (err) {
+        if (err?.payload?.error !== 'duplicate_finger' || signal.aborted) throw err;
+        const duplicate = httpError(409, 'duplicate_finger');
+        duplicate.payload = { ...err.payload, duplicateCheck: { mode: duplicateMode, checked: true, ...duplicateFrom({ ...err.payload, duplicate: true }) } };
+        throw duplicate;
+      } finally {
+        signal.removeEventListener('abort', sendCancel);
+        try { bridge.indicators.releaseLed('enroll', { queue: true, fallback: ledOffCommand }); }
+        catch (err) { warn('led command failed after enroll:', err?.message || err); }
+      }
+    });
+  }
+
+  // requestId 가 없으면 실행 중이거나 대기 중인 첫 등록을 취소한다.
+  function cancelEnroll(requestId = null){
+    const hasId = requestId !== null && requestId !== undefined && requestId !== '';
+    return commandQueue.cancel(
+      (item) => item.type === 'enroll' && (!hasId || (item.requestId !== null && String(item.requestId) === String(requestId))),
+      httpError(409, 'enroll_cancelled')
+    );
+  }
+
+  async function deleteFingerprint({ sensorId, allowMissing = false, timeoutMs, ...queueOptions }){
+    const id = Number(sensorId || 0);
+    if (!Number.isInteger(id) || id <= 0){
+      throw httpError(400, 'bad_sensor_id');
+    }
+    try {
+      const result = await runQueuedCommand('delete', { ...queueOptions, meta: { sensorId: id } }, () => runSensorCommand({
+        command: 'delete',
+        payload: { id },
+        expectedType: 'delete',
+        timeoutMs: Math.max(4000, Number(timeoutMs) || sensorConfig.deleteTimeoutMs)
+      }));
+      bridge.slots.markEmpty(id);
+      return result;
+    } catch (err) {
+      if (allowMissing && err?.payload?.error === 'delete_failed') {
+        bridge.slots.markEmpty(id);
+        return { ok: true, skipped: true, id };
+      }
+      throw err;
+    }
+  }
+
+  function clearFingerprints({ timeoutMs, ...queueOptions } = {}){
+    return runQueuedCommand('clear', queueOptions, async () => {
+      const result = await runSensorCommand({
+        command: 'clear',
+        expectedType: 'clear',
+        timeoutMs: Math.max(4000, Number(timeoutMs) || sensorConfig.clearTimeoutMs)
+      });
+      bridge.slots.clearAll();
+      return result;
+    });
+  }
+
+  function countFingerprints({ timeoutMs, ...queueOptions } = {}){
+    return runQueuedCommand('count', queueOptions, () => runSensorCommand({
+      command: 'count',
+      expectedType: 'count',
+      timeoutMs: Math.max(2000, Number(timeoutMs) || sensorConfig.countTimeoutMs)
+    }));
+  }
+
+  function forwardToRender(obj) {
+    if (!config.backend.url) return;
+    bridge.backend.send({ type: 'FP_EVENT', payload: obj });
+  }
+
+  async function openAndWire(){
+    const { port, lineParser } = await findAndOpen();
+    serial = port;
+    parser = lineParser;
+    lastGoodPath = port.path;
+    seqEcho = false;
+
+    if (!writeSerial({ cmd: 'open' })) warn('write open failed');
+
+    bridge.indicators.restoreOutputs();
+
+    parser.on('data', raw => {
+      const line = String(raw || '').trim();
+      if (!line) return;
+      let obj;
+      try { obj = JSON.parse(line); }
+      catch { obj = { raw: line }; }
+      if (!seqEcho && obj.seq !== undefined && obj.seq !== null) {
+        seqEcho = true;
+        log('[sensor] firmware echoes command seq; matching responses by seq');
+      }
+      bridge.emit('sensor:data', obj);
+      lastSerialEventAt = timeNow();
+      // identify 줄은 인증 정책을 거친 프레임으로 바꿔 내보낸다.
+      const frame = bridge.identify.handleSerialLine(obj) || obj;
+      bridge.indicators.handleSerialLine(frame);
+      bridge.debugWs.broadcast(frame);
+      forwardToRender(frame);
+      if (obj.error && obj.type !== 'identify') {
+        warn('[sensor] error', { frame: obj });
+      } else if (obj.type !== 'identify') {
+        bridge.logger.debug('[sensor] frame', { frame: obj });
+      }
+    });
+
+    serial.on('close', () => {
+      if (bridge.closed) return;
+      warn('serial closed; reconnecting...');
+      reconnect();
+    });
+    serial.on('error', err => {
+      warn('serial error:', err.message || err);
+      try { serial.close(); } catch (_) {}
+    });
+  }
+
+  async function reconnect(){
+    if (reconnecting || bridge.closed) return;
+    reconnecting = true;
+    bridge.metrics.serialReconnects.inc();
+    try {
+      await sleep(1000);
+      if (bridge.closed) {
+        reconnecting = false;
+        return;
+      }
+      await openAndWire();
+    } catch (err) {
+      warn('reconnect fail:', err.message || err);
+      reconnecting = false;
+      await sleep(1500);
+      return reconnect();
+    }
+    reconnecting = false;
+  }
+
+  function isOpen(){
+    return !!(serial && serial.isOpen);
+  }
+
+  function isReady(){
+    return !!(serial && serial.isOpen && parser);
+  }
+
+  function closeSerial(){
+    commandQueue.clear(httpError(503, 'serial_closed'));
+    if (!serial || !serial.isOpen) return Promise.resolve();
+    return new Promise((resolve) => {
+      try { serial.close(() => resolve()); }
+      catch (_) { resolve(); }
+    });
+  }
+
+  function snapshotSerial(){
+    return {
+      connected: !!(serial && serial.isOpen),
+      path: (serial && serial.path) || lastGoodPath || null,
+      lastEventAt: lastSerialEventAt || null,
+      seqEcho
+    };
+  }
+
+  function snapshotCommand(){
+    const queued = commandQueue.snapshot().waiting;
+    const current = activeCommand
+      ? {
+          active: true,
+          type: activeCommand.type,
+          startedAt: activeCommand.startedAt,
+          meta: cleanObject({ ...(activeCommand.meta || {}) }) || null,
+          result: activeCommand.result ? cleanObject({ ...(activeCommand.result || {}) }) : null,
+          error: activeCommand.error || null
+        }
+      : { active: false };
+    return { ...current, queued };
+  }
+
+  return {
+    open: openAndWire,
+    reconnect,
+    close: closeSerial,
+    write: writeSerial,
+    isOpen,
+    isReady,
+    commandBusy: commandQueue.busy,
+    queue: commandQueue,
+    cancel: commandQueue.cancel,
+    cancelEnroll,
+    runQueued: runQueuedCommand,
+    command: runSensorCommand,
+    enroll: enrollFingerprint,
+    delete: deleteFingerprint,
+    clear: clearFingerprints,
+    count: countFingerprints,
+    snapshot: snapshotSerial,
+    snapshotCommand,
+    isResponseTo,
+    getMockSensor: () => mockSensorPort
+  };
+}
+
+module.exports = { createSensorService };
@@ -0,0 +1,182 @@
+/**
+ * session_history.js — identify 세션 감사 기록
+ *
+ * 수동 identify 세션마다 시작 요청(트리거), 기한, 스캔 결과(시각·ID·신뢰도), 종료 사유를 남긴다.
+ * 기록은 JSON lines 저널(start/scan/end)로 바로 덧붙이므로 세션 도중 브릿지가 죽어도 남고,
+ * 다시 읽을 때 끝나지 않은 세션은 bridge_restart 로 닫힌다. 세션이 SESSION_HISTORY_MAX 개를
+ * 넘으면 오래된 것부터 버리고 파일을 세션당 한 줄로 다시 쓴다. FP_SESSION_HISTORY 로 조회한다.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { cleanObject, timeNow } = require('./util');
+
+function createSessionHistory(bridge) {
+  const { config, warn } = bridge;
+  const settings = config.history;
+
+  let sessions = [];
+  let appended = 0;
+  const byKey = new Map();
+
+  function sessionKey(session) {
+    return `${session.requestedAt}-${session.id}`;
+  }
+
+  function append(record) {
+    try {
+      fs.mkdirSync(path.dirname(settings.file), { recursive: true });
+      fs.appendFileSync(settings.file, `${JSON.stringify(record)}\n`);
+    } catch (err) {
+      warn('[history] append failed', err?.message || err);
+      return;
+    }
+    appended += 1;
+    if (appended >= settings.maxSessions) compact();
+  }
+
+  function remember(entry) {
+    sessions.push(entry);
+    byKey.set(entry.key, entry);
+    while (sessions.length > settings.maxSessions) {
+      byKey.delete(sessions.shift().key);
+    }
+  }
+
+  function addScan(entry, scan) {
+    if (entry.scans.length >= settings.maxScans) {
+      entry.droppedScans = (entry.droppedScans || 0) + 1;
+      return false;
+    }
+    entry.scans.push(scan);
+    return true;
+  }
+
+  function load() {
+    let text = '';
+    try {
+      text = fs.readFileSync(settings.file, 'utf8');
+    } catch (err) {
+      if (err?.code !== 'ENOENT') warn('[history] failed to read session history', err?.message || err);
+      return;
+    }
+    sessions = [];
+    byKey.clear();
+    let interrupted = 0;
+    for (const line of text.split('\n')) {
+      if (!line.trim()) continue;
+      let record;
+      try { record = JSON.parse(line); } catch (_) { continue; }
+      if (record.op === 'session' || record.op === 'start') {
+        if (!byKey.has(record.session?.key)) remember({ scans: [], ...record.session });
+      } else if (record.op === 'scan') {
+        const entry = byKey.get(record.key);
+        if (entry) addScan(entry, record.scan);
+      } else if (record.op === 'end') {
+        const entry = byKey.get(record.key);
+        if (entry) Object.assign(entry, record.end);
+      }
+    }
+    for (const entry of sessions) {
+      if (entry.stoppedAt) continue;
+      entry.stoppedAt = timeNow();
+      entry.stopReason = 'bridge_restart';
+      interrupted += 1;
+    }
+    appended = 0;
+    compact();
+    if (interrupted) warn('[history] sessions interrupted by a restart were closed', { count: interrupted });
+  }
+
+  function compact() {
+    const lines = sessions.map((entry) => JSON.stringify({ op: 'session', session: entry }));
+    const tmpFile = `${settings.file}.tmp`;
+    try {
+      fs.writeFileSync(tmpFile, lines.length ? `${lines.join('\n')}\n` : '');
+      fs.renameSync(tmpFile, settings.file);
+      appended = 0;
+    } catch (err) {
+      warn('[history] compaction failed', err?.message || err);
+    }
+  }
+
+  // trigger: 세션을 연 요청 { source, type, requestId, actor }
+  function open(session, trigger = {}) {
+    const entry = {
+      key: sessionKey(session),
+      site: config.site,
+      sessionId: session.id,
+      requestId: session.requestId ?? null,
+      trigger: cleanObject(JSON.parse(JSON.stringify(trigger))),
+      startedAt: session.requestedAt,
+      deadline: session.deadline,
+      required: session.required,
+      policy: { ...session.policy },
+      stoppedAt: null,
+      stopReason: null,
+      scans: []
+    };
+    remember(entry);
+    append({ op: 'start', session: { ...entry, scans: [] } });
+  }
+
+  function scan(session, frame) {
+    const entry = byKey.get(sessionKey(session));
+    if (!entry || entry.stoppedAt) return;
+    const record = cleanObject({
+      at: timeNow(),
+      type: frame.type,
+      ok: !!frame.ok,
+      sensorId: frame.id ?? null,
+      confidence: frame.confidence ?? null,
+      error: frame.error || frame.reason || null,
+      accepted: frame.session ? frame.session.accepted : undefined,
+      refused: frame.session?.reason || undefined
+    });
+    if (addScan(entry, record)) append({ op: 'scan', key: entry.key, scan: record });
+  }
+
+  function close(session, reason) {
+    const entry = byKey.get(sessionKey(session));
+    if (!entry || entry.stoppedAt) return;
+    const end = {
+      stoppedAt: session.stoppedAt || timeNow(),
+      stopReason: reason,
+      matches: session.matches ? session.matches.map((match) => ({ ...match })) : [],
+      droppedScans: entry.droppedScans || 0
+    };
+    Object.assign(entry, end);
+    append({ op: 'end', key: entry.key, end });
+  }
+
+  function query({ since, until, sensorId, sessionId, requestId, limit } = {}) {
+    const from = Number(since) || 0;
+    const to = Number(until) || Infinity;
+    const wantedSensor = sensorId === undefined || sensorId === null || sensorId === '' ? null : Number(sensorId);
+    const wantedSession = sessionId === undefined || sessionId === null || sessionId === '' ? null : String(sessionId);
+    const max = Math.min(settings.maxSessions, Math.max(1, Number(limit) || 50));
+    const matches = sessions.filter((entry) => (
+      entry.startedAt >= from
+      && entry.startedAt <= to
+      && (wantedSession === null || String(entry.sessionId) === wantedSession)
+      && (!requestId || String(entry.requestId) === String(requestId))
+      && (wantedSensor === null || entry.scans.some((item) => item.sensorId === wantedSensor))
+    ));
+    return {
+      total: matches.length,
+      sessions: matches.slice(-max).reverse().map((entry) => ({ ...entry, scans: entry.scans.map((item) => ({ ...item })) }))
+    };
+  }
+
+  return {
+    load,
+    open,
+    scan,
+    close,
+    query,
+    compact,
+    snapshot: () => ({ sessions: sessions.length, file: settings.file })
+  };
+}
+
+module.exports = { createSessionHistory };
@@ -0,0 +1,184 @@
+/**
+ * slots.js — 센서 슬롯 인벤토리
+ *
+ * 센서의 점유 슬롯 인덱스 테이블(index 명령)을 읽어 로컬 슬롯 맵(JSON)에 저장하고,
+ * 등록/삭제/초기화/템플릿 복원 결과로 맵을 갱신한다. sensorId 없이 들어온 등록에는
+ * 가장 작은 빈 슬롯을 배정하고, 백엔드의 사용자 매핑과 센서 슬롯을 비교한 보고서를 만든다.
+ *
+ * 펌웨어 명령: index → { type: 'index', ids: [...], capacity }
+ */
+
+const fs = require('fs');
+const { cleanObject, httpError, timeNow, writeJsonFileAtomic } = require('./util');
+
+function createSlotService(bridge) {
+  const { config, warn } = bridge;
+  const settings = config.slots;
+
+  const slotMap = new Map();
+  const slotState = {
+    capacity: settings.capacity,
+    syncedAt: 0,
+    updatedAt: 0
+  };
+
+  function load() {
+    try {
+      const data = JSON.parse(fs.readFileSync(settings.file, 'utf8'));
+      slotMap.clear();
+      for (const [id, entry] of Object.entries(data?.slots || {})) {
+        const sensorId = Number(id);
+        if (Number.isInteger(sensorId) && sensorId > 0) slotMap.set(sensorId, entry && typeof entry === 'object' ? entry : {});
+      }
+      slotState.capacity = Number(data?.capacity) || slotState.capacity;
+      slotState.updatedAt = Number(data?.updatedAt) || 0;
+    } catch (err) {
+      if (err?.code !== 'ENOENT') warn('[slots] failed to load slot map', err?.message || err);
+    }
+  }
+
+  function persist() {
+    slotState.updatedAt = timeNow();
+    const slots = {};
+    for (const id of [...slotMap.keys()].sort((a, b) => a - b)) slots[id] = slotMap.get(id);
+    try {
+      writeJsonFileAtomic(settings.file, { updatedAt: slotState.updatedAt, syncedAt: slotState.syncedAt, capacity: slotState.capacity, slots });
+    } catch (err) {
+      warn('[slots] failed to persist slot map', err?.message || err);
+    }
+  }
+
+  function occupied() {
+    return [...slotMap.keys()].sort((a, b) => a - b);
+  }
+
+  function nextFree() {
+    for (let id = 1; id <= slotState.capacity; id += 1) {
+      if (!slotMap.has(id)) return id;
+    }
+    return null;
+  }
+
+  function markOccupied(sensorId, info = {}) {
+    const id = Number(sensorId);
+    if (!Number.isInteger(id) || id <= 0) return;
+    slotMap.set(id, cleanObject({ ...(slotMap.get(id) || {}), ...info, updatedAt: timeNow() }));
+    persist();
+  }
+
+  function markEmpty(sensorId) {
+    if (slotMap.delete(Number(sensorId))) persist();
+  }
+
+  function clearAll() {
+    slotMap.clear();
+    persist();
+  }
+
+  // 센서 명령 대기열 안에서만 부른다 (runQueued 의 exec 또는 다른 명령 실행 중).
+  async function readIndex({ signal } = {}) {
+    const result = await bridge.sensor.command({
+      command: 'index',
+      expectedType: 'index',
+      timeoutMs: config.sensor.countTimeoutMs,
+      signal
+    });
+    const ids = [...new Set((Array.isArray(result.ids) ? result.ids : []).map(Number).filter((id) => Number.isInteger(id) && id > 0))].sort((a, b) => a - b);
+    if (Number(result.capacity) > 0) slotState.capacity = Number(result.capacity);
+    const present = new Set(ids);
+    for (const id of [...slotMap.keys()]) {
+      if (!present.has(id)) slotMap.delete(id);
+    }
+    for (const id of ids) {
+      if (!slotMap.has(id)) slotMap.set(id, { source: 'sensor', updatedAt: timeNow() });
+    }
+    slotState.syncedAt = timeNow();
+    persist();
+    return ids;
+  }
+
+  // 빈 슬롯을 고른다. 센서와 한 번도 맞춰 보지 않았으면 먼저 인덱스를 읽는다.
+  async function allocate({ signal } = {}) {
+    if (!slotState.syncedAt) await readIndex({ signal });
+    const id = nextFree();
+    if (!id) throw httpError(409, 'no_free_slot');
+    return id;
+  }
+
+  function list(queueOptions = {}) {
+    return bridge.sensor.runQueued('index', queueOptions, async () => {
+      const ids = await readIndex();
+      return snapshot({ ids });
+    });
+  }
+
+  function normalizeMapping(raw) {
+    const source = raw && typeof raw === 'object' ? raw : { sensorId: raw };
+    const sensorId = Number(source.sensorId ?? source.sensor_id ?? source.id);
+    if (!Number.isInteger(sensorId) || sensorId <= 0) return null;
+    return { sensorId, userId: source.userId ?? source.user_id ?? null };
+  }
+
+  // mappings: 백엔드가 알고 있는 [{ sensorId, userId }] 목록
+  async function reconcile(mappings, queueOptions = {}) {
+    if (!Array.isArray(mappings)) throw httpError(400, 'bad_mappings');
+    const backend = new Map();
+    for (const entry of mappings.map(normalizeMapping).filter(Boolean)) backend.set(entry.sensorId, entry);
+    const ids = await bridge.sensor.runQueued('index', queueOptions, () => readIndex());
+    const onSensor = new Set(ids);
+
+    const matched = [];
+    const unmappedSlots = [];
+    for (const id of ids) {
+      const mapping = backend.get(id);
+      if (!mapping) {
+        unmappedSlots.push(id);
+        continue;
+      }
+      matched.push(id);
+      if (mapping.userId !== null && slotMap.get(id)?.userId !== mapping.userId) {
+        slotMap.set(id, { ...slotMap.get(id), userId: mapping.userId });
+      }
+    }
+    const missingTemplates = [...backend.values()]
+      .filter((entry) => !onSensor.has(entry.sensorId))
+      .map((entry) => cleanObject({ sensorId: entry.sensorId, userId: entry.userId }));
+    persist();
+    return {
+      ok: !unmappedSlots.length && !missingTemplates.length,
+      checkedAt: slotState.syncedAt,
+      sensorSlots: ids.length,
+      backendMappings: backend.size,
+      matched,
+      unmappedSlots,
+      missingTemplates
+    };
+  }
+
+  function snapshot({ ids = occupied() } = {}) {
+    return {
+      capacity: slotState.capacity,
+      count: ids.length,
+      free: Math.max(0, slotState.capacity - ids.length),
+      nextFree: nextFree(),
+      syncedAt: slotState.syncedAt || null,
+      slots: ids
+    };
+  }
+
+  return {
+    state: slotState,
+    load,
+    readIndex,
+    allocate,
+    list,
+    reconcile,
+    markOccupied,
+    markEmpty,
+    clearAll,
+    occupied,
+    snapshot
+  };
+}
+
+module.exports = { createSlotService };
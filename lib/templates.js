@@ -0,0 +1,278 @@
+/**
+ * templates.js — 지문 템플릿 백업/복원
+ *
+ * 센서 슬롯의 템플릿을 시리얼로 조각(chunk) 단위로 읽어 CRC32 로 검증하고, AES-256-GCM 으로
+ * 암호화한 백업(envelope)으로 묶는다. 백업은 로컬 파일로 저장하거나 백엔드로 보낼 수 있으며,
+ * 교체한 센서에 다시 써 넣은 뒤 읽어 되돌려 CRC 를 비교하는 검증까지 한다.
+ * 슬롯을 지정하지 않은 백업은 센서 인덱스 테이블의 점유 슬롯 전체를 대상으로 한다.
+ * 키는 TEMPLATE_BACKUP_KEY 로 받고, 키가 없으면 백업/복원 모두 거절한다.
+ *
+ * 펌웨어 명령 (응답은 같은 seq 로 돌아온다)
+ *   template_read  { id }                          → template_chunk { index, total, data, crc } … → template_read { size, crc }
+ *   template_begin { id, size, crc, total }        → template_begin
+ *   template_chunk { id, index, total, data, crc } → template_chunk
+ *   template_store { id }                          → template_store { crc }
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { crc32, httpError, writeJsonFileAtomic } = require('./util');
+
+const BACKUP_KIND = 'fp-template-backup';
+const BACKUP_VERSION = 1;
+
+function parseSlots(value){
+  if (value === null || value === undefined || value === '') return [];
+  const list = Array.isArray(value) ? value : String(value).split(',');
+  return [...new Set(list.map(Number).filter((id) => Number.isInteger(id) && id > 0))].sort((a, b) => a - b);
+}
+
+function transferError(code){
+  const err = httpError(502, code);
+  err.retryTransfer = true;
+  return err;
+}
+
+function createTemplateService(bridge) {
+  const { config, log, warn } = bridge;
+  const settings = config.templates;
+
+  function deriveKey(salt){
+    if (!settings.key) throw httpError(503, 'template_backup_key_missing');
+    return crypto.scryptSync(settings.key, salt, 32);
+  }
+
+  function seal(templates, meta){
+    const salt = crypto.randomBytes(16);
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', deriveKey(salt), iv);
+    const data = Buffer.concat([cipher.update(JSON.stringify(templates), 'utf8'), cipher.final()]);
+    return {
+      kind: BACKUP_KIND,
+      version: BACKUP_VERSION,
+      ...meta,
+      cipher: 'aes-256-gcm',
+      kdf: 'scrypt',
+      salt: salt.toString('base64'),
+      iv: iv.toString('base64'),
+      tag: cipher.getAuthTag().toString('base64'),
+      data: data.toString('base64')
+    };
+  }
+
+  function unseal(backup){
+    if (!backup || backup.kind !== BACKUP_KIND || backup.version !== BACKUP_VERSION) {
+      throw httpError(400, 'bad_backup');
+    }
+    const key = deriveKey(Buffer.from(String(backup.salt || ''), 'base64'));
+    try {
+      const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(String(backup.iv || ''), 'base64'));
+      decipher.setAuthTag(Buffer.from(String(backup.tag || ''), 'base64'));
+      const text = Buffer.concat([decipher.update(Buffer.from(String(backup.data || ''), 'base64')), decipher.final()]).toString('utf8');
+      const templates = JSON.parse(text);
+      if (!Array.isArray(templates)) throw new Error('not_a_list');
+      return templates;
+    } catch (err) {
+      throw httpError(400, 'backup_decrypt_failed');
+    }
+  }
+
+  function backupFile(backupId){
+    if (!/^[\w.-]+$/.test(String(backupId || ''))) throw httpError(400, 'bad_backup_id');
+    return path.join(settings.dir, `${backupId}.json`);
+  }
+
+  function saveBackup(backup){
+    const file = backupFile(backup.id);
+    fs.mkdirSync(settings.dir, { recursive: true });
+    writeJsonFileAtomic(file, backup);
+    try { fs.chmodSync(file, 0o600); } catch (_) {}
+    return file;
+  }
+
+  function loadBackup(backupId){
+    try {
+      return JSON.parse(fs.readFileSync(backupFile(backupId), 'utf8'));
+    } catch (err) {
+      if (err?.code === 'ENOENT') throw httpError(404, 'backup_not_found');
+      if (err?.statusCode) throw err;
+      throw httpError(500, 'backup_unreadable');
+    }
+  }
+
+  function listBackups(){
+    let names = [];
+    try {
+      names = fs.readdirSync(settings.dir).filter((name) => name.endsWith('.json'));
+    } catch (err) {
+      if (err?.code !== 'ENOENT') warn('[templates] backup dir unreadable', err?.message || err);
+      return [];
+    }
+    const backups = [];
+    for (const name of names) {
+      try {
+        const backup = JSON.parse(fs.readFileSync(path.join(settings.dir, name), 'utf8'));
+        if (backup?.kind !== BACKUP_KIND) continue;
+        backups.push({ id: backup.id, site: backup.site || null, createdAt: backup.createdAt, count: backup.count, slots: backup.slots || [] });
+      } catch (err) {
+        warn('[templates] skipping unreadable backup', name, err?.message || err);
+      }
+    }
+    return backups.sort((a, b) => b.createdAt - a.createdAt);
+  }
+
+  async function withRetries(run, signal){
+    for (let attempt = 0; ; attempt += 1) {
+      try {
+        return await run();
+      } catch (err) {
+        const retryable = err?.retryTransfer || err?.message === 'sensor_timeout';
+        if (!retryable || signal?.aborted || attempt >= settings.retries) throw err;
+        warn('[templates] transfer failed; retrying', { error: err.message, attempt: attempt + 1 });
+      }
+    }
+  }
+
+  async function readTemplate(id, signal){
+    const chunks = [];
+    let total = 0;
+    const done = await bridge.sensor.command({
+      command: 'template_read',
+      payload: { id },
+      expectedType: 'template_read',
+      timeoutMs: settings.timeoutMs,
+      signal,
+      onFrame: (frame) => {
+        if (frame.type !== 'template_chunk') return;
+        const bytes = Buffer.from(String(frame.data || ''), 'base64');
+        if (crc32(bytes) !== String(frame.crc || '').toLowerCase()) throw transferError('template_chunk_checksum');
+        chunks[Number(frame.index)] = bytes;
+        total = Number(frame.total) || total;
+      }
+    });
+    for (let index = 0; index < total; index += 1) {
+      if (!chunks[index]) throw transferError('template_incomplete');
+    }
+    const data = Buffer.concat(chunks.slice(0, total));
+    const crc = crc32(data);
+    if (!total || (done.size !== undefined && Number(done.size) !== data.length) || crc !== String(done.crc || '').toLowerCase()) {
+      throw transferError('template_checksum');
+    }
+    return { id, size: data.length, crc, data: data.toString('base64') };
+  }
+
+  async function writeTemplate(template, signal){
+    const bytes = Buffer.from(String(template.data || ''), 'base64');
+    if (!bytes.length || crc32(bytes) !== template.crc) throw httpError(400, 'bad_template');
+    const chunkBytes = Math.max(16, settings.chunkBytes);
+    const total = Math.ceil(bytes.length / chunkBytes);
+    const send = (command, payload) => bridge.sensor.command({
+      command,
+      payload: { id: template.id, ...payload },
+      expectedType: command,
+      timeoutMs: settings.timeoutMs,
+      signal
+    });
+    await send('template_begin', { size: bytes.length, crc: template.crc, total });
+    for (let index = 0; index < total; index += 1) {
+      if (signal?.aborted) throw signal.reason;
+      const chunk = bytes.subarray(index * chunkBytes, (index + 1) * chunkBytes);
+      try {
+        await send('template_chunk', { index, total, data: chunk.toString('base64'), crc: crc32(chunk) });
+      } catch (err) {
+        if (err?.payload?.error === 'chunk_checksum') throw transferError('template_chunk_checksum');
+        throw err;
+      }
+    }
+    const stored = await send('template_store', {});
+    if (stored.crc && String(stored.crc).toLowerCase() !== template.crc) throw transferError('template_store_checksum');
+  }
+
+  function report(onProgress, progress){
+    if (typeof onProgress !== 'function') return;
+    try { onProgress(progress); }
+    catch (err) { warn('[templates] progress callback failed', err?.message || err); }
+  }
+
+  async function exportTemplates({ slots, destination = 'local', onProgress, ...queueOptions } = {}){
+    let ids = parseSlots(slots);
+    if (!['local', 'backend', 'both'].includes(destination)) throw httpError(400, 'bad_destination');
+    if (!settings.key) throw httpError(503, 'template_backup_key_missing');
+
+    const templates = [];
+    const missing = [];
+    await bridge.sensor.runQueued('template_export', { ...queueOptions, cancellable: true, meta: { slots: ids.length } }, async ({ controller }) => {
+      const { signal } = controller;
+      if (!ids.length) ids = await bridge.slots.readIndex({ signal });
+      if (!ids.length) throw httpError(409, 'no_templates');
+      for (const [index, id] of ids.entries()) {
+        if (signal.aborted) throw signal.reason;
+        try {
+          templates.push(await withRetries(() => readTemplate(id, signal), signal));
+        } catch (err) {
+          if (err?.payload?.error !== 'empty_slot') throw err;
+          missing.push(id);
+        }
+        report(onProgress, { operation: 'export', sensorId: id, done: index + 1, total: ids.length });
+      }
+      return { count: templates.length, missing };
+    });
+
+    const createdAt = Date.now();
+    const backupId = `${config.site}-${new Date(createdAt).toISOString().replace(/[:.]/g, '-')}`;
+    const exported = templates.map((template) => template.id);
+    const backup = seal(templates, { id: backupId, site: config.site, createdAt, count: templates.length, slots: exported });
+    const result = { backupId, createdAt, count: templates.length, slots: exported, missing };
+    if (destination !== 'backend') result.file = saveBackup(backup);
+    if (destination !== 'local') result.backup = backup;
+    log('[templates] exported', { backupId, count: templates.length, missing: missing.length, destination });
+    return result;
+  }
+
+  async function importTemplates({ backupId, backup, slots, verify = true, onProgress, ...queueOptions } = {}){
+    const envelope = backup || loadBackup(backupId);
+    const templates = unseal(envelope);
+    const wanted = parseSlots(slots);
+    const selected = wanted.length ? templates.filter((template) => wanted.includes(template.id)) : templates;
+    if (!selected.length) throw httpError(400, 'no_templates');
+
+    const summary = await bridge.sensor.runQueued('template_import', { ...queueOptions, cancellable: true, meta: { backupId: envelope.id, slots: selected.length } }, async ({ controller }) => {
+      const { signal } = controller;
+      const imported = [];
+      for (const [index, template] of selected.entries()) {
+        if (signal.aborted) throw signal.reason;
+        await withRetries(() => writeTemplate(template, signal), signal);
+        bridge.slots.markOccupied(template.id, { source: 'import', backupId: envelope.id });
+        imported.push(template.id);
+        report(onProgress, { operation: 'import', sensorId: template.id, done: index + 1, total: selected.length });
+      }
+      if (!verify) return { imported, verified: null, mismatched: [] };
+      const verified = [];
+      const mismatched = [];
+      for (const [index, template] of selected.entries()) {
+        if (signal.aborted) throw signal.reason;
+        const readBack = await withRetries(() => readTemplate(template.id, signal), signal).catch((err) => {
+          warn('[templates] verification read failed', { sensorId: template.id, error: err?.message || err });
+          return null;
+        });
+        (readBack?.crc === template.crc ? verified : mismatched).push(template.id);
+        report(onProgress, { operation: 'verify', sensorId: template.id, done: index + 1, total: selected.length });
+      }
+      return { imported, verified, mismatched };
+    });
+
+    const result = { backupId: envelope.id, ...summary, ok: !summary.mismatched.length };
+    (result.ok ? log : warn)('[templates] imported', { backupId: envelope.id, imported: summary.imported.length, mismatched: summary.mismatched.length });
+    return result;
+  }
+
+  return {
+    export: exportTemplates,
+    import: importTemplates,
+    listBackups,
+    loadBackup
+  };
+}
+
+module.exports = { createTemplateService, parseSlots };
@@ -0,0 +1,136 @@
+/**
+ * util.js — 브릿지 모듈 공용 헬퍼
+ */
+
+const fs = require('fs');
+
+const timeNow = () => Date.now();
+const sleep = (ms)=>new Promise((resolve)=>setTimeout(resolve, ms));
+
+function httpError(status, message){
+  const err = new Error(message || 'error');
+  err.statusCode = status;
+  return err;
+}
+
+function cleanObject(obj){
+  if (!obj || typeof obj !== 'object') return obj;
+  if (Array.isArray(obj)){
+    for (let i = obj.length - 1; i >= 0; i -= 1){
+      const item = obj[i];
+      if (item && typeof item === 'object'){
+        cleanObject(item);
+        if (item && typeof item === 'object' && !Object.keys(item).length){
+          obj.splice(i, 1);
+          continue;
+        }
+      }
+      if (item === null || item === undefined || (typeof item === 'string' && item.trim() === '')){
+        obj.splice(i, 1);
+      }
+    }
+    return obj;
+  }
+  for (const key of Object.keys(obj)){
+    const value = obj[key];
+    if (value === null || value === undefined){
+      delete obj[key];
+      continue;
+    }
+    if (typeof value === 'string'){
+      const trimmed = value.trim();
+      if (!trimmed){
+        delete obj[key];
+        continue;
+      }
+      obj[key] = trimmed;
+      continue;
+    }
+    if (Array.isArray(value)){
+      cleanObject(value);
+      if (!value.length){
+        delete obj[key];
+      }
+      continue;
+    }
+    if (typeof value === 'object'){
+      cleanObject(value);
+      if (!Object.keys(value).length){
+        delete obj[key];
+      }
+    }
+  }
+  return obj;
+}
+
+function normalizeFlag(value){
+  if (value === null || value === undefined) return undefined;
+  if (typeof value === 'boolean') return value;
+  if (typeof value === 'number') return value !== 0;
+  if (typeof value === 'string'){
+    const trimmed = value.trim().toLowerCase();
+    if (!trimmed) return undefined;
+    if (['true', '1', 'yes', 'y', 'on'].includes(trimmed)) return true;
+    if (['false', '0', 'no', 'n', 'off'].includes(trimmed)) return false;
+  }
+  return Boolean(value);
+}
+
+function createToken(prefix = 'stage'){
+  const suffix = Math.random().toString(16).slice(2, 8);
+  return `${prefix}-${Date.now().toString(36)}-${suffix}`;
+}
+
+function writeJsonFileAtomic(file, data) {
+  const tmpFile = `${file}.tmp`;
+  fs.writeFileSync(tmpFile, JSON.stringify(data, null, 2));
+  fs.renameSync(tmpFile, file);
+}
+
+function withTimeout(promise, ms, fallback = null){
+  let timer = null;
+  const timeout = new Promise((resolve) => { timer = setTimeout(() => resolve(fallback), Math.max(0, ms)); });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+let crcTable = null;
+
+// IEEE CRC-32. 펌웨어 템플릿 전송 검증에 쓴다.
+function crc32(buffer){
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n += 1) {
+      let c = n;
+      for (let k = 0; k < 8; k += 1) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      crcTable[n] = c >>> 0;
+    }
+  }
+  let crc = 0xffffffff;
+  for (const byte of buffer) crc = crcTable[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  return ((crc ^ 0xffffffff) >>> 0).toString(16).padStart(8, '0');
+}
+
+function closeServer(server){
+  if (!server) return Promise.resolve();
+  return new Promise((resolve) => {
+    try {
+      server.close(() => resolve());
+      if (typeof server.closeAllConnections === 'function') server.closeAllConnections();
+    } catch (_) {
+      resolve();
+    }
+  });
+}
+
+module.exports = {
+  timeNow,
+  sleep,
+  httpError,
+  cleanObject,
+  normalizeFlag,
+  createToken,
+  writeJsonFileAtomic,
+  withTimeout,
+  crc32,
+  closeServer
+};
@@ -0,0 +1,202 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startFakeBackend, loadBridge, byType } = require('./helpers');
+
+let backend;
+let bridge;
+
+test.before(async () => {
+  backend = await startFakeBackend();
+  bridge = loadBridge({ RENDER_WSS_URL: backend.url });
+  await bridge.start();
+  await backend.waitFor(byType('LOCKDOWN_STATUS'));
+});
+
+test.after(async () => {
+  await bridge.stop();
+  await backend.close();
+});
+
+test('authenticates and tags every relayed message with site and msgId', async () => {
+  const auth = await backend.waitFor(byType('AUTH_BRIDGE'));
+  assert.equal(auth.site, 'test-site');
+  const status = await backend.waitFor(byType('LOCKDOWN_STATUS'));
+  assert.equal(status.site, 'test-site');
+  assert.match(status.msgId, /^test-site-/);
+});
+
+test('ACK messages settle the outbox', async () => {
+  const pending = backend.messages.filter((message) => message.msgId).map((message) => message.msgId);
+  backend.send({ type: 'ACK', msgIds: pending });
+  await new Promise((resolve) => setTimeout(resolve, 50));
+  const { outbox } = bridge.buildHealthPayload();
+  assert.equal(outbox.acks, 'backend');
+  assert.equal(outbox.inflight, 0);
+  assert.ok(outbox.acked >= pending.length);
+});
+
+test('PING is answered with PONG', async () => {
+  const pong = await backend.request({ type: 'PING' }, byType('PONG'));
+  assert.equal(pong.site, 'test-site');
+});
+
+test('FP_COUNT_REQUEST reports the sensor template count', async () => {
+  const result = await backend.request({ type: 'FP_COUNT_REQUEST', requestId: 'count-1' }, byType('FP_COUNT_RESULT'));
+  assert.equal(result.ok, true);
+  assert.equal(result.count, 2);
+  assert.equal(result.requestId, 'count-1');
+});
+
+test('FP_ENROLL_REQUEST stores a template and validates the sensor id', async () => {
+  const ok = await backend.request(
+    { type: 'FP_ENROLL_REQUEST', requestId: 'enroll-1', sensorId: 7 },
+    byType('FP_ENROLL_RESULT', (message) => message.requestId === 'enroll-1')
+  );
+  assert.equal(ok.ok, true);
+  assert.equal(ok.sensorId, 7);
+  assert.equal(bridge.sensor.getMockSensor().db.has(7), true);
+
+  const bad = await backend.request(
+    { type: 'FP_ENROLL_REQUEST', requestId: 'enroll-2', sensorId: 'slot-x' },
+    byType('FP_ENROLL_RESULT', (message) => message.requestId === 'enroll-2')
+  );
+  assert.equal(bad.ok, false);
+  assert.equal(bad.error, 'bad_sensor_id');
+  assert.equal(bad.code, 400);
+});
+
+test('FP_DELETE_REQUEST deletes, tolerates missing slots and replays duplicates', async () => {
+  const deleted = await backend.request(
+    { type: 'FP_DELETE_REQUEST', requestId: 'delete-1', sensorId: 7 },
+    byType('FP_DELETE_RESULT', (message) => message.requestId === 'delete-1')
+  );
+  assert.equal(deleted.ok, true);
+  assert.equal(bridge.sensor.getMockSensor().db.has(7), false);
+
+  const skipped = await backend.request(
+    { type: 'FP_DELETE_REQUEST', requestId: 'delete-2', sensorId: 42, allowMissing: true },
+    byType('FP_DELETE_RESULT', (message) => message.requestId === 'delete-2')
+  );
+  assert.equal(skipped.ok, true);
+  assert.equal(skipped.result.skipped, true);
+
+  const failed = await backend.request(
+    { type: 'FP_DELETE_REQUEST', requestId: 'delete-3', sensorId: 43 },
+    byType('FP_DELETE_RESULT', (message) => message.requestId === 'delete-3')
+  );
+  assert.equal(failed.ok, false);
+  assert.equal(failed.error, 'delete_failed');
+
+  backend.send({ type: 'ACK', msgId: deleted.msgId });
+  const replay = await backend.request(
+    { type: 'FP_DELETE_REQUEST', requestId: 'delete-1', sensorId: 7 },
+    byType('FP_DELETE_RESULT', (message) => message.requestId === 'delete-1' && message.replayOf)
+  );
+  assert.equal(replay.replayOf, deleted.msgId);
+  assert.equal(replay.ok, true);
+});
+
+test('FP_START_REQUEST runs a manual identify session until a match', async () => {
+  const started = await backend.request({ type: 'FP_START_REQUEST', timeoutMs: 5000 }, byType('FP_SESSION_STARTED'));
+  assert.ok(started.session.id);
+  const emitted = new Promise((resolve) => bridge.once('identify', resolve));
+  bridge.sensor.getMockSensor().presentSlot(1);
+  const event = await backend.waitFor(byType('FP_EVENT', (message) => message.payload?.type === 'identify' && message.payload.ok));
+  assert.equal(event.payload.id, 1);
+  assert.equal((await emitted).id, 1);
+  const { identify } = bridge.buildHealthPayload();
+  assert.equal(identify.manual.active, false);
+  assert.equal(identify.manual.reason, 'matched');
+});
+
+test('FP_STOP_REQUEST ends the session', async () => {
+  await backend.request({ type: 'FP_START_REQUEST', timeoutMs: 5000 }, byType('FP_SESSION_STARTED'));
+  const stopped = await backend.request({ type: 'FP_STOP_REQUEST', reason: 'tab_closed' }, byType('FP_SESSION_STOPPED'));
+  assert.equal(stopped.session.active, false);
+  assert.equal(stopped.session.reason, 'tab_closed');
+});
+
+test('LED_COMMAND writes the frame and reports LED_STATUS', async () => {
+  const status = await backend.request(
+    { type: 'LED_COMMAND', command: { mode: 'breathing', color: 'purple', speed: 20 } },
+    byType('LED_STATUS')
+  );
+  assert.equal(status.ok, true);
+  assert.equal(status.led.color, 'purple');
+  await new Promise((resolve) => setTimeout(resolve, 20));
+  assert.equal(bridge.sensor.getMockSensor().led.color, 'purple');
+});
+
+test('FP_STATUS_REQUEST and FP_HEALTH_REQUEST describe the bridge', async () => {
+  const status = await backend.request({ type: 'FP_STATUS_REQUEST' }, byType('FP_STATUS'));
+  assert.deepEqual(status.serial, { connected: true, path: 'mock' });
+  const health = await backend.request({ type: 'FP_HEALTH_REQUEST', requestId: 'health-1' }, byType('FP_HEALTH'));
+  assert.equal(health.ok, true);
+  assert.equal(health.status.serial.connected, true);
+  assert.equal(health.requestId, 'health-1');
+});
+
+test('FP_ALLOWLIST_SYNC caches the offline allow-list', async () => {
+  const status = await backend.request(
+    { type: 'FP_ALLOWLIST_SYNC', requestId: 'allow-1', entries: [1, { sensorId: 2, name: 'kim' }, 'bogus'] },
+    byType('FP_ALLOWLIST_STATUS')
+  );
+  assert.equal(status.ok, true);
+  assert.equal(status.count, 2);
+});
+
+test('lockdown trigger, status request and release', async () => {
+  const active = await backend.request(
+    { type: 'LOCKDOWN_TRIGGER', stage: 'drill', reason: 'test', actor: { id: 3, name: ' admin ' } },
+    byType('LOCKDOWN_STATUS', (message) => message.active)
+  );
+  assert.equal(active.stage, 'drill');
+  assert.equal(active.reason, 'test');
+  assert.deepEqual(active.meta.actor, { id: 3, name: 'admin' });
+  assert.equal(active.buzzer.active, true);
+
+  const requested = await backend.request({ type: 'LOCKDOWN_STATUS_REQUEST' }, byType('LOCKDOWN_STATUS'));
+  assert.equal(requested.active, true);
+
+  const released = await backend.request(
+    { type: 'LOCKDOWN_RELEASE', reason: 'admin_unlock', actorId: 3 },
+    byType('LOCKDOWN_STATUS', (message) => message.cleared)
+  );
+  assert.equal(released.active, false);
+  assert.equal(released.wasActive, true);
+  assert.equal(released.release.reason, 'admin_unlock');
+  assert.equal(released.buzzer.active, false);
+  await new Promise((resolve) => setTimeout(resolve, 20));
+  assert.equal(bridge.sensor.getMockSensor().buzzer.state, 'off');
+});
+
+test('FP_CLEAR_REQUEST empties the sensor', async () => {
+  const result = await backend.request({ type: 'FP_CLEAR_REQUEST', requestId: 'clear-1' }, byType('FP_CLEAR_RESULT'));
+  assert.equal(result.ok, true);
+  const count = await backend.request({ type: 'FP_COUNT_REQUEST', requestId: 'count-2' }, byType('FP_COUNT_RESULT', (message) => message.requestId === 'count-2'));
+  assert.equal(count.count, 0);
+});
+
+test('unacknowledged messages are resent after a reconnect', async () => {
+  const before = backend.messages.length;
+  const health = await backend.request({ type: 'FP_HEALTH_REQUEST', requestId: 'health-2' }, byType('FP_HEALTH', (message) => message.requestId === 'health-2'));
+  backend.dropConnections();
+  const resent = await backend.waitFor(
+    byType('FP_HEALTH', (message) => message.requestId === 'health-2'),
+    { from: before + 1, timeoutMs: 8000 }
+  );
+  assert.equal(resent.msgId, health.msgId);
+});
+
+test('metrics count identify results, sensor failures and backend reconnects', async () => {
+  const route = bridge.localApi.routes.find((entry) => entry.path.test('/metrics'));
+  assert.match(route.contentType, /^text\/plain; version=0\.0\.4/);
+  const text = await route.handler({});
+  assert.match(text, /^# TYPE fp_bridge_identify_results_total counter$/m);
+  assert.match(text, /^fp_bridge_identify_results_total\{result="match"\} [1-9]/m);
+  assert.match(text, /^fp_bridge_sensor_command_failures_total\{command="delete",code="delete_failed"\} 2$/m);
+  assert.match(text, /^fp_bridge_sensor_command_duration_seconds_count\{command="enroll",outcome="ok"\} 1$/m);
+  assert.match(text, /^fp_bridge_backend_reconnects_total [1-9]/m);
+  assert.match(text, /^fp_bridge_backend_queue_depth\{state="pending"\} \d+$/m);
+  assert.match(text, /^fp_bridge_serial_connected 1$/m);
+});
@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { withBridge, byType } = require('./helpers');
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+test('buzzer patterns, auto-silence and silencing a lockdown without releasing it', () => withBridge({
+  env: {
+    LOCKDOWN_BUZZER_SILENCE_MS: '300',
+    BUZZER_PATTERNS: JSON.stringify({ beep: { steps: [{ state: 'on', durationMs: 30 }, { state: 'off', durationMs: 30 }] } })
+  }
+}, async ({ backend, bridge }) => {
+  const { buzzerState } = bridge.indicators;
+
+  const beeping = await backend.request({ type: 'BUZZER_COMMAND', pattern: 'beep', count: 2 }, byType('BUZZER_STATUS'));
+  assert.equal(beeping.ok, true);
+  assert.equal(beeping.buzzer.pattern, 'beep');
+  assert.equal(beeping.buzzer.active, true);
+  await wait(160);
+  assert.equal(buzzerState.owner, null);
+  assert.equal(buzzerState.active, false);
+
+  const invalid = await backend.request({ type: 'BUZZER_COMMAND', pattern: 'nope' }, byType('BUZZER_STATUS', (msg) => msg.error));
+  assert.equal(invalid.error, 'bad_buzzer_command');
+
+  const idle = await backend.request({ type: 'LOCKDOWN_SILENCE', actorId: 7 }, byType('LOCKDOWN_STATUS', (msg) => msg.error));
+  assert.equal(idle.error, 'lockdown_not_active');
+  assert.equal(idle.active, false);
+
+  const active = await backend.request({ type: 'LOCKDOWN_TRIGGER', stage: 'drill', reason: 'test' }, byType('LOCKDOWN_STATUS', (msg) => msg.active));
+  assert.equal(active.buzzer.pattern, 'lockdown');
+  assert.equal(active.silenced, false);
+  const held = await backend.request({ type: 'BUZZER_COMMAND', pattern: 'warning' }, byType('BUZZER_STATUS', (msg) => msg.held !== undefined));
+  assert.equal(held.held, true);
+
+  const silenced = await backend.request(
+    { type: 'LOCKDOWN_SILENCE', actorId: 7 },
+    byType('LOCKDOWN_STATUS', (msg) => msg.silenced)
+  );
+  assert.equal(silenced.active, true);
+  assert.deepEqual(silenced.silencedBy, { id: 7 });
+  assert.equal(silenced.buzzer.active, false);
+  assert.equal(bridge.lockdown.isActive(), true);
+
+  await backend.request({ type: 'LOCKDOWN_RELEASE', reason: 'admin_unlock' }, byType('LOCKDOWN_STATUS', (msg) => msg.cleared));
+  const from = backend.messages.length;
+  await backend.request({ type: 'LOCKDOWN_TRIGGER', stage: 'drill', reason: 'again' }, byType('LOCKDOWN_STATUS', (msg) => msg.active && msg.reason === 'again'));
+  assert.equal(buzzerState.active, true);
+  const auto = await backend.waitFor(byType('LOCKDOWN_STATUS', (msg) => msg.active && msg.silenced), { from, timeoutMs: 2000 });
+  assert.equal(auto.buzzer.silencedBy, 'auto_silence');
+  assert.equal(auto.buzzer.active, false);
+}));
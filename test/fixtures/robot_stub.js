@@ -0,0 +1,33 @@
+// 로봇 미션 컨트롤러 대역: --request-id 접두어로 시나리오를 고른다.
+const readline = require('readline');
+
+const args = process.argv.slice(2);
+const argValue = (name) => {
+  const index = args.indexOf(name);
+  return index >= 0 ? args[index + 1] : null;
+};
+const requestId = argValue('--request-id') || '';
+const emit = (event) => process.stdout.write(`${JSON.stringify(event)}\n`);
+
+emit({ event: 'progress', stage: 'starting', message: 'stub start', mode: argValue('--direction') });
+
+if (requestId.startsWith('ok-')) {
+  emit({ event: 'log', level: 'info', stage: 'pick', message: 'picking' });
+  emit({ event: 'complete', status: 'success', stage: 'complete', message: 'done', args });
+  process.exit(0);
+} else if (requestId.startsWith('await-')) {
+  emit({ event: 'await_user', stage: 'handover', message: 'waiting for user', token: 'tok-1' });
+  const rl = readline.createInterface({ input: process.stdin });
+  rl.on('line', (line) => {
+    const command = JSON.parse(line);
+    emit({ event: 'await_user_done', stage: 'handover', token: command.token, message: `got ${command.command}` });
+    emit({ event: 'complete', status: 'success', stage: 'complete', message: `resumed:${command.command}` });
+    process.exit(0);
+  });
+} else if (requestId.startsWith('lockdown-')) {
+  emit({ event: 'lockdown', stage: 'vision_fail', message: 'vision mismatch', reason: 'vision_mismatch' });
+  setTimeout(() => process.exit(0), 50);
+} else {
+  process.stdout.write('not json output\n');
+  process.exit(3);
+}
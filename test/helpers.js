@@ -0,0 +1,145 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const WebSocket = require('ws');
+const { createBridge, loadConfig } = require('../fingerprint_bridge');
+
+const FAST_MOCK_SENSOR = {
+  db: [1, 2],
+  identifyWaitMs: 200,
+  latency: { open: 5, identify: 5, enrollStage: 10, delete: 5, clear: 5, count: 5, led: 1, buzzer: 1 }
+};
+
+function startFakeBackend({ acks = true, autoAck = false } = {}) {
+  const messages = [];
+  const waiters = [];
+  const sockets = new Set();
+  const server = new WebSocket.Server({ port: 0, host: '127.0.0.1' });
+
+  const notify = () => {
+    for (const waiter of [...waiters]) {
+      const found = messages.slice(waiter.from).find(waiter.predicate);
+      if (!found) continue;
+      waiters.splice(waiters.indexOf(waiter), 1);
+      clearTimeout(waiter.timer);
+      waiter.resolve(found);
+    }
+  };
+
+  server.on('connection', (ws) => {
+    sockets.add(ws);
+    ws.on('close', () => sockets.delete(ws));
+    ws.on('message', (data) => {
+      const message = JSON.parse(String(data));
+      if (message.type === 'AUTH_BRIDGE') {
+        ws.send(JSON.stringify({ type: 'AUTH_ACK', role: 'bridge', acks }));
+      }
+      if (autoAck && message.msgId) {
+        ws.send(JSON.stringify({ type: 'ACK', msgId: message.msgId }));
+      }
+      messages.push(message);
+      notify();
+    });
+  });
+
+  const backend = {
+    messages,
+    url: null,
+    send(message) {
+      for (const ws of sockets) ws.send(JSON.stringify(message));
+    },
+    waitFor(predicate, { from = 0, timeoutMs = 5000 } = {}) {
+      return new Promise((resolve, reject) => {
+        const waiter = { predicate, from, resolve, timer: null };
+        waiter.timer = setTimeout(() => {
+          waiters.splice(waiters.indexOf(waiter), 1);
+          const seen = messages.slice(from).map((message) => message.type).join(', ');
+          reject(new Error(`backend message not received (seen: ${seen || 'none'})`));
+        }, timeoutMs);
+        waiters.push(waiter);
+        notify();
+      });
+    },
+    request(message, predicate, options = {}) {
+      const from = messages.length;
+      backend.send(message);
+      return backend.waitFor(predicate, { ...options, from });
+    },
+    dropConnections() {
+      for (const ws of sockets) ws.terminate();
+    },
+    close() {
+      for (const ws of sockets) ws.terminate();
+      return new Promise((resolve) => server.close(() => resolve()));
+    }
+  };
+
+  return new Promise((resolve) => {
+    server.on('listening', () => {
+      backend.url = `ws://127.0.0.1:${server.address().port}`;
+      resolve(backend);
+    });
+  });
+}
+
+// loadBridge 가 만든 임시 디렉터리는 테스트 파일 프로세스가 끝날 때 지운다.
+// (재시작 테스트는 다음 브릿지가 앞 브릿지의 파일을 이어 쓰므로 브릿지마다 지우지 않는다.)
+const tmpDirs = new Set();
+process.once('exit', () => {
+  for (const dir of tmpDirs) fs.rmSync(dir, { recursive: true, force: true });
+});
+
+function loadBridge(env = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fp-bridge-test-'));
+  tmpDirs.add(dir);
+  const bridge = createBridge(loadConfig({
+    FINGERPRINT_PORT: 'mock',
+    MOCK_SENSOR_CONFIG: JSON.stringify(FAST_MOCK_SENSOR),
+    FP_SITE: 'test-site',
+    RAIL_DISABLED: '1',
+    LOCAL_API_DISABLED: '1',
+    OFFLINE_MODE_DISABLED: '1',
+    IDENTIFY_BACKOFF_MS: '20',
+    LOG_LEVEL: 'error',
+    BACKEND_OUTBOX_FILE: path.join(dir, 'outbox.jsonl'),
+    OFFLINE_ALLOWLIST_FILE: path.join(dir, 'allowlist.json'),
+    OFFLINE_LEDGER_FILE: path.join(dir, 'ledger.jsonl'),
+    TEMPLATE_BACKUP_DIR: path.join(dir, 'templates'),
+    SLOT_MAP_FILE: path.join(dir, 'slot_map.json'),
+    SESSION_HISTORY_FILE: path.join(dir, 'session_history.jsonl'),
+    LOCKDOWN_STATE_FILE: path.join(dir, 'lockdown_state.json'),
+    ...env
+  }));
+  bridge.tmpDir = dir;
+  return bridge;
+}
+
+const byType = (type, extra = () => true) => (message) => message.type === type && extra(message);
+
+// 가짜 백엔드에 붙은 브릿지를 띄우고 첫 LOCKDOWN_STATUS 까지 기다린 뒤 fn({ backend, bridge, restart }) 을 실행한다.
+// restart(env) 는 브릿지를 멈추고 env 를 덧붙여 새로 띄운다. onLoad 는 start() 직전에 불린다.
+async function withBridge({ env = {}, backend: backendOptions = {}, onLoad = null } = {}, fn) {
+  const backend = await startFakeBackend(backendOptions);
+  const context = { backend, bridge: null };
+  const boot = async (extraEnv = {}, { onLoad: hook = null } = {}) => {
+    const from = backend.messages.length;
+    context.bridge = loadBridge({ RENDER_WSS_URL: backend.url, ...env, ...extraEnv });
+    if (hook) await hook(context.bridge);
+    await context.bridge.start();
+    await backend.waitFor(byType('LOCKDOWN_STATUS'), { from });
+    return context.bridge;
+  };
+  context.restart = async (extraEnv, options) => {
+    await context.bridge.stop();
+    return boot(extraEnv, options);
+  };
+  try {
+    await boot({}, { onLoad });
+    return await fn(context);
+  } finally {
+    if (context.bridge) await context.bridge.stop();
+    await backend.close();
+  }
+}
+
+module.exports = { FAST_MOCK_SENSOR, startFakeBackend, loadBridge, withBridge, byType };
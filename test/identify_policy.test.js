@@ -0,0 +1,125 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { FAST_MOCK_SENSOR, withBridge, byType } = require('./helpers');
+
+test('identify policy rejects low-confidence matches and can require a confirming scan', () => withBridge({
+  env: {
+    IDENTIFY_MIN_CONFIDENCE: '80',
+    MOCK_SENSOR_CONFIG: JSON.stringify({ ...FAST_MOCK_SENSOR, confidence: [60, 60] })
+  }
+}, async ({ backend, bridge }) => {
+  const sensor = bridge.sensor.getMockSensor();
+  const identifyEvent = (predicate) => backend.waitFor(byType('FP_EVENT', (message) => predicate(message.payload || {})));
+
+  const started = await backend.request({ type: 'FP_START_REQUEST', timeoutMs: 5000 }, byType('FP_SESSION_STARTED'));
+  assert.equal(started.session.policy.minConfidence, 80);
+  const rejectedEvent = new Promise((resolve) => bridge.once('identify:rejected', resolve));
+  sensor.presentSlot(1);
+  const rejected = await identifyEvent((payload) => payload.type === 'identify_rejected');
+  assert.equal(rejected.payload.reason, 'low_confidence');
+  assert.equal(rejected.payload.id, 1);
+  assert.equal(rejected.payload.confidence, 60);
+  assert.equal((await rejectedEvent).sessionId, started.session.id);
+  assert.equal(bridge.buildHealthPayload().identify.manual.active, true);
+
+  await backend.request({ type: 'FP_START_REQUEST', timeoutMs: 5000, minConfidence: 50, requireConfirm: true }, byType('FP_SESSION_STARTED'));
+  sensor.presentSlot(2);
+  const pending = await identifyEvent((payload) => payload.type === 'identify' && payload.error === 'confirm_pending');
+  assert.equal(pending.payload.id, 2);
+  assert.equal(bridge.buildHealthPayload().identify.manual.active, true);
+  sensor.presentSlot(2);
+  const confirmed = await identifyEvent((payload) => payload.type === 'identify' && payload.ok);
+  assert.equal(confirmed.payload.id, 2);
+  assert.equal(confirmed.payload.confirmed, true);
+  const { identify } = bridge.buildHealthPayload();
+  assert.equal(identify.manual.active, false);
+  assert.equal(identify.manual.reason, 'matched');
+}));
+
+test('repeated identify failures lock identify out and escalate to lockdown', () => withBridge({
+  env: {
+    IDENTIFY_LOCKOUT_FAILURES: '2',
+    IDENTIFY_LOCKOUT_MS: '300',
+    IDENTIFY_LOCKDOWN_FAILURES: '3',
+    MOCK_SENSOR_CONFIG: JSON.stringify(FAST_MOCK_SENSOR)
+  }
+}, async ({ backend, bridge }) => {
+  const sensor = bridge.sensor.getMockSensor();
+  const noMatch = () => backend.waitFor(byType('FP_EVENT', (message) => message.payload?.error === 'no_match'), { from: backend.messages.length });
+
+  await backend.request({ type: 'FP_START_REQUEST', timeoutMs: 5000 }, byType('FP_SESSION_STARTED'));
+  sensor.presentFinger('stranger');
+  await noMatch();
+  sensor.presentFinger('stranger');
+  const locked = await backend.waitFor(byType('FP_LOCKOUT', (message) => message.active));
+  assert.equal(locked.reason, 'consecutive_failures');
+  assert.equal(locked.consecutiveFailures, 2);
+  assert.equal(bridge.indicators.ledState.color, 'red');
+  assert.equal(bridge.buildHealthPayload().identify.manual.reason, 'locked_out');
+
+  const refused = await backend.request({ type: 'FP_START_REQUEST', timeoutMs: 5000 }, byType('FP_SESSION_ERROR'));
+  assert.equal(refused.error, 'identify_locked_out');
+  assert.equal(refused.code, 423);
+
+  const cleared = await backend.waitFor(byType('FP_LOCKOUT', (message) => message.cleared));
+  assert.equal(cleared.active, false);
+  assert.equal(cleared.clearedReason, 'expired');
+
+  await backend.request({ type: 'FP_START_REQUEST', timeoutMs: 5000 }, byType('FP_SESSION_STARTED'));
+  sensor.presentFinger('stranger');
+  const lockdown = await backend.waitFor(byType('LOCKDOWN_STATUS', (message) => message.active));
+  assert.equal(lockdown.stage, 'identify_lockout');
+  assert.equal(lockdown.meta.windowFailures, 3);
+}));
+
+test('dual authorization sessions collect distinct allowed matches before completing', () => withBridge({
+  env: {
+    MOCK_SENSOR_CONFIG: JSON.stringify({ ...FAST_MOCK_SENSOR, db: [1, 2, 3] })
+  }
+}, async ({ backend, bridge }) => {
+  const sensor = bridge.sensor.getMockSensor();
+  const nextProgress = () => backend.waitFor(byType('FP_SESSION_PROGRESS'), { from: backend.messages.length });
+
+  const started = await backend.request({
+    type: 'FP_START_REQUEST',
+    requestId: 'dual-1',
+    timeoutMs: 5000,
+    roles: [{ role: 'requester', sensorIds: [1, 3] }, { role: 'duty_officer', sensorIds: [2] }]
+  }, byType('FP_SESSION_STARTED'));
+  assert.equal(started.session.required, 2);
+
+  let progress = nextProgress();
+  sensor.presentSlot(1);
+  assert.deepEqual(
+    (({ accepted, role, matched, complete }) => ({ accepted, role, matched, complete }))(await progress),
+    { accepted: true, role: 'requester', matched: 1, complete: false }
+  );
+  assert.equal(bridge.indicators.ledState.color, 'purple');
+
+  progress = nextProgress();
+  sensor.presentSlot(1);
+  assert.equal((await progress).reason, 'same_finger');
+  progress = nextProgress();
+  sensor.presentSlot(3);
+  assert.equal((await progress).reason, 'role_not_allowed');
+  assert.equal(bridge.buildHealthPayload().identify.manual.active, true);
+
+  sensor.presentSlot(2);
+  const complete = await backend.waitFor(byType('FP_SESSION_COMPLETE', (message) => message.requestId === 'dual-1'));
+  assert.equal(complete.ok, true);
+  assert.equal(complete.reason, 'completed');
+  assert.deepEqual(complete.matches.map((match) => [match.sensorId, match.role]), [[1, 'requester'], [2, 'duty_officer']]);
+
+  await backend.request({ type: 'FP_START_REQUEST', requestId: 'dual-2', timeoutMs: 3000, required: 2 }, byType('FP_SESSION_STARTED'));
+  progress = nextProgress();
+  sensor.presentSlot(3);
+  assert.equal((await progress).matched, 1);
+  // 스캔 루프가 멈춰 있어도(세션을 닫지 않는 차단) 기한이 되면 timeout 완료를 보낸다.
+  bridge.lockout.state.active = true;
+  const timedOut = await backend.waitFor(byType('FP_SESSION_COMPLETE', (message) => message.requestId === 'dual-2'), { timeoutMs: 6000 });
+  bridge.lockout.state.active = false;
+  assert.equal(timedOut.ok, false);
+  assert.equal(timedOut.reason, 'timeout');
+  assert.deepEqual(timedOut.matches.map((match) => match.sensorId), [3]);
+  assert.equal(backend.messages.filter(byType('FP_SESSION_COMPLETE')).length, 2);
+}));
@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { withBridge, byType } = require('./helpers');
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+test('LED_COMMAND plays named patterns as interruptible sequences', () => withBridge({
+  env: {
+    LED_PATTERNS: JSON.stringify({
+      blink: { steps: [{ mode: 'on', color: 'cyan', durationMs: 60 }, { mode: 'off', durationMs: 60 }], repeat: true },
+      flash: { steps: [{ mode: 'on', color: 'yellow', durationMs: 60 }], then: 'idle' }
+    })
+  }
+}, async ({ backend, bridge }) => {
+  assert.equal(bridge.indicators.patterns.match.then, 'idle');
+
+  const unknown = await backend.request({ type: 'LED_COMMAND', pattern: 'nope' }, byType('LED_STATUS'));
+  assert.equal(unknown.ok, false);
+  assert.equal(unknown.error, 'bad_led_command');
+
+  const started = await backend.request({ type: 'LED_COMMAND', pattern: 'blink' }, byType('LED_STATUS', (msg) => msg.ok));
+  assert.equal(started.led.pattern, 'blink');
+  assert.equal(started.led.color, 'cyan');
+  await wait(90);
+  assert.equal(bridge.indicators.ledState.mode, 'off');
+  await wait(60);
+  assert.equal(bridge.indicators.ledState.color, 'cyan');
+  assert.equal(bridge.indicators.sequenceActive(), true);
+
+  // 새 명령은 반복 중인 시퀀스를 끊는다.
+  await backend.request({ type: 'LED_COMMAND', command: { mode: 'on', color: 'green' } }, byType('LED_STATUS', (msg) => msg.led.color === 'green'));
+  assert.equal(bridge.indicators.sequenceActive(), false);
+  await wait(150);
+  assert.equal(bridge.indicators.ledState.color, 'green');
+
+  // queue 로 보낸 명령은 재생 중인 시퀀스가 끝난 뒤에 적용된다.
+  bridge.indicators.applyLedCommand('flash');
+  bridge.indicators.applyLedCommand({ mode: 'on', color: 'white' }, { queue: true });
+  assert.equal(bridge.indicators.ledState.color, 'yellow');
+  await wait(100);
+  assert.equal(bridge.indicators.ledState.color, 'white');
+  assert.equal(bridge.indicators.sequenceActive(), false);
+}));
+
+test('higher-priority LED owners hold the output until they release it', () => withBridge({}, async ({ backend, bridge }) => {
+  const { indicators } = bridge;
+
+  await backend.request({ type: 'LED_COMMAND', command: { mode: 'on', color: 'cyan' } }, byType('LED_STATUS'));
+  await backend.request({ type: 'FP_START_REQUEST', timeoutMs: 5000 }, byType('FP_SESSION_STARTED'));
+  assert.equal(indicators.ledState.owner, 'identify');
+  assert.equal(indicators.ledState.pattern, 'scanning');
+
+  await backend.request({ type: 'LOCKDOWN_TRIGGER', stage: 'drill', reason: 'test' }, byType('LOCKDOWN_STATUS', (msg) => msg.active));
+  assert.equal(indicators.ledState.owner, 'lockdown');
+  const held = await backend.request({ type: 'LED_COMMAND', command: { mode: 'on', color: 'white' } }, byType('LED_STATUS', (msg) => msg.led.owner === 'lockdown'));
+  assert.equal(held.held, true);
+
+  // 락다운 중에 세션이 끝나도 LED 를 끄지 않는다.
+  await backend.request({ type: 'FP_STOP_REQUEST', reason: 'tab_closed' }, byType('FP_SESSION_STOPPED'));
+  assert.equal(indicators.ledState.owner, 'lockdown');
+  assert.equal(indicators.ledState.pattern, 'lockdown');
+
+  await backend.request({ type: 'LOCKDOWN_RELEASE', reason: 'admin_unlock' }, byType('LOCKDOWN_STATUS', (msg) => msg.cleared));
+  assert.equal(indicators.ledState.owner, 'backend');
+  assert.equal(indicators.ledState.color, 'white');
+  assert.equal(indicators.buzzerState.active, false);
+
+  await backend.request({ type: 'LED_COMMAND', release: true }, byType('LED_STATUS', (msg) => msg.released));
+  assert.equal(indicators.ledState.owner, null);
+  assert.equal(indicators.ledState.pattern, 'idle');
+}));
+
+test('LED and buzzer requests are refused without a claim while the serial port is closed', () => withBridge({}, async ({ backend, bridge }) => {
+  await bridge.sensor.close();
+  const led = await backend.request({ type: 'LED_COMMAND', command: { mode: 'on', color: 'white' } }, byType('LED_STATUS'));
+  assert.equal(led.ok, false);
+  assert.equal(led.error, 'serial_not_ready');
+  assert.deepEqual(bridge.indicators.ledOwners(), []);
+
+  const buzzer = await backend.request({ type: 'BUZZER_COMMAND', pattern: 'warning' }, byType('BUZZER_STATUS'));
+  assert.equal(buzzer.ok, false);
+  assert.equal(buzzer.error, 'serial_not_ready');
+  assert.equal(bridge.indicators.buzzerState.owner, null);
+}));
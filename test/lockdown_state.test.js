@@ -0,0 +1,127 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { withBridge, byType } = require('./helpers');
+
+test('an active lockdown is restored with its buzzer after a bridge restart', () => withBridge({}, async ({ backend, bridge, restart }) => {
+  const stateFile = path.join(bridge.tmpDir, 'lockdown_state.json');
+  await backend.request({ type: 'LOCKDOWN_TRIGGER', stage: 'drill', reason: 'intrusion' }, byType('LOCKDOWN_STATUS', (msg) => msg.active));
+  const saved = JSON.parse(fs.readFileSync(stateFile, 'utf8'));
+  assert.equal(saved.active, true);
+  assert.equal(saved.reason, 'intrusion');
+
+  const from = backend.messages.length;
+  bridge = await restart({ LOCKDOWN_STATE_FILE: stateFile });
+  const resumed = await backend.waitFor(byType('LOCKDOWN_STATUS', (msg) => msg.resumedAfterRestart), { from });
+  assert.equal(resumed.active, true);
+  assert.equal(resumed.stage, 'drill');
+  assert.equal(resumed.triggeredAt, saved.triggeredAt);
+  assert.ok(resumed.resumedAt >= saved.triggeredAt);
+  assert.equal(bridge.lockdown.isActive(), true);
+  assert.equal(bridge.indicators.buzzerState.owner, 'lockdown');
+  await new Promise((resolve) => setTimeout(resolve, 50));
+  assert.equal(bridge.sensor.getMockSensor().buzzer.state, 'on');
+
+  await backend.request({ type: 'LOCKDOWN_RELEASE', reason: 'admin_unlock' }, byType('LOCKDOWN_STATUS', (msg) => msg.cleared));
+  assert.equal(JSON.parse(fs.readFileSync(stateFile, 'utf8')).active, false);
+}));
+
+test('a lockdown silenced before a restart stays silent without muting other buzzer owners', () => withBridge({}, async ({ backend, bridge, restart }) => {
+  const stateFile = path.join(bridge.tmpDir, 'lockdown_state.json');
+  await backend.request({ type: 'LOCKDOWN_TRIGGER', stage: 'drill', reason: 'intrusion' }, byType('LOCKDOWN_STATUS', (msg) => msg.active));
+  await backend.request({ type: 'LOCKDOWN_SILENCE', actorId: 3 }, byType('LOCKDOWN_STATUS', (msg) => msg.silenced));
+
+  const from = backend.messages.length;
+  bridge = await restart({ LOCKDOWN_STATE_FILE: stateFile }, { onLoad: (next) => next.indicators.claimBuzzer('identify', 'siren') });
+  const resumed = await backend.waitFor(byType('LOCKDOWN_STATUS', (msg) => msg.resumedAfterRestart), { from });
+  assert.equal(resumed.active, true);
+  assert.deepEqual(resumed.silencedBy, { id: 3 });
+  assert.equal(bridge.indicators.buzzerState.owner, 'identify');
+  assert.equal(bridge.indicators.buzzerState.pattern, 'siren');
+}));
+
+test('lockdown levels escalate on a timer and can be lowered by LOCKDOWN_RELEASE', () => withBridge({
+  env: {
+    LOCKDOWN_LEVELS: JSON.stringify([
+      { name: 'alert', buzzer: 'warning', escalateAfterMs: 150 },
+      { name: 'restricted', buzzer: 'intermittent', abortRobot: true, disableIdentify: true },
+      { name: 'full', buzzer: 'lockdown', rail: true, abortRobot: true }
+    ])
+  }
+}, async ({ backend, bridge }) => {
+  const bad = await backend.request({ type: 'LOCKDOWN_TRIGGER', level: 'panic' }, byType('LOCKDOWN_STATUS', (msg) => msg.error));
+  assert.equal(bad.error, 'bad_lockdown_level');
+  assert.equal(bad.active, false);
+
+  const alert = await backend.request({ type: 'LOCKDOWN_TRIGGER', stage: 'alert', reason: 'motion' }, byType('LOCKDOWN_STATUS', (msg) => msg.active));
+  assert.equal(alert.level, 'alert');
+  assert.deepEqual(alert.levels, ['alert', 'restricted', 'full']);
+  assert.equal(alert.buzzer.pattern, 'warning');
+  assert.ok(alert.escalateAt >= alert.levelChangedAt + 150);
+
+  const escalated = await backend.waitFor(byType('LOCKDOWN_STATUS', (msg) => msg.escalated), { timeoutMs: 2000 });
+  assert.equal(escalated.level, 'restricted');
+  assert.equal(escalated.previousLevel, 'alert');
+  assert.equal(escalated.escalateAt, null);
+  assert.equal(bridge.indicators.buzzerState.pattern, 'intermittent');
+  const refused = await backend.request({ type: 'FP_START_REQUEST', timeoutMs: 5000 }, byType('FP_SESSION_ERROR'));
+  assert.equal(refused.error, 'identify_disabled_lockdown');
+
+  const full = await backend.request({ type: 'LOCKDOWN_TRIGGER', level: 'full' }, byType('LOCKDOWN_STATUS', (msg) => msg.level === 'full'));
+  assert.equal(full.previousLevel, 'restricted');
+  assert.equal(full.buzzer.pattern, 'lockdown');
+
+  const downgrade = await backend.request({ type: 'LOCKDOWN_TRIGGER', level: 'alert' }, byType('LOCKDOWN_STATUS', (msg) => msg.error));
+  assert.equal(downgrade.error, 'lockdown_downgrade_rejected');
+  assert.equal(downgrade.level, 'full');
+  const notLower = await backend.request({ type: 'LOCKDOWN_RELEASE', level: 'full' }, byType('LOCKDOWN_STATUS', (msg) => msg.error));
+  assert.equal(notLower.error, 'lockdown_level_not_lower');
+  assert.equal(notLower.active, true);
+  assert.equal(bridge.lockdown.level(), 'full');
+
+  const allowed = await backend.request({ type: 'LOCKDOWN_TRIGGER', level: 'restricted', allowDowngrade: true }, byType('LOCKDOWN_STATUS', (msg) => msg.level === 'restricted'));
+  assert.equal(allowed.previousLevel, 'full');
+
+  const lowered = await backend.request({ type: 'LOCKDOWN_RELEASE', level: 'alert', reason: 'contained' }, byType('LOCKDOWN_STATUS', (msg) => msg.deescalated));
+  assert.equal(lowered.active, true);
+  assert.equal(lowered.level, 'alert');
+  assert.equal(lowered.previousLevel, 'restricted');
+  assert.equal(bridge.lockdown.identifyDisabled(), false);
+
+  const released = await backend.request({ type: 'LOCKDOWN_RELEASE', reason: 'admin_unlock' }, byType('LOCKDOWN_STATUS', (msg) => msg.cleared));
+  assert.equal(released.active, false);
+  assert.equal(released.level, null);
+  await new Promise((resolve) => setTimeout(resolve, 200));
+  assert.equal(bridge.lockdown.isActive(), false);
+}));
+
+test('re-triggering the same level and lowering it keep the silence and the escalation schedule', () => withBridge({
+  env: {
+    LOCKDOWN_LEVELS: JSON.stringify([
+      { name: 'alert', buzzer: 'warning', escalateAfterMs: 150 },
+      { name: 'restricted', buzzer: 'warning', escalateAfterMs: 150 },
+      { name: 'full', buzzer: 'lockdown' }
+    ])
+  }
+}, async ({ backend, bridge }) => {
+  const alert = await backend.request({ type: 'LOCKDOWN_TRIGGER', level: 'alert', reason: 'motion' }, byType('LOCKDOWN_STATUS', (msg) => msg.active));
+  await backend.request({ type: 'LOCKDOWN_SILENCE', actorId: 4 }, byType('LOCKDOWN_STATUS', (msg) => msg.silenced));
+  const repeated = await backend.request({ type: 'LOCKDOWN_TRIGGER', level: 'alert', reason: 'motion_again' }, byType('LOCKDOWN_STATUS', (msg) => msg.repeated));
+  assert.equal(repeated.reason, 'motion_again');
+  assert.equal(repeated.escalateAt, alert.escalateAt);
+  assert.equal(repeated.levelChangedAt, alert.levelChangedAt);
+  assert.equal(repeated.silenced, true);
+
+  const escalated = await backend.waitFor(byType('LOCKDOWN_STATUS', (msg) => msg.escalated), { timeoutMs: 2000 });
+  assert.equal(escalated.level, 'restricted');
+  assert.equal(escalated.silenced, true);
+
+  const lowered = await backend.request({ type: 'LOCKDOWN_RELEASE', level: 'alert', reason: 'contained' }, byType('LOCKDOWN_STATUS', (msg) => msg.deescalated));
+  assert.equal(lowered.level, 'alert');
+  assert.equal(lowered.escalateAt, null);
+  assert.equal(lowered.silenced, true);
+  await new Promise((resolve) => setTimeout(resolve, 400));
+  assert.equal(bridge.lockdown.level(), 'alert');
+  assert.equal(bridge.indicators.buzzerState.silenced, true);
+}));
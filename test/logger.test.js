@@ -0,0 +1,53 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createLogger, formatArgs } = require('../lib/logger');
+
+const readLines = (file) => fs.readFileSync(file, 'utf8').trim().split('\n').map((line) => JSON.parse(line));
+
+test('formatArgs joins words, spreads objects and lifts the [tag] into component', () => {
+  const { msg, fields } = formatArgs(['[outbox] ack timeout;', 'resending', { count: 3 }, new Error('boom')]);
+  assert.equal(msg, 'ack timeout; resending boom');
+  assert.deepEqual(fields, { component: 'outbox', count: 3, error: 'boom' });
+});
+
+test('entries carry site and correlation ids from child loggers and async context', async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fp-log-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const file = path.join(dir, 'bridge.log');
+  const logger = createLogger({ level: 'debug', console: false, file, fields: { site: 'site-a' } });
+
+  logger.child({ jobId: 4, requestId: 'r-1' }).info('robot job accepted', { action: 'dispatch' });
+  await logger.runWithContext({ requestId: 'r-2' }, async () => {
+    await new Promise((resolve) => setImmediate(resolve));
+    logger.child({ sessionId: 7 }).warn('identify result');
+  });
+  logger.debug('plain');
+
+  const [job, session, plain] = readLines(file);
+  assert.equal(job.site, 'site-a');
+  assert.equal(job.requestId, 'r-1');
+  assert.equal(job.jobId, 4);
+  assert.equal(job.action, 'dispatch');
+  assert.equal(session.level, 'warn');
+  assert.equal(session.requestId, 'r-2');
+  assert.equal(session.sessionId, 7);
+  assert.equal(plain.requestId, undefined);
+});
+
+test('the file sink rotates by size and keeps at most maxFiles old files', (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fp-log-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const file = path.join(dir, 'bridge.log');
+  const logger = createLogger({ console: false, file, maxBytes: 200, maxFiles: 2, fields: { site: 's' } });
+  for (let index = 0; index < 20; index += 1) {
+    logger.info('line', { index });
+  }
+  const files = fs.readdirSync(dir).sort();
+  assert.ok(files.includes('bridge.log'));
+  assert.equal(files.length, 3);
+  assert.ok(fs.statSync(file).size <= 200);
+  assert.equal(readLines(file).at(-1).index, 19);
+});
@@ -0,0 +1,27 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { withBridge, byType } = require('./helpers');
+
+const writeLedger = (bridge) => {
+  const entries = [1, 2].map((seq) => ({ seq, at: seq, site: 'test-site', action: 'identify', authorized: true }));
+  fs.writeFileSync(path.join(bridge.tmpDir, 'ledger.jsonl'), entries.map((entry) => `${JSON.stringify(entry)}\n`).join(''));
+};
+
+test('the offline ledger is kept until its OFFLINE_LEDGER_SYNC messages are acked', () => withBridge({
+  env: { OFFLINE_MODE_DISABLED: '0' },
+  onLoad: writeLedger
+}, async ({ backend, bridge }) => {
+  const ledgerFile = path.join(bridge.tmpDir, 'ledger.jsonl');
+  const sync = await backend.waitFor(byType('OFFLINE_LEDGER_SYNC'));
+  assert.deepEqual(sync.entries.map((entry) => entry.seq), [1, 2]);
+  assert.equal(fs.existsSync(ledgerFile), true);
+  assert.equal(bridge.offline.snapshot().ledger.pending, 2);
+
+  backend.send({ type: 'ACK', msgId: sync.msgId });
+  await new Promise((resolve) => setTimeout(resolve, 100));
+  assert.equal(fs.existsSync(ledgerFile), false);
+  assert.equal(bridge.offline.snapshot().ledger.pending, 0);
+  assert.ok(bridge.offline.snapshot().ledger.lastReconciledAt);
+}));
@@ -0,0 +1,98 @@
+const path = require('path');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startFakeBackend, loadBridge, byType } = require('./helpers');
+
+let backend;
+let bridge;
+
+const finalFor = (requestId) => byType('ROBOT_EVENT', (message) => message.requestId === requestId && message.final);
+
+test.before(async () => {
+  backend = await startFakeBackend();
+  bridge = loadBridge({
+    RENDER_WSS_URL: backend.url,
+    PYTHON_BIN: process.execPath,
+    ROBOT_SCRIPT: path.join(__dirname, 'fixtures', 'robot_stub.js')
+  });
+  await bridge.start();
+  await backend.waitFor(byType('LOCKDOWN_STATUS'));
+});
+
+test.after(async () => {
+  await bridge.stop();
+  await backend.close();
+});
+
+test('ROBOT_EXECUTE relays accepted, progress and final events', async () => {
+  const final = await backend.request(
+    { type: 'ROBOT_EXECUTE', requestId: 'ok-1', payload: { requestId: 'ok-1', mode: 'dispatch', locker: 'L-2' } },
+    finalFor('ok-1')
+  );
+  assert.equal(final.job.status, 'succeeded');
+  assert.equal(final.job.result.args.includes('--mission'), true);
+
+  const events = backend.messages.filter(byType('ROBOT_EVENT', (message) => message.requestId === 'ok-1'));
+  const statuses = events.map((message) => message.job?.status);
+  assert.ok(statuses.includes('accepted'));
+  assert.ok(statuses.includes('progress'));
+  assert.ok(statuses.includes('success'));
+});
+
+test('ROBOT_EXECUTE without a request id is rejected', async () => {
+  const error = await backend.request(
+    { type: 'ROBOT_EXECUTE', requestId: 'relay-1', payload: { mode: 'dispatch' } },
+    byType('ROBOT_EVENT', (message) => message.requestId === 'relay-1')
+  );
+  assert.equal(error.error, 'missing_request_id');
+});
+
+test('ROBOT_INTERACTION resumes a job waiting for the user', async () => {
+  backend.send({ type: 'ROBOT_EXECUTE', requestId: 'await-1', payload: { requestId: 'await-1', mode: 'return' } });
+  await backend.waitFor(byType('ROBOT_EVENT', (message) => message.requestId === 'await-1' && message.job?.progress?.event === 'await_user'));
+  const final = await backend.request(
+    { type: 'ROBOT_INTERACTION', requestId: 'await-1', action: 'resume', stage: 'handover' },
+    finalFor('await-1')
+  );
+  assert.equal(final.job.status, 'succeeded');
+  assert.equal(final.job.message, 'resumed:resume');
+});
+
+test('ROBOT_INTERACTION for an unknown job reports interaction_job_missing', async () => {
+  const error = await backend.request(
+    { type: 'ROBOT_INTERACTION', requestId: 'nope', action: 'resume' },
+    byType('ROBOT_EVENT', (message) => message.requestId === 'nope')
+  );
+  assert.equal(error.error, 'interaction_job_missing');
+});
+
+test('a robot lockdown event activates the lockdown and fails the job', async () => {
+  const final = await backend.request(
+    { type: 'ROBOT_EXECUTE', requestId: 'lockdown-1', payload: { requestId: 'lockdown-1', mode: 'dispatch' } },
+    finalFor('lockdown-1')
+  );
+  assert.equal(final.job.status, 'failed');
+  assert.equal(final.job.error, 'vision_mismatch');
+  const lockdown = bridge.lockdown.snapshot();
+  assert.equal(lockdown.active, true);
+  assert.equal(lockdown.stage, 'vision_fail');
+  assert.equal(lockdown.meta.requestId, 'lockdown-1');
+  assert.equal(bridge.lockdown.clear({ reason: 'test_cleanup' }), true);
+});
+
+test('a script exiting without a completion event fails the job', async () => {
+  const final = await backend.request(
+    { type: 'ROBOT_EXECUTE', requestId: 'crash-1', payload: { requestId: 'crash-1' } },
+    finalFor('crash-1')
+  );
+  assert.equal(final.job.status, 'failed');
+  assert.match(final.job.error, /3$/);
+});
+
+test('handleRobotStdout keeps unparseable lines in the job log', () => {
+  const job = { logs: [] };
+  bridge.robot.handleStdout(job, 'plain text');
+  assert.equal(job.logs.length, 1);
+  assert.equal(job.logs[0].type, 'stdout');
+  assert.ok(job.logs[0].error);
+});
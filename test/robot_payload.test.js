@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { summarizeRobotPayload, buildRobotScriptArgs, parseMissionNumber } = require('../lib/robot_payload');
+
+test('parseMissionNumber folds locker numbers onto the two missions', () => {
+  assert.equal(parseMissionNumber(null), 1);
+  assert.equal(parseMissionNumber(undefined, 2), 2);
+  assert.equal(parseMissionNumber(1), 1);
+  assert.equal(parseMissionNumber(2), 2);
+  assert.equal(parseMissionNumber(3), 1);
+  assert.equal(parseMissionNumber(4), 2);
+  assert.equal(parseMissionNumber('locker-2'), 2);
+  assert.equal(parseMissionNumber('A12'), 2);
+  assert.equal(parseMissionNumber('   '), 1);
+  assert.equal(parseMissionNumber('none', 2), 2);
+});
+
+test('summarizeRobotPayload describes a dispatch with firearm and ammo', () => {
+  const summary = summarizeRobotPayload({
+    requestId: 41,
+    type: 'DISPATCH',
+    site: 'site-01',
+    dispatch: {
+      firearm: { code: 'K2-0001', locker: 'L-2' },
+      ammo: [{ caliber: '5.56mm', qty: 30 }, { caliber: '9mm', qty: 15 }]
+    }
+  });
+  assert.equal(summary.requestId, 41);
+  assert.equal(summary.action, 'dispatch');
+  assert.equal(summary.actionLabel, '불출');
+  assert.deepEqual(summary.includes, { firearm: true, ammo: true, label: '총기+탄약' });
+  assert.equal(summary.firearmCode, 'K2-0001');
+  assert.equal(summary.locker, 'L-2');
+  assert.equal(summary.ammoSummary, '5.56mm×30, 9mm×15');
+  assert.equal(summary.ammoCount, 45);
+  assert.equal(summary.site, 'site-01');
+});
+
+test('summarizeRobotPayload resolves returns and merges bridgePayload', () => {
+  const summary = summarizeRobotPayload({
+    mode: 'dispatch',
+    bridgePayload: { mode: 'return', includes: { firearm: true, ammo: false } }
+  });
+  assert.equal(summary.action, 'return');
+  assert.equal(summary.actionLabel, '불입');
+  assert.deepEqual(summary.includes, { firearm: true, ammo: false, label: '총기' });
+  assert.equal(summarizeRobotPayload(null), null);
+  assert.equal(summarizeRobotPayload('text'), null);
+});
+
+test('buildRobotScriptArgs maps the payload onto mission controller flags', () => {
+  const payload = {
+    requestId: 'req-9',
+    mode: 'dispatch',
+    locker: 'locker-2',
+    firearmSerial: 'K2-0001',
+    includesAmmo: 'yes',
+    site: 'site-01'
+  };
+  assert.deepEqual(buildRobotScriptArgs(payload, summarizeRobotPayload(payload)), [
+    '--bridge-mode', '--auto',
+    '--direction', 'out',
+    '--mission-label', 'locker-2',
+    '--mission', '2',
+    '--expected-qr', 'K2-0001',
+    '--with-mag',
+    '--request-id', 'req-9',
+    '--site', 'site-01'
+  ]);
+});
+
+test('buildRobotScriptArgs defaults to mission 1 and reads return direction', () => {
+  const args = buildRobotScriptArgs({ direction: '불입' });
+  assert.deepEqual(args, ['--bridge-mode', '--auto', '--direction', 'in', '--mission', '1']);
+});
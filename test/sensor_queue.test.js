@@ -0,0 +1,110 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { FAST_MOCK_SENSOR, withBridge, byType } = require('./helpers');
+const { resolvePriority, PRIORITIES } = require('../lib/command_queue');
+
+test('sensor commands queue by priority, report positions and can be cancelled', () => withBridge({
+  env: {
+    MOCK_SENSOR_CONFIG: JSON.stringify({ ...FAST_MOCK_SENSOR, latency: { ...FAST_MOCK_SENSOR.latency, enrollStage: 80 } })
+  }
+}, async ({ backend, bridge }) => {
+  const queued = (requestId, position) => byType('FP_COMMAND_QUEUED', (message) => message.requestId === requestId && message.position === position);
+
+  backend.send({ type: 'FP_ENROLL_REQUEST', requestId: 'q-enroll', sensorId: 5 });
+  const countQueued = await backend.request({ type: 'FP_COUNT_REQUEST', requestId: 'q-count' }, queued('q-count', 1));
+  assert.equal(countQueued.running, 'enroll');
+  assert.equal(countQueued.command, 'count');
+
+  backend.send({ type: 'FP_DELETE_REQUEST', requestId: 'q-delete', sensorId: 2 });
+  await backend.waitFor(queued('q-delete', 1));
+  await backend.waitFor(queued('q-count', 2));
+  assert.deepEqual(bridge.sensor.snapshotCommand().queued.map((item) => item.requestId), ['q-delete', 'q-count']);
+
+  const cancelled = await backend.request({ type: 'FP_COMMAND_CANCEL', requestId: 'q-count' }, byType('FP_COMMAND_CANCELLED'));
+  assert.equal(cancelled.ok, true);
+  assert.equal(cancelled.state, 'queued');
+  const countResult = await backend.waitFor(byType('FP_COUNT_RESULT', (message) => message.requestId === 'q-count'));
+  assert.equal(countResult.error, 'command_cancelled');
+  assert.equal(countResult.code, 409);
+
+  const enrolled = await backend.waitFor(byType('FP_ENROLL_RESULT', (message) => message.requestId === 'q-enroll'));
+  const deleted = await backend.waitFor(byType('FP_DELETE_RESULT', (message) => message.requestId === 'q-delete'));
+  assert.equal(enrolled.ok, true);
+  assert.equal(deleted.ok, true);
+  assert.ok(backend.messages.indexOf(enrolled) < backend.messages.indexOf(deleted));
+  assert.deepEqual([...bridge.sensor.getMockSensor().db.keys()].sort(), [1, 5]);
+}));
+
+test('enrollment streams stage progress and can be cancelled mid-way', () => withBridge({
+  env: {
+    MOCK_SENSOR_CONFIG: JSON.stringify({ ...FAST_MOCK_SENSOR, autoEnrollFinger: false, enrollWaitMs: 5000 })
+  }
+}, async ({ backend, bridge }) => {
+  const sensor = bridge.sensor.getMockSensor();
+  const progress = (requestId, stage) => byType('FP_ENROLL_PROGRESS', (message) => message.requestId === requestId && message.stage === stage);
+
+  backend.send({ type: 'FP_ENROLL_REQUEST', requestId: 'e-ok', sensorId: 8 });
+  await backend.waitFor(progress('e-ok', 'place_finger'));
+  sensor.presentFinger('finger-8');
+  await backend.waitFor(progress('e-ok', 'place_again'));
+  sensor.presentFinger('finger-8');
+  const result = await backend.waitFor(byType('FP_ENROLL_RESULT', (message) => message.requestId === 'e-ok'));
+  assert.equal(result.ok, true);
+  const steps = backend.messages.filter(byType('FP_ENROLL_PROGRESS', (message) => message.requestId === 'e-ok'));
+  assert.deepEqual(steps.map((message) => message.step), [1, 2, 3, 4, 5]);
+  assert.ok(steps.every((message) => message.sensorId === 8 && message.totalSteps === 5));
+  assert.ok(sensor.commandLog.some((command) => command.cmd === 'led' && command.color === 'green'));
+
+  backend.send({ type: 'FP_ENROLL_REQUEST', requestId: 'e-cancel', sensorId: 9 });
+  await backend.waitFor(progress('e-cancel', 'place_finger'));
+  const cancelled = await backend.request({ type: 'FP_ENROLL_CANCEL', requestId: 'e-cancel' }, byType('FP_ENROLL_CANCELLED'));
+  assert.equal(cancelled.ok, true);
+  assert.equal(cancelled.state, 'running');
+  assert.equal(cancelled.sensorId, 9);
+  const failed = await backend.waitFor(byType('FP_ENROLL_RESULT', (message) => message.requestId === 'e-cancel'));
+  assert.equal(failed.error, 'enroll_cancelled');
+  assert.equal(failed.code, 409);
+  assert.equal(sensor.db.has(9), false);
+  assert.equal(sensor.commandLog.filter((command) => command.cmd === 'cancel').length, 1);
+}));
+
+test('enrollment rejects a finger that is already stored unless duplicates are allowed', () => withBridge({
+  env: {
+    MOCK_SENSOR_CONFIG: JSON.stringify({ ...FAST_MOCK_SENSOR, autoEnrollFinger: false, enrollWaitMs: 5000 })
+  }
+}, async ({ backend, bridge }) => {
+  const sensor = bridge.sensor.getMockSensor();
+  const placeFinger = (requestId) => backend.waitFor(byType('FP_ENROLL_PROGRESS', (message) => message.requestId === requestId && message.stage === 'place_finger'));
+  const resultFor = (requestId) => backend.waitFor(byType('FP_ENROLL_RESULT', (message) => message.requestId === requestId));
+
+  backend.send({ type: 'FP_ENROLL_REQUEST', requestId: 'dup-reject', sensorId: 6 });
+  await placeFinger('dup-reject');
+  sensor.presentFinger('finger-2');
+  const rejected = await resultFor('dup-reject');
+  assert.equal(rejected.ok, false);
+  assert.equal(rejected.error, 'duplicate_finger');
+  assert.equal(rejected.code, 409);
+  assert.equal(rejected.duplicate.sensorId, 2);
+  assert.equal(rejected.duplicate.action, 'rejected');
+  assert.ok(rejected.duplicate.confidence > 0);
+  assert.equal(sensor.db.has(6), false);
+
+  backend.send({ type: 'FP_ENROLL_REQUEST', requestId: 'dup-warn', sensorId: 6, allowDuplicate: true });
+  await placeFinger('dup-warn');
+  sensor.presentFinger('finger-2');
+  await backend.waitFor(byType('FP_ENROLL_PROGRESS', (message) => message.requestId === 'dup-warn' && message.stage === 'place_again'));
+  sensor.presentFinger('finger-2');
+  const warned = await resultFor('dup-warn');
+  assert.equal(warned.ok, true);
+  assert.deepEqual(warned.duplicate, { sensorId: 2, confidence: warned.duplicate.confidence, action: 'warned' });
+  assert.equal(sensor.db.get(6), 'finger-2');
+}));
+
+test('external priorities are clamped to high..low and cannot use the idle level', () => {
+  assert.equal(resolvePriority(-5), PRIORITIES.high);
+  assert.equal(resolvePriority(1e9), PRIORITIES.low);
+  assert.equal(resolvePriority(15), 15);
+  assert.equal(resolvePriority('idle'), PRIORITIES.normal);
+  assert.equal(resolvePriority('idle', 'high'), PRIORITIES.high);
+  assert.equal(resolvePriority('LOW'), PRIORITIES.low);
+});
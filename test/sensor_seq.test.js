@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { FAST_MOCK_SENSOR, loadBridge } = require('./helpers');
+
+function slowCountBridge(mock = {}) {
+  return loadBridge({
+    MOCK_SENSOR_CONFIG: JSON.stringify({ ...FAST_MOCK_SENSOR, latency: { ...FAST_MOCK_SENSOR.latency, count: 150 }, ...mock })
+  });
+}
+
+async function countWithStrayLines(bridge) {
+  const sensor = bridge.sensor.getMockSensor();
+  const pending = bridge.sensor.count();
+  await new Promise((resolve) => setTimeout(resolve, 30));
+  sensor.emitLine({ type: 'identify', ok: false, error: 'no_match' });
+  sensor.emitLine({ type: 'led', ok: false, error: 'led_failed' });
+  return pending;
+}
+
+test('responses are matched by the echoed seq', async () => {
+  const bridge = slowCountBridge();
+  try {
+    await bridge.start();
+    const sensor = bridge.sensor.getMockSensor();
+    sensor.once('command', () => setImmediate(() => sensor.emitLine({ type: 'count', ok: false, error: 'count_failed', seq: 60000 })));
+    const result = await countWithStrayLines(bridge);
+    assert.equal(result.count, 2);
+    assert.equal(typeof result.seq, 'number');
+    assert.equal(bridge.sensor.snapshot().seqEcho, true);
+  } finally {
+    await bridge.stop();
+  }
+});
+
+test('firmware without seq echo falls back to matching by type', async () => {
+  const bridge = slowCountBridge({ echoSeq: false });
+  try {
+    await bridge.start();
+    const result = await countWithStrayLines(bridge);
+    assert.equal(result.count, 2);
+    assert.equal(result.seq, undefined);
+    assert.equal(bridge.sensor.snapshot().seqEcho, false);
+  } finally {
+    await bridge.stop();
+  }
+});
@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { FAST_MOCK_SENSOR, withBridge, byType } = require('./helpers');
+
+test('identify sessions are audited and survive a bridge restart', () => withBridge({
+  env: { MOCK_SENSOR_CONFIG: JSON.stringify(FAST_MOCK_SENSOR) }
+}, async ({ backend, bridge, restart }) => {
+  const historyFile = path.join(bridge.tmpDir, 'session_history.jsonl');
+  const sensor = bridge.sensor.getMockSensor();
+
+  await backend.request({ type: 'FP_START_REQUEST', requestId: 'audit-1', timeoutMs: 5000, actor: { id: 'officer-7' } }, byType('FP_SESSION_STARTED'));
+  sensor.presentFinger('stranger');
+  await backend.waitFor(byType('FP_EVENT', (message) => message.payload?.error === 'no_match'));
+  sensor.presentSlot(1);
+  await backend.waitFor(byType('FP_EVENT', (message) => message.payload?.type === 'identify' && message.payload.ok));
+
+  const history = await backend.request({ type: 'FP_SESSION_HISTORY', requestId: 'h-1', sessionRequestId: 'audit-1' }, byType('FP_SESSION_HISTORY_RESULT'));
+  assert.equal(history.ok, true);
+  assert.equal(history.total, 1);
+  const [session] = history.sessions;
+  assert.equal(session.stopReason, 'matched');
+  assert.equal(session.trigger.source, 'backend');
+  assert.equal(session.trigger.type, 'FP_START_REQUEST');
+  assert.deepEqual(session.trigger.actor, { id: 'officer-7' });
+  assert.equal(session.trigger.request, undefined);
+  assert.match(session.sessionId, /^test-site-[0-9a-z]+-\d+$/);
+  assert.equal(bridge.history.query({ sessionId: session.sessionId }).total, 1);
+  assert.ok(session.deadline > session.startedAt);
+  const results = session.scans.filter((scan) => scan.error !== 'timeout_or_no_finger');
+  assert.deepEqual(results.map((scan) => [scan.ok, scan.sensorId ?? null, scan.error ?? null]), [[false, null, 'no_match'], [true, 1, null]]);
+  assert.ok(results[1].confidence > 0 && results[1].at >= session.startedAt);
+
+  await backend.request({ type: 'FP_START_REQUEST', requestId: 'audit-2', timeoutMs: 5000 }, byType('FP_SESSION_STARTED'));
+
+  bridge = await restart({ SESSION_HISTORY_FILE: historyFile });
+  await backend.request({ type: 'FP_START_REQUEST', requestId: 'audit-3', timeoutMs: 5000 }, byType('FP_SESSION_STARTED'));
+  const { sessions } = bridge.history.query({});
+  assert.deepEqual(sessions.map((entry) => [entry.requestId, entry.stopReason]), [['audit-3', null], ['audit-2', 'bridge_restart'], ['audit-1', 'matched']]);
+  assert.equal(new Set(sessions.map((entry) => entry.sessionId)).size, 3);
+  assert.equal(bridge.history.query({ sensorId: 1 }).total, 1);
+}));
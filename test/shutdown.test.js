@@ -0,0 +1,52 @@
+const path = require('path');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { withBridge, byType } = require('./helpers');
+
+test('shutdown rejects new commands, cancels the robot job and flushes the outbox', () => withBridge({
+  env: {
+    PYTHON_BIN: process.execPath,
+    ROBOT_SCRIPT: path.join(__dirname, 'fixtures', 'robot_stub.js'),
+    SHUTDOWN_TIMEOUT_MS: '5000',
+    SHUTDOWN_ROBOT_GRACE_MS: '400'
+  },
+  backend: { autoAck: true }
+}, async ({ backend, bridge }) => {
+  backend.send({ type: 'ROBOT_EXECUTE', requestId: 'await-9', payload: { requestId: 'await-9' } });
+  await backend.waitFor(byType('ROBOT_EVENT', (message) => message.requestId === 'await-9' && message.job?.progress?.event === 'await_user'));
+
+  const done = bridge.shutdown({ signal: 'SIGTERM' });
+  const notice = await backend.waitFor(byType('BRIDGE_SHUTDOWN'));
+  assert.equal(notice.signal, 'SIGTERM');
+  assert.equal(notice.robot.requestId, 'await-9');
+
+  const rejected = await backend.request(
+    { type: 'FP_ENROLL_REQUEST', requestId: 'late-1', sensorId: 9 },
+    byType('FP_ENROLL_RESULT', (message) => message.requestId === 'late-1')
+  );
+  assert.equal(rejected.error, 'bridge_shutting_down');
+  assert.equal(rejected.retryable, true);
+
+  const summary = await done;
+  assert.equal(summary.unsent, 0);
+  const final = backend.messages.find(byType('ROBOT_EVENT', (message) => message.requestId === 'await-9' && message.final));
+  assert.equal(final.job.status, 'cancelled');
+  assert.equal(final.job.error, 'bridge_shutdown');
+  assert.equal(bridge.closed, true);
+}));
+
+test('shutdown leaves a lockdown LED in place and only drops transient owners', () => withBridge({
+  env: {
+    SHUTDOWN_TIMEOUT_MS: '2000'
+  },
+  backend: { autoAck: true }
+}, async ({ backend, bridge }) => {
+  await backend.request({ type: 'LED_COMMAND', command: { mode: 'on', color: 'white' } }, byType('LED_STATUS'));
+  await backend.request({ type: 'LOCKDOWN_TRIGGER', stage: 'drill', reason: 'test' }, byType('LOCKDOWN_STATUS', (message) => message.active));
+  assert.equal(bridge.indicators.ledState.owner, 'lockdown');
+
+  await bridge.shutdown({ signal: 'SIGTERM' });
+  assert.equal(bridge.indicators.ledState.owner, 'lockdown');
+  assert.equal(bridge.indicators.ledState.pattern, 'lockdown');
+  assert.deepEqual(bridge.indicators.ledOwners(), ['lockdown']);
+}));
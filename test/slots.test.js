@@ -0,0 +1,37 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { FAST_MOCK_SENSOR, withBridge, byType } = require('./helpers');
+
+test('slot inventory lists, allocates free slots and reconciles with backend mappings', () => withBridge({
+  env: {
+    MOCK_SENSOR_CONFIG: JSON.stringify({ ...FAST_MOCK_SENSOR, db: { 1: 'finger-a', 2: 'finger-b', 5: 'finger-e' } })
+  }
+}, async ({ backend, bridge }) => {
+  const list = await backend.request({ type: 'FP_LIST_REQUEST', requestId: 'list-1' }, byType('FP_LIST_RESULT'));
+  assert.equal(list.ok, true);
+  assert.deepEqual(list.slots, [1, 2, 5]);
+  assert.equal(list.nextFree, 3);
+
+  const enrolled = await backend.request({ type: 'FP_ENROLL_REQUEST', requestId: 'auto-1' }, byType('FP_ENROLL_RESULT'));
+  assert.equal(enrolled.ok, true);
+  assert.equal(enrolled.sensorId, 3);
+  assert.equal(bridge.sensor.getMockSensor().db.has(3), true);
+  const saved = JSON.parse(fs.readFileSync(path.join(bridge.tmpDir, 'slot_map.json'), 'utf8'));
+  assert.deepEqual(Object.keys(saved.slots).map(Number), [1, 2, 3, 5]);
+  assert.equal(saved.slots[3].source, 'enroll');
+
+  await backend.request({ type: 'FP_DELETE_REQUEST', requestId: 'del-2', sensorId: 2 }, byType('FP_DELETE_RESULT'));
+  assert.deepEqual(bridge.slots.occupied(), [1, 3, 5]);
+
+  const report = await backend.request({
+    type: 'FP_RECONCILE_REQUEST',
+    requestId: 'rec-1',
+    mappings: [{ sensorId: 1, userId: 'u-1' }, { sensorId: 3, userId: 'u-3' }, { sensorId: 7, userId: 'u-7' }]
+  }, byType('FP_RECONCILE_RESULT'));
+  assert.equal(report.ok, false);
+  assert.deepEqual(report.matched, [1, 3]);
+  assert.deepEqual(report.unmappedSlots, [5]);
+  assert.deepEqual(report.missingTemplates, [{ sensorId: 7, userId: 'u-7' }]);
+}));
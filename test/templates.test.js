@@ -0,0 +1,50 @@
+const fs = require('fs');
+const path = require('path');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { FAST_MOCK_SENSOR, loadBridge, withBridge, byType } = require('./helpers');
+
+const KEY = 'test-template-key';
+
+test('templates move from one sensor to a replacement through an encrypted backup', () => withBridge({
+  env: {
+    TEMPLATE_BACKUP_KEY: KEY,
+    MOCK_SENSOR_CONFIG: JSON.stringify({ ...FAST_MOCK_SENSOR, failures: [{ command: 'template_read', error: 'corrupt', times: 1 }] })
+  }
+}, async ({ backend, bridge: source }) => {
+  const replacement = loadBridge({
+    TEMPLATE_BACKUP_KEY: KEY,
+    MOCK_SENSOR_CONFIG: JSON.stringify({ ...FAST_MOCK_SENSOR, db: [] })
+  });
+  try {
+    await replacement.start();
+
+    const exported = await backend.request(
+      { type: 'FP_EXPORT_REQUEST', requestId: 'export-1', slots: [1, 2, 3], destination: 'both' },
+      byType('FP_EXPORT_RESULT')
+    );
+    assert.equal(exported.ok, true);
+    assert.deepEqual(exported.slots, [1, 2]);
+    assert.deepEqual(exported.missing, [3]);
+    assert.equal(backend.messages.filter(byType('FP_TEMPLATE_PROGRESS', (message) => message.requestId === 'export-1')).length, 3);
+    const stored = fs.readFileSync(exported.file, 'utf8');
+    assert.doesNotMatch(stored, /finger-1/);
+    assert.doesNotMatch(Buffer.from(exported.backup.data, 'base64').toString('latin1'), /FPT1/);
+
+    const progress = [];
+    const restored = await replacement.templates.import({ backup: exported.backup, onProgress: (entry) => progress.push(entry.operation) });
+    assert.equal(restored.ok, true);
+    assert.deepEqual(restored.imported, [1, 2]);
+    assert.deepEqual(restored.verified, [1, 2]);
+    assert.deepEqual(progress, ['import', 'import', 'verify', 'verify']);
+    assert.deepEqual(replacement.sensor.getMockSensor().snapshot().db, source.sensor.getMockSensor().snapshot().db);
+
+    fs.mkdirSync(replacement.config.templates.dir, { recursive: true });
+    fs.copyFileSync(exported.file, path.join(replacement.config.templates.dir, path.basename(exported.file)));
+    assert.equal(replacement.templates.listBackups()[0].id, exported.backupId);
+    const wrongKey = loadBridge({ TEMPLATE_BACKUP_KEY: 'other-key', TEMPLATE_BACKUP_DIR: replacement.config.templates.dir });
+    await assert.rejects(wrongKey.templates.import({ backupId: exported.backupId }), /backup_decrypt_failed/);
+  } finally {
+    await replacement.stop();
+  }
+}));